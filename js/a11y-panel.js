@@ -0,0 +1,169 @@
+import { hslToRgb, rgbToHex } from './utils/color-conversion.js';
+import { getContrastRatio, checkWcag, getApcaContrast, checkApca, getApcaFontSizes, formatContrast } from './utils/contrast.js';
+import { getColorName } from './utils/color-names.js';
+
+/**
+ * Accessibility Panel
+ * Shows every palette color (plus white and black) against every other,
+ * with the WCAG ratio or APCA Lc and pass/fail badges for each pair.
+ */
+
+// Each method measures a pair and grades it; filters read the shared levels
+const METHODS = {
+    wcag: {
+        measure: (fg, bg) => getContrastRatio(fg, bg),
+        levels: (value) => {
+            const wcag = checkWcag(value);
+            return { ...wcag, body: wcag.aa, large: wcag.aaLarge, enhanced: wcag.aaa };
+        },
+        badges: [
+            { key: 'aa', label: 'AA' },
+            { key: 'aaa', label: 'AAA' },
+            { key: 'aaLarge', label: 'AA Large' },
+            { key: 'aaaLarge', label: 'AAA Large' }
+        ]
+    },
+    apca: {
+        measure: (fg, bg) => getApcaContrast(fg, bg),
+        levels: (value) => ({ ...checkApca(value), enhanced: Math.abs(value) >= 90 }),
+        badges: [
+            { key: 'body', label: 'Body' },
+            { key: 'content', label: 'Content' },
+            { key: 'large', label: 'Large' },
+            { key: 'spot', label: 'Spot' }
+        ]
+    }
+};
+
+const FILTERS = {
+    all: () => true,
+    body: (levels) => levels.body,
+    large: (levels) => levels.large,
+    aaa: (levels) => levels.enhanced
+};
+
+let currentColors = [];
+let currentFilter = 'all';
+let currentMethod = 'wcag';
+
+export function initA11yPanel() {
+    const btn = document.getElementById('a11y-btn');
+    const modal = document.getElementById('a11y-modal');
+    const closeBtn = document.getElementById('a11y-close');
+    const filterSelect = document.getElementById('a11y-filter');
+
+    if (!modal) return;
+
+    function open() {
+        renderMatrix();
+        modal.classList.remove('hidden');
+    }
+
+    function close() {
+        modal.classList.add('hidden');
+    }
+
+    if (btn) btn.addEventListener('click', open);
+    if (closeBtn) closeBtn.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    if (filterSelect) {
+        filterSelect.addEventListener('change', () => {
+            currentFilter = filterSelect.value;
+            renderMatrix();
+        });
+    }
+}
+
+export function updateA11yPanel(colors, contrastMethod = 'wcag') {
+    currentColors = colors;
+    currentMethod = contrastMethod;
+    const modal = document.getElementById('a11y-modal');
+    if (modal && !modal.classList.contains('hidden')) {
+        renderMatrix();
+    }
+}
+
+/**
+ * Builds the list of swatches shown on each axis: palette colors, then white and black.
+ */
+function getSwatches() {
+    const swatches = currentColors.map((color, index) => {
+        const rgb = hslToRgb(color.h, color.s, color.l);
+        const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+        return { label: `${index + 1}. ${getColorName(hex)}`, hex, rgb };
+    });
+
+    swatches.push(
+        { label: 'White', hex: '#ffffff', rgb: { r: 255, g: 255, b: 255 } },
+        { label: 'Black', hex: '#000000', rgb: { r: 0, g: 0, b: 0 } }
+    );
+
+    return swatches;
+}
+
+/**
+ * Tooltip suffix listing APCA minimum font sizes for regular and bold text.
+ */
+function describeFontSizes(value) {
+    if (currentMethod !== 'apca') return '';
+    const sizes = getApcaFontSizes(value);
+    const describe = (weight) => sizes[weight] ? `${sizes[weight]}px` : 'not readable';
+    return ` (min size: ${describe(400)} at 400, ${describe(700)} at 700)`;
+}
+
+function renderMatrix() {
+    const table = document.getElementById('a11y-matrix');
+    if (!table) return;
+
+    const swatches = getSwatches();
+    const passes = FILTERS[currentFilter] || FILTERS.all;
+    const method = METHODS[currentMethod] || METHODS.wcag;
+
+    const headerCells = swatches.map(bg => `
+        <th scope="col">
+            <span class="a11y-chip" style="background:${bg.hex}"></span>
+            <span class="a11y-axis-label">${bg.label}</span>
+        </th>`).join('');
+
+    const rows = swatches.map((fg, row) => {
+        const cells = swatches.map((bg, col) => {
+            if (row === col) {
+                return '<td class="a11y-cell a11y-self"></td>';
+            }
+
+            const value = method.measure(fg.rgb, bg.rgb);
+            const levels = method.levels(value);
+            const badges = method.badges
+                .map(b => `<span class="a11y-badge ${levels[b.key] ? 'pass' : 'fail'}">${b.label}</span>`)
+                .join('');
+            const formatted = formatContrast(value, currentMethod);
+
+            return `
+                <td class="a11y-cell ${passes(levels) ? '' : 'filtered-out'}"
+                    title="${fg.label} on ${bg.label}: ${formatted}${describeFontSizes(value)}">
+                    <div class="a11y-sample" style="background:${bg.hex};color:${fg.hex}">Aa</div>
+                    <div class="a11y-ratio">${formatted}</div>
+                    <div class="a11y-badges">${badges}</div>
+                </td>`;
+        }).join('');
+
+        return `
+            <tr>
+                <th scope="row">
+                    <span class="a11y-chip" style="background:${fg.hex}"></span>
+                    <span class="a11y-axis-label">${fg.label}</span>
+                </th>
+                ${cells}
+            </tr>`;
+    }).join('');
+
+    table.innerHTML = `
+        <thead>
+            <tr><th class="a11y-corner">Text ↓ / Background →</th>${headerCells}</tr>
+        </thead>
+        <tbody>${rows}</tbody>
+    `;
+}
@@ -0,0 +1,122 @@
+/**
+ * Chart Previews
+ * Sample bar, line, heatmap and choropleth charts in the visualizer, drawn
+ * as SVG with the palette in column order. Bars and lines get one color per
+ * series; the heatmap and map bin their values into the palette, which is
+ * how sequential and diverging schemes are read.
+ */
+
+// Fixed sample data so redraws only change the colors
+const BAR_VALUES = [0.62, 0.85, 0.47, 0.74, 0.93, 0.38, 0.68, 0.55, 0.8, 0.44];
+const LINE_POINTS = 9;
+const HEATMAP_COLUMNS = 12;
+const HEATMAP_ROWS = 6;
+const MAP_COLUMNS = 9;
+const MAP_ROWS = 6;
+
+const WIDTH = 200;
+const HEIGHT = 120;
+
+/**
+ * @param {Array} colors - CSS color strings, as they should be painted.
+ */
+export function updateChartPreview(colors) {
+    const container = document.getElementById('chart-preview');
+    if (!container || colors.length === 0) return;
+
+    container.innerHTML = [
+        ['Bar', barChart(colors)],
+        ['Line', lineChart(colors)],
+        ['Heatmap', heatmap(colors)],
+        ['Choropleth', choropleth(colors)]
+    ].map(([title, svg]) => `
+        <figure class="chart-figure">
+            <svg viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${title} chart preview">${svg}</svg>
+            <figcaption>${title}</figcaption>
+        </figure>
+    `).join('');
+}
+
+/**
+ * Picks the palette color for a 0-1 value, as a binned scale does.
+ */
+function binColor(colors, value) {
+    return colors[Math.min(colors.length - 1, Math.floor(value * colors.length))];
+}
+
+function axes() {
+    return `<path class="chart-axis" d="M10 ${HEIGHT - 10}H${WIDTH - 5}M10 5V${HEIGHT - 10}" />`;
+}
+
+function barChart(colors) {
+    const slot = (WIDTH - 20) / colors.length;
+    const bars = colors.map((color, i) => {
+        const height = BAR_VALUES[i % BAR_VALUES.length] * (HEIGHT - 20);
+        return `<rect x="${(14 + i * slot).toFixed(1)}" y="${(HEIGHT - 10 - height).toFixed(1)}"
+            width="${(slot * 0.7).toFixed(1)}" height="${height.toFixed(1)}" rx="1.5" fill="${color}" />`;
+    });
+    return axes() + bars.join('');
+}
+
+function lineChart(colors) {
+    const lines = colors.map((color, series) => {
+        const points = Array.from({ length: LINE_POINTS }, (_, i) => {
+            const x = 12 + (i / (LINE_POINTS - 1)) * (WIDTH - 20);
+            const wave = Math.sin(i * 0.8 + series * 1.7) * 0.18 + Math.cos(i * 0.35 + series) * 0.1;
+            const level = 0.15 + ((series + 0.5) / colors.length) * 0.6 + wave;
+            const y = HEIGHT - 10 - Math.min(0.95, Math.max(0.02, level)) * (HEIGHT - 20);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+        return `<polyline points="${points.join(' ')}" fill="none" stroke="${color}" stroke-width="2"
+            stroke-linejoin="round" stroke-linecap="round" />`;
+    });
+    return axes() + lines.join('');
+}
+
+/**
+ * A smooth 0-1 field, so neighboring cells look like real measurements.
+ */
+function field(x, y) {
+    const value = 0.5 + 0.3 * Math.sin(x * 0.55 + y * 0.3) + 0.2 * Math.cos(x * 0.2 - y * 0.8);
+    return Math.min(0.999, Math.max(0, value));
+}
+
+function heatmap(colors) {
+    const width = WIDTH / HEATMAP_COLUMNS;
+    const height = HEIGHT / HEATMAP_ROWS;
+    const cells = [];
+    for (let y = 0; y < HEATMAP_ROWS; y++) {
+        for (let x = 0; x < HEATMAP_COLUMNS; x++) {
+            cells.push(`<rect x="${(x * width).toFixed(1)}" y="${(y * height).toFixed(1)}"
+                width="${(width - 1).toFixed(1)}" height="${(height - 1).toFixed(1)}" fill="${binColor(colors, field(x, y))}" />`);
+        }
+    }
+    return cells.join('');
+}
+
+/**
+ * Regions are hexagon tiles in a rough country outline.
+ */
+function choropleth(colors) {
+    const radius = 10;
+    const dx = radius * Math.sqrt(3);
+    const dy = radius * 1.5;
+    const tiles = [];
+    for (let row = 0; row < MAP_ROWS; row++) {
+        for (let col = 0; col < MAP_COLUMNS; col++) {
+            // Trim the corners into a coastline
+            const edge = Math.min(col, MAP_COLUMNS - 1 - col) + Math.min(row, MAP_ROWS - 1 - row);
+            if (edge < 1 || (edge < 2 && (row + col) % 3 === 0)) continue;
+
+            const cx = 25 + col * dx + (row % 2) * dx / 2;
+            const cy = 14 + row * dy;
+            const corners = Array.from({ length: 6 }, (_, i) => {
+                const angle = Math.PI / 6 + (i * Math.PI) / 3;
+                return `${(cx + radius * Math.cos(angle)).toFixed(1)},${(cy + radius * Math.sin(angle)).toFixed(1)}`;
+            });
+            tiles.push(`<polygon class="chart-region" points="${corners.join(' ')}"
+                fill="${binColor(colors, field(col * 1.3, row * 1.1))}" />`);
+        }
+    }
+    return tiles.join('');
+}
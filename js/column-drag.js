@@ -0,0 +1,83 @@
+/**
+ * Column Drag
+ * Reorders palette columns by dragging their handle. Pointer events cover
+ * mouse, pen and touch with one code path; the drag axis follows the
+ * palette's flex direction (side by side on desktop, stacked on mobile).
+ * Arrow keys on a focused handle move the column one slot.
+ */
+
+export function initColumnDrag(container, onMove) {
+    let drag = null; // { from, target, pointerId, column }
+
+    const getColumns = () => [...container.querySelectorAll(':scope > .palette-column')];
+
+    // Index of the column under the pointer, clamped to the ends
+    function indexAt(e) {
+        const vertical = getComputedStyle(container).flexDirection.startsWith('column');
+        const pos = vertical ? e.clientY : e.clientX;
+        const columns = getColumns();
+
+        const found = columns.findIndex(col => {
+            const rect = col.getBoundingClientRect();
+            return pos < (vertical ? rect.bottom : rect.right);
+        });
+        return found === -1 ? columns.length - 1 : found;
+    }
+
+    function markTarget(index) {
+        getColumns().forEach((col, i) => col.classList.toggle('drop-target', i === index && index !== drag.from));
+    }
+
+    function endDrag(commit) {
+        if (!drag) return;
+        const { from, target } = drag;
+        drag.column.classList.remove('dragging');
+        getColumns().forEach(col => col.classList.remove('drop-target'));
+        drag = null;
+        if (commit && target !== from) onMove(from, target);
+    }
+
+    container.addEventListener('pointerdown', (e) => {
+        const handle = e.target.closest('.drag-handle');
+        if (!handle || e.button !== 0) return;
+
+        const column = handle.closest('.palette-column');
+        const from = Number(column.dataset.index);
+        e.preventDefault();
+
+        drag = { from, target: from, pointerId: e.pointerId, column };
+        if (handle.setPointerCapture) handle.setPointerCapture(e.pointerId);
+        column.classList.add('dragging');
+    });
+
+    container.addEventListener('pointermove', (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        drag.target = indexAt(e);
+        markTarget(drag.target);
+    });
+
+    container.addEventListener('pointerup', (e) => {
+        if (drag && e.pointerId === drag.pointerId) endDrag(true);
+    });
+
+    container.addEventListener('pointercancel', () => endDrag(false));
+
+    container.addEventListener('keydown', (e) => {
+        const handle = e.target.closest('.drag-handle');
+        if (!handle) return;
+
+        const step = { ArrowLeft: -1, ArrowUp: -1, ArrowRight: 1, ArrowDown: 1 }[e.key];
+        if (!step) return;
+
+        const from = Number(handle.closest('.palette-column').dataset.index);
+        const to = from + step;
+        if (to < 0 || to >= getColumns().length) return;
+
+        e.preventDefault();
+        onMove(from, to);
+
+        // Columns were re-rendered; keep focus on the moved column's handle
+        const moved = container.querySelector(`.palette-column[data-index="${to}"] .drag-handle`);
+        if (moved) moved.focus();
+    });
+}
@@ -0,0 +1,202 @@
+import { hslToRgb, rgbToHsl, rgbToExactHsl, rgbToHex, rgbToOklch, oklchToRgb } from './utils/color-conversion.js';
+import { parseColor } from './utils/color-parse.js';
+
+/**
+ * Column Editor Popover
+ * Opens beside a column's value with a text field (any format parseColor
+ * understands) and HSL / RGB / OKLCH sliders. Every edit is reported through
+ * onChange(index, hsl) while dragging so the palette updates live.
+ */
+
+const MODES = {
+    hsl: {
+        label: 'HSL',
+        channels: [
+            { key: 'h', label: 'H', max: 360, step: 1 },
+            { key: 's', label: 'S', max: 100, step: 1, unit: '%' },
+            { key: 'l', label: 'L', max: 100, step: 1, unit: '%' }
+        ],
+        fromRgb: (rgb) => rgbToHsl(rgb.r, rgb.g, rgb.b),
+        toRgb: (v) => hslToRgb(v.h, v.s, v.l)
+    },
+    rgb: {
+        label: 'RGB',
+        channels: [
+            { key: 'r', label: 'R', max: 255, step: 1 },
+            { key: 'g', label: 'G', max: 255, step: 1 },
+            { key: 'b', label: 'B', max: 255, step: 1 }
+        ],
+        fromRgb: (rgb) => ({ ...rgb }),
+        toRgb: (v) => ({ r: v.r, g: v.g, b: v.b })
+    },
+    oklch: {
+        label: 'OKLCH',
+        channels: [
+            { key: 'l', label: 'L', max: 100, step: 0.1, unit: '%' },
+            { key: 'c', label: 'C', max: 0.37, step: 0.001 },
+            { key: 'h', label: 'H', max: 360, step: 0.1 }
+        ],
+        fromRgb: (rgb) => {
+            const lch = rgbToOklch(rgb.r, rgb.g, rgb.b);
+            return {
+                l: Math.round(lch.l * 1000) / 10,
+                c: Math.round(lch.c * 1000) / 1000,
+                h: Math.round((lch.c < 0.0001 ? 0 : lch.h) * 10) / 10
+            };
+        },
+        toRgb: (v) => oklchToRgb(v.l / 100, v.c, v.h)
+    }
+};
+
+// Samples per slider track gradient
+const TRACK_STEPS = 8;
+
+let mode = 'hsl'; // Remembered between opens
+let editing = null; // { index, rgb, values }
+let callbacks = {};
+
+export function initColumnEditor({ onChange, onClose }) {
+    const panel = document.getElementById('column-editor');
+    if (!panel) return;
+
+    callbacks = { onChange, onClose };
+
+    const textInput = document.getElementById('column-editor-text');
+    const modeButtons = document.getElementById('column-editor-modes');
+    const sliders = document.getElementById('column-editor-sliders');
+
+    modeButtons.innerHTML = Object.entries(MODES)
+        .map(([key, def]) => `<button type="button" data-mode="${key}">${def.label}</button>`)
+        .join('');
+
+    modeButtons.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-mode]');
+        if (!button || !editing) return;
+        mode = button.dataset.mode;
+        editing.values = MODES[mode].fromRgb(editing.rgb);
+        render();
+    });
+
+    sliders.addEventListener('input', (e) => {
+        const key = e.target.dataset.channel;
+        if (!key || !editing) return;
+
+        editing.values[key] = Number(e.target.value);
+        editing.rgb = MODES[mode].toRgb(editing.values);
+        // Sliders keep their own values while dragging; converting back would make them jump
+        render({ sliders: false });
+        emit();
+    });
+
+    textInput.addEventListener('change', () => {
+        if (!editing) return;
+        const rgb = parseColor(textInput.value);
+        if (!rgb) {
+            textInput.value = rgbToHex(editing.rgb.r, editing.rgb.g, editing.rgb.b);
+            return;
+        }
+        editing.rgb = rgb;
+        editing.values = MODES[mode].fromRgb(rgb);
+        render();
+        emit();
+    });
+
+    // Close when clicking anywhere else, or on Escape
+    document.addEventListener('click', (e) => {
+        if (editing && !panel.contains(e.target)) closeColumnEditor();
+    });
+    document.addEventListener('keydown', (e) => {
+        if (editing && e.key === 'Escape') closeColumnEditor();
+    });
+}
+
+/**
+ * @param {HTMLElement} anchor - The element the popover is placed under.
+ * @param {number} index - Column index, passed back through onChange.
+ * @param {object} hsl - The column's current color.
+ */
+export function openColumnEditor(anchor, index, hsl) {
+    const panel = document.getElementById('column-editor');
+    if (!panel) return;
+    if (editing && editing.index !== index) closeColumnEditor();
+
+    const rgb = hslToRgb(hsl.h, hsl.s, hsl.l);
+    editing = { index, rgb, values: MODES[mode].fromRgb(rgb) };
+
+    panel.classList.remove('hidden');
+    render();
+    position(panel, anchor);
+}
+
+export function closeColumnEditor() {
+    const panel = document.getElementById('column-editor');
+    if (!editing || !panel) return;
+
+    panel.classList.add('hidden');
+    editing = null;
+    callbacks.onClose();
+}
+
+function emit() {
+    const { index, rgb } = editing;
+    // Exact, so the column holds the very color typed or dialed in
+    callbacks.onChange(index, rgbToExactHsl(rgb.r, rgb.g, rgb.b));
+}
+
+// Keeps the popover under the anchor and inside the viewport
+function position(panel, anchor) {
+    const rect = anchor.getBoundingClientRect();
+    const width = panel.offsetWidth;
+    const height = panel.offsetHeight;
+    const margin = 8;
+
+    const left = Math.min(Math.max(margin, rect.left + rect.width / 2 - width / 2), window.innerWidth - width - margin);
+    const below = rect.bottom + margin;
+    const top = below + height > window.innerHeight ? Math.max(margin, rect.top - height - margin) : below;
+
+    panel.style.left = `${left}px`;
+    panel.style.top = `${top}px`;
+}
+
+function toHex(rgb) {
+    return rgbToHex(rgb.r, rgb.g, rgb.b);
+}
+
+function render({ sliders = true } = {}) {
+    const def = MODES[mode];
+    const hex = toHex(editing.rgb);
+
+    document.getElementById('column-editor-swatch').style.background = hex;
+    const textInput = document.getElementById('column-editor-text');
+    if (document.activeElement !== textInput) textInput.value = hex;
+
+    document.querySelectorAll('#column-editor-modes [data-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+    });
+
+    const container = document.getElementById('column-editor-sliders');
+    if (sliders || container.dataset.mode !== mode) {
+        container.dataset.mode = mode;
+        container.innerHTML = def.channels.map(ch => `
+            <label class="popover-field">
+                <span>${ch.label} <em data-readout="${ch.key}"></em></span>
+                <input type="range" data-channel="${ch.key}" min="0" max="${ch.max}" step="${ch.step}"
+                    value="${editing.values[ch.key]}">
+            </label>
+        `).join('');
+    }
+
+    // Readouts and track gradients follow the other channels' current values
+    def.channels.forEach(ch => {
+        const value = editing.values[ch.key];
+        const decimals = ch.step < 1 ? String(ch.step).split('.')[1].length : 0;
+        container.querySelector(`[data-readout="${ch.key}"]`).textContent = `${value.toFixed(decimals)}${ch.unit || ''}`;
+
+        const stops = [];
+        for (let i = 0; i <= TRACK_STEPS; i++) {
+            const sample = def.toRgb({ ...editing.values, [ch.key]: ch.max * i / TRACK_STEPS });
+            stops.push(toHex(sample));
+        }
+        container.querySelector(`[data-channel="${ch.key}"]`).style.background = `linear-gradient(to right, ${stops.join(', ')})`;
+    });
+}
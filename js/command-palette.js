@@ -0,0 +1,133 @@
+import { isTypingTarget } from './keyboard-shortcuts.js';
+
+/**
+ * Command Palette
+ * Ctrl+K (Cmd+K on macOS) lists every action by name. Typing filters the
+ * list (letters match in order, so "hsq" finds "Harmony: Square"), arrow
+ * keys move the selection and Enter runs it. getCommands is called on each
+ * open so labels reflect the current palette.
+ */
+
+let commands = [];
+let matches = [];
+let selected = 0;
+
+/**
+ * @param {Function} getCommands - () => [{ label, hint?, run }]
+ */
+export function initCommandPalette(getCommands) {
+    const modal = document.getElementById('command-palette');
+    if (!modal) return;
+
+    const input = document.getElementById('command-input');
+    const list = document.getElementById('command-list');
+    let returnFocus = null;
+
+    function open() {
+        commands = getCommands();
+        returnFocus = document.activeElement;
+        input.value = '';
+        filter();
+        modal.classList.remove('hidden');
+        input.focus();
+    }
+
+    function close() {
+        modal.classList.add('hidden');
+        if (returnFocus && returnFocus.isConnected) returnFocus.focus();
+    }
+
+    function run(index) {
+        const command = matches[index];
+        if (!command) return;
+        close();
+        command.run();
+    }
+
+    function filter() {
+        const query = input.value.trim().toLowerCase();
+        matches = commands
+            .map(command => ({ command, score: matchScore(command.label.toLowerCase(), query) }))
+            .filter(m => m.score !== null)
+            .sort((a, b) => a.score - b.score)
+            .map(m => m.command);
+        selected = 0;
+        render();
+    }
+
+    function render() {
+        list.innerHTML = matches.length === 0
+            ? '<li class="command-empty">No matching commands</li>'
+            : matches.map((command, index) => `
+                <li id="command-${index}" class="command-item ${index === selected ? 'selected' : ''}" data-index="${index}"
+                    role="option" aria-selected="${index === selected}">
+                    <span>${command.label}</span>
+                    ${command.hint ? `<kbd>${command.hint}</kbd>` : ''}
+                </li>
+            `).join('');
+        input.setAttribute('aria-activedescendant', matches.length > 0 ? `command-${selected}` : '');
+        const current = list.querySelector('.selected');
+        if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    input.addEventListener('input', filter);
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (matches.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            selected = (selected + step + matches.length) % matches.length;
+            render();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            run(selected);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            close();
+        }
+    });
+
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.command-item');
+        if (!item) return;
+        // Popovers opened by the command would close on this click otherwise
+        e.stopPropagation();
+        run(Number(item.dataset.index));
+    });
+
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'k') return;
+        // Ctrl+K in a text field belongs to the field, except our own
+        if (isTypingTarget(e.target) && e.target !== input) return;
+
+        e.preventDefault();
+        if (modal.classList.contains('hidden')) open();
+        else close();
+    });
+}
+
+/**
+ * Subsequence match: every query character must appear in order.
+ * Lower scores are better - matches that start early and stay together.
+ * @returns {number|null} - null when the label doesn't match.
+ */
+function matchScore(label, query) {
+    if (!query) return 0;
+    const direct = label.indexOf(query);
+    if (direct !== -1) return direct;
+
+    let score = 100;
+    let position = -1;
+    for (const char of query) {
+        const next = label.indexOf(char, position + 1);
+        if (next === -1) return null;
+        score += next - position - 1;
+        position = next;
+    }
+    return score;
+}
@@ -0,0 +1,185 @@
+import { hslToRgb, rgbToHex } from './utils/color-conversion.js';
+import { generateScale } from './utils/color-scales.js';
+import { getColorName } from './utils/color-names.js';
+import { TOKEN_FORMATS, formatTokens, slugifyTokenName, dedupeTokenNames } from './utils/token-export.js';
+import { downloadFile } from './utils/download.js';
+
+/**
+ * Export Dialog
+ * Turns the current palette (and each color's shades, and its dark-mode
+ * counterpart when shown) into design tokens.
+ * Token names are seeded from the color name and can be edited; edits are
+ * remembered per hex value so they survive re-renders. The theme roles can be
+ * exported instead, named after their role.
+ */
+
+let currentColors = [];
+let currentDarkColors = null;
+let currentRoles = [];
+let currentScaleOptions = {};
+let currentSource = 'palette'; // 'palette' or 'roles'
+let currentFormat = 'css';
+let includeShades = true;
+const nameOverrides = {}; // hex -> token name
+let openDialog = () => {};
+
+export function initExportDialog({ onCopy }) {
+    const btn = document.getElementById('export-btn');
+    const modal = document.getElementById('export-modal');
+    const closeBtn = document.getElementById('export-close');
+    const sourceSelect = document.getElementById('export-source');
+    const formatSelect = document.getElementById('export-format');
+    const shadesToggle = document.getElementById('export-shades');
+    const copyBtn = document.getElementById('export-copy');
+    const downloadBtn = document.getElementById('export-download');
+
+    if (!modal) return;
+
+    formatSelect.innerHTML = Object.entries(TOKEN_FORMATS)
+        .map(([key, info]) => `<option value="${key}">${info.label}</option>`)
+        .join('');
+    formatSelect.value = currentFormat;
+
+    function open() {
+        sourceSelect.value = currentSource;
+        shadesToggle.disabled = currentSource === 'roles';
+        renderNames();
+        renderOutput();
+        modal.classList.remove('hidden');
+    }
+
+    function close() {
+        modal.classList.add('hidden');
+    }
+
+    if (btn) btn.addEventListener('click', open);
+    openDialog = (source) => {
+        currentSource = source;
+        open();
+    };
+    closeBtn.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    sourceSelect.addEventListener('change', () => {
+        currentSource = sourceSelect.value;
+        shadesToggle.disabled = currentSource === 'roles';
+        renderNames();
+        renderOutput();
+    });
+
+    formatSelect.addEventListener('change', () => {
+        currentFormat = formatSelect.value;
+        renderOutput();
+    });
+
+    shadesToggle.addEventListener('change', () => {
+        includeShades = shadesToggle.checked;
+        renderOutput();
+    });
+
+    copyBtn.addEventListener('click', () => {
+        onCopy(getOutput(), `Copied ${TOKEN_FORMATS[currentFormat].label}`);
+    });
+
+    downloadBtn.addEventListener('click', () => {
+        const info = TOKEN_FORMATS[currentFormat];
+        downloadFile(info.filename, getOutput(), info.mime);
+    });
+}
+
+/**
+ * Opens the dialog on the palette or on the theme roles.
+ * @param {string} source - 'palette' or 'roles'.
+ */
+export function openExportDialog(source) {
+    openDialog(source);
+}
+
+/**
+ * @param {Array} colors - HSL palette.
+ * @param {object} scaleOptions
+ * @param {Array|null} [darkColors] - Dark-mode counterparts, index for index.
+ * @param {Array} [roles] - Resolved theme roles ({ role, hex }).
+ */
+export function updateExportDialog(colors, scaleOptions, darkColors = null, roles = []) {
+    currentColors = colors;
+    currentDarkColors = darkColors;
+    currentRoles = roles;
+    currentScaleOptions = scaleOptions;
+    const modal = document.getElementById('export-modal');
+    if (modal && !modal.classList.contains('hidden')) {
+        renderNames();
+        renderOutput();
+    }
+}
+
+function toHex(hsl) {
+    const rgb = hslToRgb(hsl.h, hsl.s, hsl.l);
+    return rgbToHex(rgb.r, rgb.g, rgb.b);
+}
+
+/**
+ * Builds the token list for the current palette, or for the theme roles.
+ */
+function getTokens() {
+    if (currentSource === 'roles') {
+        return currentRoles.map(role => ({ name: role.role, value: role.hex, shades: [] }));
+    }
+
+    const hexes = currentColors.map(toHex);
+    const names = dedupeTokenNames(hexes.map(hex => nameOverrides[hex] || slugifyTokenName(getColorName(hex))));
+
+    return currentColors.map((color, index) => ({
+        name: names[index],
+        value: hexes[index],
+        dark: currentDarkColors ? toHex(currentDarkColors[index]) : undefined,
+        shades: includeShades
+            ? generateScale(color, currentScaleOptions).map(step => ({ key: step.key, value: toHex(step) }))
+            : []
+    }));
+}
+
+function getOutput() {
+    return formatTokens(getTokens(), currentFormat);
+}
+
+function renderNames() {
+    const list = document.getElementById('export-names');
+    if (!list) return;
+
+    const tokens = getTokens();
+    list.innerHTML = '';
+
+    tokens.forEach(token => {
+        const row = document.createElement('label');
+        row.className = 'export-name-row';
+        row.innerHTML = `
+            <span class="a11y-chip" style="background:${token.value}"></span>
+            <input type="text" class="popover-input" value="${token.name}" spellcheck="false">
+        `;
+
+        // Role tokens are named after their role
+        if (currentSource === 'roles') {
+            row.querySelector('input').readOnly = true;
+            list.appendChild(row);
+            return;
+        }
+
+        const input = row.querySelector('input');
+        input.addEventListener('change', () => {
+            const slug = slugifyTokenName(input.value);
+            nameOverrides[token.value] = slug;
+            renderNames();
+            renderOutput();
+        });
+
+        list.appendChild(row);
+    });
+}
+
+function renderOutput() {
+    const output = document.getElementById('export-output');
+    if (output) output.textContent = getOutput();
+}
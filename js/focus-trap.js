@@ -0,0 +1,56 @@
+/**
+ * Focus Trap
+ * Keeps Tab / Shift+Tab cycling inside a container and runs onEscape on
+ * Escape. The listener lives on the container, so a trap on an element that
+ * is later re-rendered away simply goes with it.
+ */
+
+const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+/**
+ * Visible, enabled elements in the container that Tab can reach.
+ * @param {HTMLElement} container
+ * @returns {Array}
+ */
+export function getFocusable(container) {
+    return [...container.querySelectorAll(FOCUSABLE)]
+        .filter(el => !el.closest('.hidden, [inert]'));
+}
+
+/**
+ * @param {HTMLElement} container
+ * @param {Function} onEscape
+ */
+export function trapFocus(container, onEscape) {
+    container.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            onEscape();
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = getFocusable(container);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    });
+}
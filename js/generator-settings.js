@@ -0,0 +1,116 @@
+import { MOOD_PRESETS, parseHueRanges, formatHueRanges } from './utils/palette-generator.js';
+
+/**
+ * Generator Constraints Popover
+ * Steers "Generate Palette": mood, hue ranges to include / exclude,
+ * saturation and lightness limits, and an AA text color requirement.
+ * The constraints object is mutated in place. Shows the current palette's
+ * seed, and onUseSeed regenerates from a typed seed.
+ */
+
+export function initGeneratorSettings(constraints, { onChange, onUseSeed }) {
+    const btn = document.getElementById('generator-btn');
+    const panel = document.getElementById('generator-settings');
+    if (!btn || !panel) return;
+
+    const moodSelect = document.getElementById('generator-mood');
+    const includeInput = document.getElementById('generator-include');
+    const excludeInput = document.getElementById('generator-exclude');
+    const aaInput = document.getElementById('generator-aa');
+    const seedInput = document.getElementById('generator-seed');
+    const rangeInputs = panel.querySelectorAll('[data-range]');
+
+    moodSelect.innerHTML = Object.entries(MOOD_PRESETS)
+        .map(([key, mood]) => `<option value="${key}">${mood.label}</option>`)
+        .join('');
+
+    function syncControls() {
+        moodSelect.value = constraints.mood;
+        includeInput.value = formatHueRanges(constraints.includeHues);
+        excludeInput.value = formatHueRanges(constraints.excludeHues);
+        aaInput.checked = constraints.requireAaText;
+        rangeInputs.forEach(input => {
+            const [key, end] = input.dataset.range.split('-');
+            input.value = constraints[key][end === 'min' ? 0 : 1];
+        });
+
+        const defaultMood = constraints.mood === 'vibrant';
+        const customized = constraints.includeHues.length > 0 || constraints.excludeHues.length > 0 ||
+            constraints.requireAaText || constraints.saturation.join() !== '0,100' || constraints.lightness.join() !== '0,100';
+        btn.classList.toggle('active', !defaultMood || customized);
+    }
+
+    moodSelect.addEventListener('change', () => {
+        constraints.mood = moodSelect.value;
+        syncControls();
+        onChange();
+    });
+
+    [[includeInput, 'includeHues'], [excludeInput, 'excludeHues']].forEach(([input, key]) => {
+        input.addEventListener('change', () => {
+            const ranges = parseHueRanges(input.value);
+            input.classList.toggle('invalid', !ranges);
+            if (!ranges) return;
+            constraints[key] = ranges;
+            syncControls();
+            onChange();
+        });
+    });
+
+    rangeInputs.forEach(input => {
+        input.addEventListener('change', () => {
+            const [key, end] = input.dataset.range.split('-');
+            const value = Math.min(100, Math.max(0, Math.round(Number(input.value)) || 0));
+            const range = [...constraints[key]];
+            range[end === 'min' ? 0 : 1] = value;
+            constraints[key] = range;
+            syncControls();
+            onChange();
+        });
+    });
+
+    aaInput.addEventListener('change', () => {
+        constraints.requireAaText = aaInput.checked;
+        syncControls();
+        onChange();
+    });
+
+    const useSeed = () => {
+        const seed = seedInput.value.trim();
+        if (seed) onUseSeed(seed);
+    };
+    document.getElementById('generator-seed-use').addEventListener('click', useSeed);
+    seedInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') useSeed();
+    });
+
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        panel.classList.toggle('hidden');
+    });
+
+    // Close when clicking anywhere else
+    document.addEventListener('click', (e) => {
+        if (!panel.contains(e.target) && !btn.contains(e.target)) {
+            panel.classList.add('hidden');
+        }
+    });
+
+    syncControls();
+}
+
+/**
+ * Shows the seed of the palette on screen and the last generation's outcome.
+ * @param {object} data
+ * @param {string|null} data.seed - null once the palette was edited by hand.
+ * @param {string} [data.status] - Explanation when constraints could not be met.
+ */
+export function updateGeneratorSettings({ seed, status = '' }) {
+    const seedInput = document.getElementById('generator-seed');
+    const statusEl = document.getElementById('generator-status');
+    if (!seedInput) return;
+
+    if (document.activeElement !== seedInput) seedInput.value = seed || '';
+    statusEl.textContent = status;
+    statusEl.classList.toggle('hidden', !status);
+}
@@ -0,0 +1,289 @@
+import { hslToRgb, rgbToHex } from './utils/color-conversion.js';
+import { buildRoleCandidates } from './utils/theme-roles.js';
+import {
+    GRADIENT_TYPES, GRADIENT_SPACES, GRADIENT_OUTPUTS,
+    sampleGradientStops, analyzeGradient, formatGradient
+} from './utils/gradients.js';
+import { downloadFile } from './utils/download.js';
+
+/**
+ * Gradient Builder
+ * Builds a gradient from palette colors and their shades. Stops point at a
+ * palette slot ("2" or "2-300"), so they follow the palette as it changes.
+ * Every interpolation space is previewed side by side with its gray dead
+ * zones and banding marked, and the result is exported as CSS, SVG or a
+ * stops array.
+ */
+
+const MAX_STOPS = 8;
+
+let currentCandidates = [];
+let currentOutput = 'css';
+const gradient = {
+    type: 'linear',
+    angle: 90,
+    space: 'oklch-shorter',
+    stops: null // [{ id, position (0-100) }], seeded from the palette on first update
+};
+
+function toHex(hsl) {
+    const rgb = hslToRgb(hsl.h, hsl.s, hsl.l);
+    return rgbToHex(rgb.r, rgb.g, rgb.b);
+}
+
+export function initGradientDialog({ onCopy }) {
+    const btn = document.getElementById('gradient-btn');
+    const modal = document.getElementById('gradient-modal');
+    const closeBtn = document.getElementById('gradient-close');
+    const typeSelect = document.getElementById('gradient-type');
+    const spaceSelect = document.getElementById('gradient-space');
+    const angleInput = document.getElementById('gradient-angle');
+    const addBtn = document.getElementById('gradient-add-stop');
+    const outputSelect = document.getElementById('gradient-output-format');
+    const copyBtn = document.getElementById('gradient-copy');
+    const downloadBtn = document.getElementById('gradient-download');
+    const stopList = document.getElementById('gradient-stops');
+    const spaceList = document.getElementById('gradient-spaces');
+
+    if (!modal) return;
+
+    const options = (entries) => Object.entries(entries)
+        .map(([key, info]) => `<option value="${key}">${info.label}</option>`)
+        .join('');
+    typeSelect.innerHTML = options(GRADIENT_TYPES);
+    spaceSelect.innerHTML = options(GRADIENT_SPACES);
+    outputSelect.innerHTML = options(GRADIENT_OUTPUTS);
+
+    function open() {
+        typeSelect.value = gradient.type;
+        spaceSelect.value = gradient.space;
+        angleInput.value = gradient.angle;
+        outputSelect.value = currentOutput;
+        render();
+        modal.classList.remove('hidden');
+    }
+
+    function close() {
+        modal.classList.add('hidden');
+    }
+
+    if (btn) btn.addEventListener('click', open);
+    closeBtn.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    typeSelect.addEventListener('change', () => {
+        gradient.type = typeSelect.value;
+        render();
+    });
+
+    spaceSelect.addEventListener('change', () => {
+        gradient.space = spaceSelect.value;
+        render();
+    });
+
+    angleInput.addEventListener('input', () => {
+        gradient.angle = parseInt(angleInput.value, 10);
+        render();
+    });
+
+    outputSelect.addEventListener('change', () => {
+        currentOutput = outputSelect.value;
+        renderOutput();
+    });
+
+    addBtn.addEventListener('click', () => {
+        // New stops split the widest gap, with the color at its start
+        const sorted = [...gradient.stops].sort((a, b) => a.position - b.position);
+        let at = 0;
+        sorted.slice(1).forEach((stop, i) => {
+            if (stop.position - sorted[i].position > sorted[at + 1].position - sorted[at].position) at = i;
+        });
+        const position = Math.round((sorted[at].position + sorted[at + 1].position) / 2);
+        gradient.stops.push({ id: sorted[at].id, position });
+        render();
+    });
+
+    stopList.addEventListener('change', (e) => {
+        const row = e.target.closest('.gradient-stop-row');
+        if (!row || !e.target.matches('select')) return;
+        gradient.stops[Number(row.dataset.stop)].id = e.target.value;
+        render();
+        stopList.querySelector(`[data-stop="${row.dataset.stop}"] select`).focus();
+    });
+
+    stopList.addEventListener('input', (e) => {
+        const row = e.target.closest('.gradient-stop-row');
+        if (!row || !e.target.matches('input[type="range"]')) return;
+        gradient.stops[Number(row.dataset.stop)].position = parseInt(e.target.value, 10);
+        row.querySelector('em').textContent = `${e.target.value}%`;
+        // Redraw everything but the list, so the slider keeps its drag
+        renderPreview();
+        renderSpaces();
+        renderOutput();
+    });
+
+    stopList.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.gradient-stop-remove');
+        if (!removeBtn) return;
+        gradient.stops.splice(Number(removeBtn.closest('.gradient-stop-row').dataset.stop), 1);
+        render();
+        addBtn.focus();
+    });
+
+    spaceList.addEventListener('click', (e) => {
+        const row = e.target.closest('[data-space]');
+        if (!row) return;
+        gradient.space = row.dataset.space;
+        spaceSelect.value = gradient.space;
+        render();
+    });
+
+    copyBtn.addEventListener('click', () => {
+        onCopy(getOutput(), `Copied ${GRADIENT_OUTPUTS[currentOutput].label} gradient`);
+    });
+
+    downloadBtn.addEventListener('click', () => {
+        const info = GRADIENT_OUTPUTS[currentOutput];
+        downloadFile(info.filename, getOutput(), info.mime);
+    });
+}
+
+/**
+ * @param {Array} colors - HSL palette.
+ * @param {object} scaleOptions
+ */
+export function updateGradientDialog(colors, scaleOptions) {
+    currentCandidates = buildRoleCandidates(colors, scaleOptions);
+
+    if (!gradient.stops) {
+        gradient.stops = [{ id: '0', position: 0 }, { id: String(colors.length - 1), position: 100 }];
+    }
+    // Stops on a removed column move to the last one
+    gradient.stops.forEach(stop => {
+        if (currentCandidates.some(c => c.id === stop.id)) return;
+        const [, key] = stop.id.split('-');
+        const last = colors.length - 1;
+        stop.id = key && currentCandidates.some(c => c.id === `${last}-${key}`) ? `${last}-${key}` : String(last);
+    });
+
+    const modal = document.getElementById('gradient-modal');
+    if (modal && !modal.classList.contains('hidden')) render();
+}
+
+/**
+ * The gradient with each stop resolved to its current color.
+ */
+function resolveGradient(space = gradient.space) {
+    return {
+        type: gradient.type,
+        angle: gradient.angle,
+        space,
+        stops: gradient.stops.map(stop => ({
+            hex: toHex(currentCandidates.find(c => c.id === stop.id).hsl),
+            position: stop.position
+        }))
+    };
+}
+
+function getOutput() {
+    return formatGradient(resolveGradient(), currentOutput);
+}
+
+/**
+ * CSS that draws a gradient in any browser, through the sampled stops.
+ */
+function previewCss(resolved, type = resolved.type) {
+    const stops = sampleGradientStops(resolved.stops, resolved.space)
+        .map(stop => `${stop.hex} ${stop.position}%`)
+        .join(', ');
+    const prelude = { linear: `${resolved.angle}deg`, radial: 'circle', conic: `from ${resolved.angle}deg` }[type];
+    return `${type}-gradient(${prelude}, ${stops})`;
+}
+
+function render() {
+    document.getElementById('gradient-angle-field')
+        .classList.toggle('hidden', gradient.type === 'radial');
+    document.getElementById('gradient-add-stop').disabled = gradient.stops.length >= MAX_STOPS;
+    renderStops();
+    renderPreview();
+    renderSpaces();
+    renderOutput();
+}
+
+function renderPreview() {
+    const preview = document.getElementById('gradient-preview');
+    if (preview) preview.style.background = previewCss(resolveGradient());
+    const angle = document.getElementById('gradient-angle-value');
+    if (angle) angle.textContent = `${gradient.angle}°`;
+}
+
+function renderStops() {
+    const list = document.getElementById('gradient-stops');
+    if (!list) return;
+
+    const choices = currentCandidates
+        .map(c => `<option value="${c.id}">${c.label}</option>`)
+        .join('');
+    const removable = gradient.stops.length > 2;
+
+    list.innerHTML = gradient.stops.map((stop, index) => {
+        const hex = toHex(currentCandidates.find(c => c.id === stop.id).hsl);
+        return `
+            <div class="gradient-stop-row" data-stop="${index}">
+                <span class="a11y-chip" style="background:${hex}"></span>
+                <select class="modal-select" aria-label="Stop ${index + 1} color">${choices}</select>
+                <label class="gradient-stop-position">
+                    <input type="range" min="0" max="100" value="${stop.position}" aria-label="Stop ${index + 1} position">
+                    <em>${stop.position}%</em>
+                </label>
+                <button class="gradient-stop-remove viz-close" aria-label="Remove stop ${index + 1}"
+                    ${removable ? '' : 'disabled'}>×</button>
+            </div>
+        `;
+    }).join('');
+
+    list.querySelectorAll('select').forEach((select, index) => {
+        select.value = gradient.stops[index].id;
+    });
+}
+
+/**
+ * Every space drawn with the current stops, its dead zones and banding marked.
+ */
+function renderSpaces() {
+    const list = document.getElementById('gradient-spaces');
+    if (!list) return;
+
+    const mark = (kind, label) => ({ from, to }) =>
+        `<span class="gradient-mark ${kind}" style="left:${from}%;width:${to - from}%" title="${label}"></span>`;
+
+    list.innerHTML = Object.entries(GRADIENT_SPACES).map(([key, info]) => {
+        const resolved = resolveGradient(key);
+        const { deadZones, banding } = analyzeGradient(resolved.stops, key);
+        const notes = [
+            deadZones.length ? 'gray dead zone' : null,
+            banding.length ? 'banding' : null
+        ].filter(Boolean);
+
+        return `
+            <button class="gradient-space-row ${key === gradient.space ? 'active' : ''}" data-space="${key}"
+                aria-pressed="${key === gradient.space}">
+                <span class="gradient-space-label">${info.label}</span>
+                <span class="gradient-space-bar" style="background:${previewCss({ ...resolved, angle: 90 }, 'linear')}">
+                    ${deadZones.map(mark('dead', 'Gray dead zone')).join('')}
+                    ${banding.map(mark('banding', 'Banding')).join('')}
+                </span>
+                <span class="gradient-space-note ${notes.length ? 'warn' : ''}">
+                    ${notes.length ? notes.join(', ') : 'smooth'}
+                </span>
+            </button>
+        `;
+    }).join('');
+}
+
+function renderOutput() {
+    const output = document.getElementById('gradient-output');
+    if (output) output.textContent = getOutput();
+}
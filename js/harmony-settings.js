@@ -0,0 +1,104 @@
+import { HARMONY_RULES, HARMONY_PARAMS, HARMONY_WHEELS, getHarmonyDefaults } from './utils/color-harmony.js';
+
+/**
+ * Harmony Settings Popover
+ * Picks the hue wheel harmonies are computed on and tunes the active rule's
+ * parameters. Parameters are stored per rule in options.params, which is
+ * mutated in place. onChange runs on every edit; onSettle when a slider is
+ * released, so a drag can be recorded as one step.
+ */
+
+let currentType = null;
+let settingsOptions = null;
+
+export function initHarmonySettings(options, { onChange, onSettle }) {
+    const btn = document.getElementById('harmony-params-btn');
+    const panel = document.getElementById('harmony-params');
+    if (!btn || !panel) return;
+
+    settingsOptions = options;
+
+    const wheelSelect = document.getElementById('harmony-wheel');
+    const fields = document.getElementById('harmony-param-fields');
+    const resetBtn = document.getElementById('harmony-params-reset');
+
+    wheelSelect.innerHTML = Object.entries(HARMONY_WHEELS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    wheelSelect.value = options.wheel;
+
+    wheelSelect.addEventListener('change', () => {
+        options.wheel = wheelSelect.value;
+        onChange();
+        onSettle();
+    });
+
+    fields.addEventListener('input', (e) => {
+        const key = e.target.dataset.param;
+        if (!key || !currentType) return;
+
+        const value = Number(e.target.value);
+        options.params[currentType] = { ...getParams(currentType), [key]: value };
+        const readout = fields.querySelector(`[data-readout="${key}"]`);
+        readout.textContent = `${value}${HARMONY_PARAMS[key].unit || ''}`;
+        onChange();
+    });
+
+    fields.addEventListener('change', (e) => {
+        if (e.target.dataset.param) onSettle();
+    });
+
+    resetBtn.addEventListener('click', () => {
+        if (!currentType) return;
+        delete options.params[currentType];
+        renderFields();
+        onChange();
+        onSettle();
+    });
+
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        panel.classList.toggle('hidden');
+    });
+
+    // Close when clicking anywhere else
+    document.addEventListener('click', (e) => {
+        if (!panel.contains(e.target) && !btn.contains(e.target)) {
+            panel.classList.add('hidden');
+        }
+    });
+}
+
+/**
+ * Shows the sliders for the rule currently generating the palette.
+ * @param {string} type - Effective rule (the picked rule when harmony is 'random').
+ */
+export function updateHarmonySettings(type) {
+    if (!settingsOptions || type === currentType) return;
+    currentType = type;
+    renderFields();
+}
+
+function getParams(type) {
+    return { ...getHarmonyDefaults(type), ...settingsOptions.params[type] };
+}
+
+function renderFields() {
+    const rule = HARMONY_RULES[currentType];
+    const fields = document.getElementById('harmony-param-fields');
+    const label = document.getElementById('harmony-params-rule');
+    if (!rule || !fields) return;
+
+    label.textContent = rule.label;
+    const params = getParams(currentType);
+
+    fields.innerHTML = rule.params.map(key => {
+        const def = HARMONY_PARAMS[key];
+        return `
+            <label class="popover-field">
+                <span>${def.label} <em data-readout="${key}">${params[key]}${def.unit || ''}</em></span>
+                <input type="range" data-param="${key}" min="${def.min}" max="${def.max}" step="${def.step}" value="${params[key]}">
+            </label>
+        `;
+    }).join('');
+}
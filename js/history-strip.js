@@ -0,0 +1,78 @@
+import { hslToRgb, rgbToHex } from './utils/color-conversion.js';
+
+/**
+ * History Strip
+ * Undo/redo buttons, their keyboard shortcuts, and a scrollable row of
+ * palette thumbnails that jump straight to an earlier palette.
+ */
+
+// Index the strip last scrolled to, so edits that only replace the current
+// entry leave the user's scroll position alone
+let scrolledIndex = -1;
+
+export function initHistoryStrip({ onUndo, onRedo, onJump }) {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const strip = document.getElementById('history-strip');
+
+    if (undoBtn) undoBtn.addEventListener('click', onUndo);
+    if (redoBtn) redoBtn.addEventListener('click', onRedo);
+
+    if (strip) {
+        strip.addEventListener('click', (e) => {
+            const thumb = e.target.closest('.history-thumb');
+            if (thumb) onJump(Number(thumb.dataset.index));
+        });
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        // Leave native undo alone while editing text
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+        // Dialogs handle their own keys
+        if (document.querySelector('.modal:not(.hidden)')) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            onUndo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            onRedo();
+        }
+    });
+}
+
+/**
+ * Re-renders the buttons and thumbnails from a history created by createHistory.
+ * @param {object} history
+ */
+export function updateHistoryStrip(history) {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    const strip = document.getElementById('history-strip');
+
+    if (undoBtn) undoBtn.disabled = !history.canUndo();
+    if (redoBtn) redoBtn.disabled = !history.canRedo();
+    if (!strip) return;
+
+    strip.innerHTML = history.entries.map((entry, index) => {
+        const bands = entry.colors.map(color => {
+            const rgb = hslToRgb(color.h, color.s, color.l);
+            return `<span style="background:${rgbToHex(rgb.r, rgb.g, rgb.b)}"></span>`;
+        }).join('');
+        const current = index === history.index;
+        return `<button class="history-thumb ${current ? 'current' : ''}" data-index="${index}"
+            title="Palette ${index + 1}${current ? ' (current)' : ''}">${bands}</button>`;
+    }).join('');
+
+    // Bring the current palette into view when it changes
+    if (history.index === scrolledIndex) return;
+    scrolledIndex = history.index;
+    const currentThumb = strip.querySelector('.history-thumb.current');
+    if (currentThumb && currentThumb.scrollIntoView) {
+        currentThumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+    }
+}
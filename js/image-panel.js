@@ -0,0 +1,202 @@
+import { extractPalette, samplePixel } from './utils/image-palette.js';
+import { rgbToHex } from './utils/color-conversion.js';
+
+/**
+ * Image to Palette
+ * Loads a local image into a canvas, clusters its pixels into N colors in a
+ * Web Worker, and marks where each color came from. Dragging a marker
+ * resamples that color. Results are handed to onExtract as [{r, g, b}].
+ */
+
+// Images are downscaled to this many pixels on the long side before sampling
+const SAMPLE_SIZE = 256;
+
+let worker = null;
+let requestId = 0;
+let image = null; // { data, width, height }
+let picks = []; // [{ rgb, x, y }], one per palette column
+let previewUrl = null;
+let callbacks = {};
+
+const toHex = (rgb) => rgbToHex(rgb.r, rgb.g, rgb.b);
+
+export function initImagePanel({ onExtract, onError, getCount }) {
+    const btn = document.getElementById('image-btn');
+    const modal = document.getElementById('image-modal');
+    if (!modal) return;
+
+    callbacks = { onExtract, onError };
+
+    const closeBtn = document.getElementById('image-close');
+    const fileInput = document.getElementById('image-file');
+    const dropZone = document.getElementById('image-drop');
+    const countInput = document.getElementById('image-count');
+    const markers = document.getElementById('image-markers');
+
+    function close() {
+        modal.classList.add('hidden');
+    }
+
+    if (btn) {
+        btn.addEventListener('click', () => {
+            countInput.value = getCount();
+            modal.classList.remove('hidden');
+        });
+    }
+    closeBtn.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) loadImage(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    // Drop anywhere in the dialog
+    const body = modal.querySelector('.modal-body');
+    body.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('drag-over');
+    });
+    body.addEventListener('dragleave', (e) => {
+        if (!body.contains(e.relatedTarget)) dropZone.classList.remove('drag-over');
+    });
+    body.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('drag-over');
+        const file = [...e.dataTransfer.files].find(f => f.type.startsWith('image/'));
+        if (file) loadImage(file);
+        else onError('Drop an image file (PNG, JPEG, WebP or GIF)');
+    });
+
+    countInput.addEventListener('change', () => {
+        const count = Math.round(Number(countInput.value)) || Number(countInput.min);
+        countInput.value = Math.min(Number(countInput.max), Math.max(Number(countInput.min), count));
+        if (image) cluster(Number(countInput.value));
+    });
+
+    // Marker drag: update the marker live, apply the palette on release
+    let drag = null;
+    markers.addEventListener('pointerdown', (e) => {
+        const marker = e.target.closest('.image-marker');
+        if (!marker || e.button !== 0) return;
+        e.preventDefault();
+        drag = { index: Number(marker.dataset.index), pointerId: e.pointerId };
+        if (marker.setPointerCapture) marker.setPointerCapture(e.pointerId);
+        marker.classList.add('dragging');
+    });
+    markers.addEventListener('pointermove', (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        const rect = markers.getBoundingClientRect();
+        if (!rect.width || !rect.height) return;
+
+        const x = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+        const y = Math.min(1, Math.max(0, (e.clientY - rect.top) / rect.height));
+        picks[drag.index] = { x, y, rgb: samplePixel(image.data, image.width, image.height, x, y) };
+        // Update in place; re-rendering would drop the pointer capture
+        updatePick(drag.index);
+    });
+    const endDrag = (e) => {
+        if (!drag || e.pointerId !== drag.pointerId) return;
+        const marker = markers.querySelector(`[data-index="${drag.index}"]`);
+        if (marker) marker.classList.remove('dragging');
+        drag = null;
+        apply();
+    };
+    markers.addEventListener('pointerup', endDrag);
+    markers.addEventListener('pointercancel', endDrag);
+}
+
+function loadImage(file) {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+
+    img.onload = () => {
+        const scale = Math.min(1, SAMPLE_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+        const width = Math.max(1, Math.round(img.naturalWidth * scale));
+        const height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, width, height);
+        image = { data: ctx.getImageData(0, 0, width, height).data, width, height };
+
+        if (previewUrl) URL.revokeObjectURL(previewUrl);
+        previewUrl = url;
+        document.getElementById('image-preview').src = url;
+        document.getElementById('image-stage').classList.remove('hidden');
+        document.getElementById('image-drop').classList.add('has-image');
+
+        cluster(Number(document.getElementById('image-count').value));
+    };
+    img.onerror = () => {
+        URL.revokeObjectURL(url);
+        callbacks.onError(`Could not read ${file.name} as an image`);
+    };
+    img.src = url;
+}
+
+/**
+ * Runs extractPalette in the worker (or inline where workers are unavailable).
+ * Only the latest request's result is applied.
+ */
+function cluster(count) {
+    const id = ++requestId;
+    document.getElementById('image-stage').classList.add('busy');
+
+    if (typeof Worker === 'undefined') {
+        receive(id, extractPalette(image.data, image.width, image.height, count));
+        return;
+    }
+
+    if (!worker) {
+        worker = new Worker(new URL('./workers/palette-worker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', (e) => receive(e.data.id, e.data.colors));
+        worker.addEventListener('error', () => {
+            document.getElementById('image-stage').classList.remove('busy');
+            callbacks.onError('Could not extract colors from this image');
+        });
+    }
+
+    // Send a copy; the original stays here for marker resampling
+    const data = image.data.slice();
+    worker.postMessage({ id, data, width: image.width, height: image.height, count }, [data.buffer]);
+}
+
+function receive(id, colors) {
+    if (id !== requestId) return;
+    picks = colors.map(({ rgb, x, y }) => ({ rgb, x, y }));
+    renderPicks();
+    apply();
+}
+
+function apply() {
+    document.getElementById('image-stage').classList.remove('busy');
+    if (picks.length > 0) callbacks.onExtract(picks.map(p => p.rgb));
+}
+
+function renderPicks() {
+    document.getElementById('image-markers').innerHTML = picks.map((pick, index) => `
+        <button class="image-marker" data-index="${index}" title="Drag to resample color ${index + 1}"
+            style="left:${pick.x * 100}%; top:${pick.y * 100}%; background:${toHex(pick.rgb)}">${index + 1}</button>
+    `).join('');
+
+    document.getElementById('image-swatches').innerHTML = picks
+        .map(pick => `<span style="background:${toHex(pick.rgb)}"></span>`)
+        .join('');
+}
+
+function updatePick(index) {
+    const pick = picks[index];
+    const marker = document.querySelector(`#image-markers [data-index="${index}"]`);
+    if (marker) {
+        marker.style.left = `${pick.x * 100}%`;
+        marker.style.top = `${pick.y * 100}%`;
+        marker.style.background = toHex(pick.rgb);
+    }
+    const swatch = document.getElementById('image-swatches').children[index];
+    if (swatch) swatch.style.background = toHex(pick.rgb);
+}
@@ -0,0 +1,107 @@
+/**
+ * Keyboard Shortcuts
+ * Space generates, 1-9 (0 for the tenth) focus a column, and L / C / S lock,
+ * copy and open shades for the focused column. Arrow keys nudge its hue
+ * (left / right) and lightness (up / down); Shift nudges further. V toggles
+ * the visualizer. Nothing fires while typing or while a dialog is open.
+ */
+
+const NUDGES = {
+    ArrowLeft: { h: -1, l: 0 },
+    ArrowRight: { h: 1, l: 0 },
+    ArrowUp: { h: 0, l: 1 },
+    ArrowDown: { h: 0, l: -1 }
+};
+const SHIFT_MULTIPLIER = 10;
+
+/**
+ * True for elements that take text or keyboard input of their own.
+ * @param {Element|null} el
+ */
+export function isTypingTarget(el) {
+    return Boolean(el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName)));
+}
+
+/**
+ * @param {object} actions
+ * @param {Function} actions.randomize
+ * @param {Function} actions.getColumnCount
+ * @param {Function} actions.toggleLock - (index)
+ * @param {Function} actions.copy - (index)
+ * @param {Function} actions.toggleShades - (index)
+ * @param {Function} actions.toggleVisualizer
+ * @param {Function} actions.nudge - (index, { h, l }), repeated while an arrow key is held.
+ * @param {Function} actions.endNudge - Arrow key released.
+ * @param {Function} actions.onMessage - (text) for hints like "focus a column first".
+ */
+export function initKeyboardShortcuts(actions) {
+    const container = document.getElementById('palette-container');
+
+    const focusedIndex = () => {
+        const col = document.activeElement && document.activeElement.closest('.palette-column');
+        return col ? Number(col.dataset.index) : null;
+    };
+
+    const withColumn = (run) => {
+        const index = focusedIndex();
+        if (index === null) {
+            actions.onMessage('Press 1–9 to pick a column first');
+            return;
+        }
+        run(index);
+    };
+
+    document.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (isTypingTarget(e.target)) return;
+        // Dialogs and the command palette handle their own keys
+        if (document.querySelector('.modal:not(.hidden)')) return;
+
+        // Arrows on a drag handle reorder columns instead
+        const nudge = NUDGES[e.key];
+        if (nudge) {
+            if (e.target.closest && e.target.closest('.drag-handle')) return;
+            const index = focusedIndex();
+            if (index === null) return;
+            e.preventDefault();
+            const step = e.shiftKey ? SHIFT_MULTIPLIER : 1;
+            actions.nudge(index, { h: nudge.h * step, l: nudge.l * step });
+            return;
+        }
+
+        if (e.key === ' ') {
+            // Space still presses a focused button
+            if (e.target.tagName === 'BUTTON') return;
+            e.preventDefault();
+            actions.randomize();
+            return;
+        }
+
+        if (/^[0-9]$/.test(e.key)) {
+            const index = e.key === '0' ? 9 : Number(e.key) - 1;
+            if (index >= actions.getColumnCount()) return;
+            const col = container.querySelector(`.palette-column[data-index="${index}"]`);
+            if (col) col.focus();
+            return;
+        }
+
+        switch (e.key.toLowerCase()) {
+            case 'l':
+                withColumn(actions.toggleLock);
+                break;
+            case 'c':
+                withColumn(actions.copy);
+                break;
+            case 's':
+                withColumn(actions.toggleShades);
+                break;
+            case 'v':
+                actions.toggleVisualizer();
+                break;
+        }
+    });
+
+    document.addEventListener('keyup', (e) => {
+        if (NUDGES[e.key]) actions.endNudge();
+    });
+}
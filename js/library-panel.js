@@ -0,0 +1,259 @@
+import {
+    getPalettes, savePalette, deletePalette,
+    getCollections, saveCollection, deleteCollection,
+    exportLibrary, importLibrary
+} from './utils/library-store.js';
+import { searchPalettes, collectTags } from './utils/library-search.js';
+import { downloadFile } from './utils/download.js';
+import { escapeHtml } from './utils/escape-html.js';
+
+/**
+ * Library Panel
+ * Saves the current palette with a name, tags, notes and a collection, and
+ * lists saved palettes with text / tag / collection / color search.
+ * Opening a palette hands its record to onOpen.
+ */
+
+let currentPalette = null; // { colors: ['#hex'], harmonyType, activeRandomHarmony, locked }
+let palettes = [];
+let collections = [];
+const filters = { text: '', tag: '', collectionId: 'all', color: '' };
+let callbacks = {};
+
+export function initLibraryPanel({ onOpen, onMessage }) {
+    const btn = document.getElementById('library-btn');
+    const modal = document.getElementById('library-modal');
+    if (!modal) return;
+
+    callbacks = { onOpen, onMessage };
+
+    const closeBtn = document.getElementById('library-close');
+    const saveForm = document.getElementById('library-save-form');
+    const newCollectionBtn = document.getElementById('library-new-collection');
+    const deleteCollectionBtn = document.getElementById('library-delete-collection');
+    const searchInput = document.getElementById('library-search');
+    const collectionFilter = document.getElementById('library-collection-filter');
+    const colorToggle = document.getElementById('library-color-toggle');
+    const colorInput = document.getElementById('library-color');
+    const exportBtn = document.getElementById('library-export');
+    const importInput = document.getElementById('library-import');
+    const list = document.getElementById('library-list');
+    const tagList = document.getElementById('library-tags');
+
+    function close() {
+        modal.classList.add('hidden');
+    }
+
+    if (btn) {
+        btn.addEventListener('click', () => {
+            modal.classList.remove('hidden');
+            refresh();
+        });
+    }
+    closeBtn.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    saveForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!currentPalette) return;
+
+        const data = new FormData(saveForm);
+        await run(async () => {
+            await savePalette({
+                ...currentPalette,
+                name: data.get('name'),
+                tags: data.get('tags'),
+                notes: data.get('notes'),
+                collectionId: data.get('collectionId')
+            });
+            saveForm.reset();
+            onMessage('Palette saved to library');
+        });
+    });
+
+    newCollectionBtn.addEventListener('click', async () => {
+        const name = window.prompt('Collection name (e.g. a client or project)');
+        if (!name || !name.trim()) return;
+        await run(() => saveCollection({ name }));
+    });
+
+    deleteCollectionBtn.addEventListener('click', async () => {
+        const collection = collections.find(c => c.id === filters.collectionId);
+        if (!collection) return;
+        if (!window.confirm(`Delete the collection "${collection.name}"? Its palettes are kept.`)) return;
+        filters.collectionId = 'all';
+        await run(() => deleteCollection(collection.id));
+    });
+
+    searchInput.addEventListener('input', () => {
+        filters.text = searchInput.value;
+        renderList();
+    });
+
+    collectionFilter.addEventListener('change', () => {
+        filters.collectionId = collectionFilter.value;
+        renderList();
+    });
+
+    const syncColorFilter = () => {
+        filters.color = colorToggle.checked ? colorInput.value : '';
+        renderList();
+    };
+    colorToggle.addEventListener('change', syncColorFilter);
+    colorInput.addEventListener('input', () => {
+        colorToggle.checked = true;
+        syncColorFilter();
+    });
+
+    tagList.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-tag]');
+        if (!chip) return;
+        filters.tag = filters.tag === chip.dataset.tag ? '' : chip.dataset.tag;
+        renderList();
+    });
+
+    list.addEventListener('click', async (e) => {
+        const card = e.target.closest('.library-card');
+        if (!card) return;
+        const palette = palettes.find(p => p.id === card.dataset.id);
+        if (!palette) return;
+
+        const action = e.target.closest('[data-action]');
+        if (!action) return;
+
+        if (action.dataset.action === 'open') {
+            onOpen(palette);
+            close();
+        } else if (action.dataset.action === 'delete') {
+            if (!window.confirm(`Delete "${palette.name}"?`)) return;
+            await run(() => deletePalette(palette.id));
+        } else if (action.dataset.action === 'tag') {
+            filters.tag = action.dataset.tag;
+            renderList();
+        }
+    });
+
+    list.addEventListener('change', async (e) => {
+        const select = e.target.closest('select[data-action="move"]');
+        if (!select) return;
+        const palette = palettes.find(p => p.id === select.closest('.library-card').dataset.id);
+        if (palette) await run(() => savePalette({ ...palette, collectionId: select.value || null }));
+    });
+
+    exportBtn.addEventListener('click', async () => {
+        await run(async () => {
+            const backup = await exportLibrary();
+            const date = new Date().toISOString().slice(0, 10);
+            downloadFile(`micolors-library-${date}.json`, JSON.stringify(backup, null, 2), 'application/json');
+        }, false);
+    });
+
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        await run(async () => {
+            const result = await importLibrary(JSON.parse(await file.text()));
+            onMessage(`Imported ${result.palettes} palettes and ${result.collections} collections`);
+        });
+        importInput.value = '';
+    });
+}
+
+/**
+ * Keeps the "save current palette" form pointed at the palette on screen.
+ * @param {object} palette - { colors: ['#hex'], harmonyType, activeRandomHarmony, locked: [index] }
+ */
+export function updateLibraryPanel(palette) {
+    currentPalette = palette;
+    const preview = document.getElementById('library-current');
+    if (preview) preview.innerHTML = renderSwatches(palette.colors);
+}
+
+/**
+ * Runs a store operation, reports failures, and reloads the lists.
+ */
+async function run(operation, reload = true) {
+    try {
+        await operation();
+        if (reload) await refresh();
+    } catch (err) {
+        callbacks.onMessage(err.message || 'Library error');
+    }
+}
+
+async function refresh() {
+    try {
+        [palettes, collections] = await Promise.all([getPalettes(), getCollections()]);
+    } catch (err) {
+        callbacks.onMessage(err.message || 'Library unavailable');
+        palettes = [];
+        collections = [];
+    }
+    renderCollections();
+    renderList();
+}
+
+function renderSwatches(colors) {
+    return colors.map(hex => `<span style="background:${escapeHtml(hex)}"></span>`).join('');
+}
+
+function renderCollections() {
+    const options = collections.map(c => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join('');
+
+    const saveSelect = document.getElementById('library-save-collection');
+    saveSelect.innerHTML = `<option value="">No collection</option>${options}`;
+
+    const filterSelect = document.getElementById('library-collection-filter');
+    if (filters.collectionId !== 'all' && filters.collectionId !== 'none' &&
+        !collections.some(c => c.id === filters.collectionId)) {
+        filters.collectionId = 'all';
+    }
+    filterSelect.innerHTML = `<option value="all">All collections</option><option value="none">Uncollected</option>${options}`;
+    filterSelect.value = filters.collectionId;
+}
+
+function renderList() {
+    const list = document.getElementById('library-list');
+    const tagList = document.getElementById('library-tags');
+    const deleteCollectionBtn = document.getElementById('library-delete-collection');
+
+    deleteCollectionBtn.classList.toggle('hidden', !collections.some(c => c.id === filters.collectionId));
+
+    tagList.innerHTML = collectTags(palettes)
+        .map(tag => `<button class="tag-chip ${filters.tag === tag ? 'active' : ''}" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`)
+        .join('');
+
+    const results = searchPalettes(palettes, filters);
+    if (results.length === 0) {
+        list.innerHTML = `<p class="modal-hint">${palettes.length === 0
+            ? 'No saved palettes yet. Save the current palette to start your library.'
+            : 'No palettes match these filters.'}</p>`;
+        return;
+    }
+
+    const collectionOptions = (selected) => ['<option value="">No collection</option>']
+        .concat(collections.map(c => `<option value="${escapeHtml(c.id)}" ${c.id === selected ? 'selected' : ''}>${escapeHtml(c.name)}</option>`))
+        .join('');
+
+    list.innerHTML = results.map(palette => `
+        <article class="library-card" data-id="${escapeHtml(palette.id)}">
+            <div class="library-swatches">${renderSwatches(palette.colors)}</div>
+            <div class="library-card-body">
+                <div class="library-card-title">
+                    <strong>${escapeHtml(palette.name)}</strong>
+                    ${palette.colorDistance !== undefined ? `<span class="vision-delta">ΔE ${palette.colorDistance.toFixed(1)}</span>` : ''}
+                </div>
+                ${palette.tags.length ? `<div class="library-card-tags">${palette.tags.map(t =>
+                    `<button class="tag-chip" data-action="tag" data-tag="${escapeHtml(t)}">#${escapeHtml(t)}</button>`).join('')}</div>` : ''}
+                ${palette.notes ? `<p class="library-notes">${escapeHtml(palette.notes)}</p>` : ''}
+                <div class="library-card-actions">
+                    <button class="btn btn-primary btn-sm" data-action="open">Open</button>
+                    <select class="modal-select" data-action="move" title="Collection">${collectionOptions(palette.collectionId)}</select>
+                    <button class="btn btn-secondary btn-sm" data-action="delete">Delete</button>
+                </div>
+            </div>
+        </article>
+    `).join('');
+}
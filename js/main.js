@@ -1,28 +1,106 @@
-import { hexToRgb, rgbToHsl, hslToRgb, rgbToHex, isValidHex, rgbToHsb, rgbToCmyk } from './utils/color-conversion.js';
-import { generateHarmony } from './utils/color-harmony.js';
-import { generateScale } from './utils/color-scales.js';
-import { getContrastRatio, checkWcag, getAccessibleTextColor } from './utils/contrast.js';
-import { getColorName } from './utils/color-names.js';
+import { hexToRgb, rgbToExactHsl, hslToRgb, rgbToHex, mixOklab } from './utils/color-conversion.js';
+import { formatColorValue } from './utils/color-format.js';
+import { generateHarmony, HARMONY_RULES } from './utils/color-harmony.js';
+import { generateScale, DEFAULT_SCALE_OPTIONS } from './utils/color-scales.js';
+import { getContrast, formatContrast, getAccessibleTextColor } from './utils/contrast.js';
+import { simulateColorVision } from './utils/color-vision.js';
+import { findColorName, setNameDictionary, NAME_DICTIONARIES } from './utils/color-names.js';
 import { initVisualizer, updateVisualizations } from './visualizer.js';
+import { initScaleSettings, updateScaleSettings } from './scale-settings.js';
+import { initA11yPanel, updateA11yPanel } from './a11y-panel.js';
+import { initVisionSettings, updateVisionWarnings } from './vision-settings.js';
+import { initExportDialog, updateExportDialog, openExportDialog } from './export-dialog.js';
+import { initGradientDialog, updateGradientDialog } from './gradient-dialog.js';
+import { initSheetDialog, updateSheetDialog } from './sheet-dialog.js';
+import { initSwatchDialog, updateSwatchDialog } from './swatch-dialog.js';
+import { encodePaletteHash, decodePaletteHash } from './utils/url-state.js';
+import { createHistory } from './utils/history.js';
+import { initHistoryStrip, updateHistoryStrip } from './history-strip.js';
+import { initLibraryPanel, updateLibraryPanel } from './library-panel.js';
+import { initColumnDrag } from './column-drag.js';
+import { initColumnEditor, openColumnEditor } from './column-editor.js';
+import { parseColor } from './utils/color-parse.js';
+import { initImagePanel } from './image-panel.js';
+import { initHarmonySettings, updateHarmonySettings } from './harmony-settings.js';
+import { generatePalette, DEFAULT_CONSTRAINTS } from './utils/palette-generator.js';
+import { randomSeed } from './utils/random.js';
+import { initGeneratorSettings, updateGeneratorSettings } from './generator-settings.js';
+import { initKeyboardShortcuts } from './keyboard-shortcuts.js';
+import { initCommandPalette } from './command-palette.js';
+import { trapFocus } from './focus-trap.js';
+import { initThemeToggle, setThemePreference } from './theme-toggle.js';
+import { generateDarkPalette } from './utils/dark-palette.js';
+import { resolveRoles } from './utils/theme-roles.js';
+import { initRolePanel, updateRolePanel } from './role-panel.js';
+import { DATAVIS_SCHEMES, generateDataVisPalette } from './utils/datavis-palettes.js';
+import { updateChartPreview } from './chart-preview.js';
+import { initMockupPanel, updateMockupPanel, refreshMockupPanel } from './mockup-panel.js';
 
 // State
 const state = {
     baseColor: { h: 217, s: 91, l: 60 }, // #3b82f6
     harmonyType: 'random', // Default to random
     activeRandomHarmony: 'analogous', // The currently active rule for 'random' mode
+    harmonyOptions: { wheel: 'hsl', params: {} }, // Hue wheel, and tuned parameters per rule
+    dataVis: '', // Key of DATAVIS_SCHEMES while data-vis mode replaces the harmony
     colorFormat: 'hex',
+    columnCount: 5, // Number of palette columns the harmony fills
+    constraints: { ...DEFAULT_CONSTRAINTS }, // Mood, hue, S/L and contrast limits for generating
+    seed: null, // Seed the palette was generated from; null once it is set by hand
+    contrastMethod: 'wcag', // 'wcag' or 'apca', used everywhere contrast is reported
+    nameDictionary: 'css', // Key of NAME_DICTIONARIES that color names come from
+    vision: { type: 'none', severity: 1 }, // Color-vision simulation applied when rendering
     lockedIndices: new Set(),
     lockedColors: {}, // Map index -> hsl object
-    darkMode: false
+    customColors: {}, // Map index -> hsl object, set by imports; cleared on the next generate
+    scaleOptions: { ...DEFAULT_SCALE_OPTIONS }, // Passed to generateScale for the shades stack
+    openShades: new Set(), // Column indices whose shades stack is open
+    currentColors: [], // Final palette from the last updateUI, after locks are merged
+    showDarkPair: false, // Show (and copy / export) a dark-mode counterpart for each color
+    currentDarkColors: null, // Counterparts of currentColors while showDarkPair is on
+    darkMode: false, // App theme, kept in sync by the theme toggle
+    roleOptions: { scheme: 'light', overrides: {} } // Theme role scheme, and role -> candidate id picked by hand
 };
 
+// Rules 'random' mode picks from
+const RANDOM_HARMONIES = Object.keys(HARMONY_RULES);
+
+// Matches the stacked-column layout in style.css, where actions are revealed by tapping
+const MOBILE_LAYOUT = window.matchMedia('(max-width: 768px)');
+
+// Palette size limits for adding / removing columns
+const MIN_COLUMNS = 2;
+const MAX_COLUMNS = 10;
+
+// Undo/redo stack of palette snapshots
+const paletteHistory = createHistory(50);
+
+// When true, the next URL sync replaces the history entry instead of pushing one
+let replaceNextUrl = true;
+
+// Consecutive live edits with the same key (a slider drag, an editor session)
+// share one undo step and one URL entry
+let liveEditKey = null;
+let mergeNextSnapshot = false;
+
+// Why the last generate kept the old palette, shown in the constraints popover
+let generatorStatus = '';
+
+// Last resolveRoles result; rebuilding every scale costs tens of milliseconds,
+// so it is reused while the palette and role inputs are unchanged
+let themeRolesCache = { key: null, value: null };
+
 // DOM Elements
 const elements = {
     colorPicker: document.getElementById('color-picker'),
     colorInput: document.getElementById('color-input'),
+    dataVisSelect: document.getElementById('datavis-select'),
     harmonySelect: document.getElementById('harmony-select'),
     formatSelect: document.getElementById('format-select'),
+    contrastSelect: document.getElementById('contrast-select'),
+    namesSelect: document.getElementById('names-select'),
     randomizeBtn: document.getElementById('randomize-btn'),
+    darkPairBtn: document.getElementById('dark-pair-btn'),
     paletteContainer: document.getElementById('palette-container'), // Main container
     toast: document.getElementById('toast')
 };
@@ -32,15 +110,136 @@ function init() {
     // Event Listeners
     elements.colorPicker.addEventListener('input', handleColorPickerInput);
     elements.colorInput.addEventListener('change', handleTextInput);
+    elements.dataVisSelect.innerHTML = '<option value="">Harmony</option>' + Object.entries(DATAVIS_SCHEMES)
+        .map(([key, scheme]) => `<option value="${key}">${scheme.label}</option>`)
+        .join('');
+    elements.dataVisSelect.addEventListener('change', handleDataVisChange);
     elements.harmonySelect.addEventListener('change', handleHarmonyChange);
     elements.formatSelect.addEventListener('change', handleFormatChange);
-    elements.randomizeBtn.addEventListener('click', randomize);
+    elements.contrastSelect.addEventListener('change', handleContrastMethodChange);
+    elements.namesSelect.innerHTML = Object.entries(NAME_DICTIONARIES)
+        .map(([key, dictionary]) => `<option value="${key}">${dictionary.label}</option>`)
+        .join('');
+    elements.namesSelect.value = state.nameDictionary;
+    elements.namesSelect.addEventListener('change', handleNameDictionaryChange);
+    elements.randomizeBtn.addEventListener('click', () => randomize());
+    elements.darkPairBtn.addEventListener('click', toggleDarkPair);
+
+    // App theme: follows the system until toggled
+    initThemeToggle((dark) => {
+        state.darkMode = dark;
+    });
+
+    // Back/forward steps through palettes stored in the address bar
+    window.addEventListener('popstate', () => {
+        if (restoreFromUrl()) {
+            replaceNextUrl = true;
+            updateUI();
+        }
+    });
 
-    // Initial Random Selection
-    pickRandomHarmony();
+    // Initial Random Selection, unless the URL carries a palette
+    if (!restoreFromUrl()) {
+        pickRandomHarmony();
+    }
 
     // Initialize sidebar
-    initVisualizer();
+    initVisualizer({ onError: showToast, onOpen: refreshMockupPanel });
+
+    // Accessibility matrix
+    initA11yPanel();
+
+    // Color-vision simulation
+    initVisionSettings(state.vision, updateUI);
+
+    // Design token export
+    initExportDialog({ onCopy: copyToClipboard });
+
+    // Palette sheet (PNG, SVG, PDF)
+    initSheetDialog({ onError: showToast });
+
+    // Gradient builder
+    initGradientDialog({ onCopy: copyToClipboard });
+
+    // Semantic theme roles, shown in the visualizer
+    initRolePanel(state.roleOptions, {
+        onChange: updateUI,
+        onExport: () => openExportDialog('roles')
+    });
+
+    // The user's own SVGs, recolored in the visualizer
+    initMockupPanel({ onMessage: showToast });
+
+    // Swatch file export/import
+    initSwatchDialog({ onImport: importColors, onError: showToast, onMessage: showToast });
+
+    // Undo / redo and the recent palettes strip
+    initHistoryStrip({
+        onUndo: () => restoreSnapshot(paletteHistory.undo()),
+        onRedo: () => restoreSnapshot(paletteHistory.redo()),
+        onJump: (index) => restoreSnapshot(paletteHistory.jumpTo(index))
+    });
+
+    // Image to palette: the image's colors replace every unlocked column
+    initImagePanel({
+        onExtract: applyImageColors,
+        onError: showToast,
+        getCount: () => Math.max(MIN_COLUMNS, state.columnCount - state.lockedIndices.size)
+    });
+
+    // Saved palette library
+    initLibraryPanel({
+        onOpen: (palette) => {
+            applySavedPalette(palette);
+            updateUI();
+            showToast(`Opened ${palette.name}`);
+        },
+        onMessage: showToast
+    });
+
+    // Per-column editor popover
+    initColumnEditor({
+        onChange: editColumn,
+        onClose: endLiveEdit
+    });
+
+    // Generation constraints; changing them regenerates from the same seed
+    initGeneratorSettings(state.constraints, {
+        onChange: () => randomize(state.seed || randomSeed()),
+        onUseSeed: (seed) => randomize(seed)
+    });
+
+    // Harmony wheel and rule parameters; tuning regenerates every unlocked column
+    initHarmonySettings(state.harmonyOptions, {
+        onChange: () => {
+            beginLiveEdit('harmony');
+            state.customColors = {};
+            updateUI();
+        },
+        onSettle: endLiveEdit
+    });
+
+    // Global shortcuts; arrow keys edit the focused column like the editor does
+    initKeyboardShortcuts({
+        randomize: () => randomize(),
+        getColumnCount: () => state.currentColors.length,
+        toggleLock: (index) => toggleLock(index, state.currentColors[index]),
+        copy: copyColumn,
+        toggleShades,
+        toggleVisualizer: () => document.getElementById('viz-btn').click(),
+        nudge: nudgeColumn,
+        endNudge: endLiveEdit,
+        onMessage: showToast
+    });
+
+    // Ctrl+K: every action by name
+    initCommandPalette(getCommands);
+
+    // Drag (or arrow-key) reordering of columns
+    initColumnDrag(elements.paletteContainer, moveColumn);
+
+    // Shade scale settings re-render any open shades stacks
+    initScaleSettings(state.scaleOptions, updateUI);
 
     // Initial Render
     updateUI();
@@ -52,9 +251,9 @@ function handleColorPickerInput(e) {
 }
 
 function handleTextInput(e) {
-    const val = e.target.value;
-    if (isValidHex(val)) {
-        setColor(val);
+    const rgb = parseColor(e.target.value);
+    if (rgb) {
+        setColor(rgbToHex(rgb.r, rgb.g, rgb.b));
     } else {
         const rgb = hslToRgb(state.baseColor.h, state.baseColor.s, state.baseColor.l);
         elements.colorInput.value = rgbToHex(rgb.r, rgb.g, rgb.b);
@@ -63,25 +262,244 @@ function handleTextInput(e) {
 
 function handleHarmonyChange(e) {
     state.harmonyType = e.target.value;
+    state.customColors = {};
     // If switching TO random, allow it to just stick with whatever the last random was, 
     // or we could pick a new one immediately. Let's pick new.
     if (state.harmonyType === 'random') {
         pickRandomHarmony();
+        state.seed = null;
     }
     updateUI();
 }
 
+function handleDataVisChange(e) {
+    state.dataVis = e.target.value;
+    state.customColors = {};
+    state.seed = null;
+    updateUI();
+}
+
 function handleFormatChange(e) {
     state.colorFormat = e.target.value;
     updateUI();
 }
 
+function handleContrastMethodChange(e) {
+    state.contrastMethod = e.target.value;
+    updateUI();
+}
+
+function handleNameDictionaryChange(e) {
+    state.nameDictionary = e.target.value;
+    // Every other view (export, swatches, contrast matrix) names colors from the same dictionary
+    setNameDictionary(state.nameDictionary);
+    updateUI();
+}
+
 function pickRandomHarmony() {
-    const types = ['monochromatic', 'analogous', 'complementary', 'split-complementary', 'triadic'];
-    state.activeRandomHarmony = types[Math.floor(Math.random() * types.length)];
+    state.activeRandomHarmony = RANDOM_HARMONIES[Math.floor(Math.random() * RANDOM_HARMONIES.length)];
 }
 
-function randomize() {
+/**
+ * Loads palette state from the address bar hash.
+ * @returns {boolean} - false when the URL has no (valid) palette.
+ */
+function restoreFromUrl() {
+    const saved = decodePaletteHash(window.location.hash);
+    if (!saved) return false;
+
+    applySavedPalette(saved);
+    return true;
+}
+
+/**
+ * Puts a stored palette (from the URL or the library) into state without rendering.
+ * @param {object} saved - { colors: ['#hex'], harmonyType, activeRandomHarmony, colorFormat, locked }
+ */
+function applySavedPalette(saved) {
+    const isOption = (select, value) => [...select.options].some(o => o.value === value);
+    const colors = saved.colors.slice(0, MAX_COLUMNS).map(hex => {
+        const rgb = hexToRgb(hex);
+        return rgbToExactHsl(rgb.r, rgb.g, rgb.b);
+    });
+
+    if (isOption(elements.harmonySelect, saved.harmonyType)) state.harmonyType = saved.harmonyType;
+    state.dataVis = DATAVIS_SCHEMES[saved.dataVis] ? saved.dataVis : '';
+    if (RANDOM_HARMONIES.includes(saved.activeRandomHarmony)) state.activeRandomHarmony = saved.activeRandomHarmony;
+    if (isOption(elements.formatSelect, saved.colorFormat)) state.colorFormat = saved.colorFormat;
+
+    const locked = new Set(saved.locked || []);
+    applyColumns(colors.map((color, index) => ({ color, locked: locked.has(index) })));
+    state.seed = saved.seed || null;
+
+    elements.harmonySelect.value = state.harmonyType;
+    elements.dataVisSelect.value = state.dataVis;
+    elements.formatSelect.value = state.colorFormat;
+}
+
+/**
+ * Puts an explicit list of columns into state without rendering.
+ * Column 0 is the base; every other column is pinned so the palette stays
+ * exactly as given, with locked columns keeping their lock.
+ * @param {Array} columns - [{ color: {h, s, l}, locked: boolean }]
+ */
+function applyColumns(columns) {
+    state.columnCount = columns.length;
+    state.baseColor = columns[0].color;
+    state.seed = null;
+    state.lockedIndices = new Set();
+    state.lockedColors = {};
+    state.customColors = {};
+    state.openShades.clear();
+
+    columns.forEach(({ color, locked }, index) => {
+        if (locked) {
+            state.lockedIndices.add(index);
+            state.lockedColors[index] = color;
+        } else if (index > 0) {
+            state.customColors[index] = color;
+        }
+    });
+}
+
+/**
+ * The palette on screen as columns, so locks travel with their color.
+ */
+function getColumns() {
+    return state.currentColors.map((color, index) => ({ color, locked: state.lockedIndices.has(index) }));
+}
+
+/**
+ * Inserts a column at `index`, mixed (in OKLab) from its two neighbors.
+ */
+function insertColumn(index) {
+    const columns = getColumns();
+    if (columns.length >= MAX_COLUMNS || index <= 0 || index >= columns.length) return;
+
+    const before = columns[index - 1].color;
+    const after = columns[index].color;
+    const rgb = mixOklab(hslToRgb(before.h, before.s, before.l), hslToRgb(after.h, after.s, after.l));
+    columns.splice(index, 0, { color: rgbToExactHsl(rgb.r, rgb.g, rgb.b), locked: false });
+
+    applyColumns(columns);
+    updateUI();
+}
+
+function removeColumn(index) {
+    const columns = getColumns();
+    if (columns.length <= MIN_COLUMNS) return;
+
+    columns.splice(index, 1);
+    applyColumns(columns);
+    updateUI();
+}
+
+function moveColumn(from, to) {
+    const columns = getColumns();
+    if (from === to || to < 0 || to >= columns.length) return;
+
+    const [moved] = columns.splice(from, 1);
+    columns.splice(to, 0, moved);
+    applyColumns(columns);
+    updateUI();
+}
+
+/**
+ * Theme roles for the palette, reusing the last result when nothing they
+ * depend on changed.
+ */
+function resolveThemeRoles(colors) {
+    const scaleOptions = getScaleOptions();
+    const roleOptions = { ...state.roleOptions, method: state.contrastMethod };
+    const key = JSON.stringify([colors.map(c => [c.h, c.s, c.l]), scaleOptions, roleOptions]);
+    if (key !== themeRolesCache.key) {
+        themeRolesCache = { key, value: resolveRoles(colors, scaleOptions, roleOptions) };
+    }
+    return themeRolesCache.value;
+}
+
+/**
+ * Captures everything needed to bring the current palette back.
+ */
+function takeSnapshot() {
+    const locked = [...state.lockedIndices].sort((a, b) => a - b);
+    const colors = state.currentColors;
+    return {
+        key: JSON.stringify([colors.map(c => [c.h, c.s, c.l]), locked, state.harmonyType, state.dataVis]),
+        baseColor: state.baseColor,
+        harmonyType: state.harmonyType,
+        dataVis: state.dataVis,
+        activeRandomHarmony: state.activeRandomHarmony,
+        columnCount: state.columnCount,
+        seed: state.seed,
+        lockedIndices: locked,
+        lockedColors: { ...state.lockedColors },
+        colors
+    };
+}
+
+/**
+ * Puts a snapshot from takeSnapshot back into state and re-renders.
+ * @param {object|null} snapshot - null (nothing to undo/redo) is ignored.
+ */
+function restoreSnapshot(snapshot) {
+    if (!snapshot) return;
+
+    state.baseColor = snapshot.baseColor;
+    state.harmonyType = snapshot.harmonyType;
+    state.dataVis = snapshot.dataVis;
+    state.activeRandomHarmony = snapshot.activeRandomHarmony;
+    state.columnCount = snapshot.columnCount;
+    state.seed = snapshot.seed;
+    state.lockedIndices = new Set(snapshot.lockedIndices);
+    state.lockedColors = { ...snapshot.lockedColors };
+    // Pin the saved colors; regenerating them would pick up harmony settings changed since
+    state.customColors = {};
+    snapshot.colors.forEach((color, index) => {
+        if (!state.lockedIndices.has(index)) state.customColors[index] = color;
+    });
+
+    elements.harmonySelect.value = state.harmonyType;
+    elements.dataVisSelect.value = state.dataVis;
+    updateUI();
+}
+
+/**
+ * Writes the current palette to the address bar. A new palette gets its own
+ * history entry; format or lock changes just update the current one.
+ */
+function syncUrl() {
+    const hash = encodePaletteHash({
+        colors: state.currentColors.map(color => {
+            const rgb = hslToRgb(color.h, color.s, color.l);
+            return rgbToHex(rgb.r, rgb.g, rgb.b);
+        }),
+        harmonyType: state.harmonyType,
+        activeRandomHarmony: state.activeRandomHarmony,
+        dataVis: state.dataVis,
+        colorFormat: state.colorFormat,
+        locked: [...state.lockedIndices],
+        seed: state.seed
+    });
+
+    if (hash === window.location.hash) return;
+
+    const samePalette = hash.split('?')[0] === window.location.hash.split('?')[0];
+    if (replaceNextUrl || samePalette) {
+        history.replaceState(null, '', hash);
+    } else {
+        history.pushState(null, '', hash);
+    }
+    replaceNextUrl = false;
+}
+
+/**
+ * Generates a new palette from a seed, retrying until the generation
+ * constraints hold. Locked columns are kept. When the constraints can't be
+ * met the palette stays as it is and the reason is shown.
+ * @param {string} [seed] - Reproduces an earlier palette; a fresh seed by default.
+ */
+function randomize(seed = randomSeed()) {
     // Button Animation
     const btnIcon = elements.randomizeBtn.querySelector('.icon');
     if (btnIcon) {
@@ -91,19 +509,40 @@ function randomize() {
         setTimeout(() => btnIcon.classList.remove('spinning'), 600);
     }
 
-    // Logic: If 'random' mode, pick a NEW rule each time we generate
-    if (state.harmonyType === 'random') {
-        pickRandomHarmony();
-    }
+    // In 'random' mode every attempt may pick a different rule
+    const result = generatePalette({
+        seed,
+        constraints: state.constraints,
+        rules: state.harmonyType === 'random' ? RANDOM_HARMONIES : [state.harmonyType],
+        build: (baseColor, rule) => buildHarmony(baseColor, rule)
+            .map((color, index) => (state.lockedIndices.has(index) ? state.lockedColors[index] : color)),
+        lockedIndices: state.lockedIndices,
+        lockedBase: state.lockedIndices.has(0) ? state.lockedColors[0] : null
+    });
 
-    // If index 0 is NOT locked, we generate a new base.
-    if (!state.lockedIndices.has(0)) {
-        const h = Math.floor(Math.random() * 360);
-        const s = Math.floor(Math.random() * 40) + 60; // Vibrant
-        const l = Math.floor(Math.random() * 40) + 40; // Visible
-        state.baseColor = { h, s, l };
+    if (!result.ok) {
+        generatorStatus = result.reasons.join(' ');
+        showToast(`Couldn't meet the constraints: ${result.reasons[0]}`);
+        updateGeneratorSettings({ seed: state.seed, status: generatorStatus });
+        return;
     }
 
+    generatorStatus = '';
+    state.seed = seed;
+    if (state.harmonyType === 'random') state.activeRandomHarmony = result.rule;
+    if (!state.lockedIndices.has(0)) state.baseColor = result.baseColor;
+
+    // Colors pulled into the saturation / lightness limits no longer match
+    // the raw harmony, so pin them (imported colors are dropped as before)
+    const harmony = buildHarmony(result.baseColor, result.rule);
+    state.customColors = {};
+    result.colors.forEach((color, index) => {
+        const raw = harmony[index];
+        if (index > 0 && !state.lockedIndices.has(index) && (raw.s !== color.s || raw.l !== color.l)) {
+            state.customColors[index] = color;
+        }
+    });
+
     // Locks preserved!
     updateUI();
 }
@@ -111,11 +550,65 @@ function randomize() {
 function setColor(hex) {
     const rgb = hexToRgb(hex);
     if (rgb) {
-        state.baseColor = rgbToHsl(rgb.r, rgb.g, rgb.b);
+        state.baseColor = rgbToExactHsl(rgb.r, rgb.g, rgb.b);
+        state.customColors = {};
+        state.seed = null;
         updateUI();
     }
 }
 
+/**
+ * Fills the unlocked columns, in order, with colors from an imported file.
+ * Column 0 becomes the new base color so harmony changes start from it.
+ * @param {Array} rgbs - Array of {r, g, b}.
+ * @param {string} source - File name, for the toast.
+ */
+function importColors(rgbs, source) {
+    const queue = rgbs.map(rgb => rgbToExactHsl(rgb.r, rgb.g, rgb.b));
+    const columnCount = state.currentColors.length;
+    let filled = 0;
+
+    state.customColors = {};
+    state.seed = null;
+    for (let index = 0; index < columnCount && queue.length > 0; index++) {
+        if (state.lockedIndices.has(index)) continue;
+
+        const color = queue.shift();
+        if (index === 0) {
+            state.baseColor = color;
+        } else {
+            state.customColors[index] = color;
+        }
+        filled++;
+    }
+
+    updateUI();
+    showToast(`Imported ${filled} color${filled === 1 ? '' : 's'} from ${source}`);
+}
+
+/**
+ * Puts colors picked from an image into the unlocked columns, in order.
+ * Locked columns keep their color and place; the palette grows or shrinks
+ * so every picked color gets a column (up to MAX_COLUMNS).
+ * @param {Array} rgbs - Array of {r, g, b}.
+ */
+function applyImageColors(rgbs) {
+    const queue = rgbs.map(rgb => rgbToExactHsl(rgb.r, rgb.g, rgb.b));
+    const columns = [];
+    getColumns().forEach(column => {
+        if (column.locked) columns.push(column);
+        else if (queue.length > 0) columns.push({ color: queue.shift(), locked: false });
+        // An image with a single color still leaves a palette
+        else if (columns.length < MIN_COLUMNS) columns.push(column);
+    });
+    while (queue.length > 0 && columns.length < MAX_COLUMNS) {
+        columns.push({ color: queue.shift(), locked: false });
+    }
+
+    applyColumns(columns);
+    updateUI();
+}
+
 // Logic & Rendering
 function updateUI() {
     // 1. Update Inputs (Hidden sync)
@@ -129,60 +622,154 @@ function updateUI() {
     // 2. Generate Harmony
     // Use the active random harmony if mode is random
     const effectiveType = state.harmonyType === 'random' ? state.activeRandomHarmony : state.harmonyType;
-    const harmonyColors = generateHarmony(state.baseColor, effectiveType);
+    const harmonyColors = buildHarmony(state.baseColor, effectiveType);
+    updateHarmonySettings(effectiveType);
+    elements.harmonySelect.disabled = Boolean(state.dataVis);
 
-    // 3. Merge with Locked Colors
+    // 3. Merge with Locked (then Imported) Colors
     const finalColors = harmonyColors.map((color, index) => {
         if (state.lockedIndices.has(index)) {
             return state.lockedColors[index];
         }
+        if (state.customColors[index]) {
+            return state.customColors[index];
+        }
         return color;
     });
+    state.currentColors = finalColors;
+    state.currentDarkColors = state.showDarkPair ? generateDarkPalette(finalColors) : null;
+
+    // Record the palette (a no-op when it did not change)
+    if (mergeNextSnapshot) {
+        paletteHistory.replace(takeSnapshot());
+        mergeNextSnapshot = false;
+    } else {
+        paletteHistory.push(takeSnapshot());
+    }
+    updateHistoryStrip(paletteHistory);
 
     // 4. Render Columns
     // Pass effectiveType so we can verify visually what it is (optional)
     renderColumns(finalColors, effectiveType);
 
-    // 5. Update Visualization Panel
-    updateVisualizations(finalColors);
+    // 5. Assign Theme Roles and paint the Visualization Panel with them (through the vision simulation)
+    const themeRoles = resolveThemeRoles(finalColors);
+    updateRolePanel(themeRoles);
+    updateVisualizations(themeRoles.roles.map(({ role, hsl }) => ({
+        role,
+        rgb: toDisplayRgb(hslToRgb(hsl.h, hsl.s, hsl.l))
+    })));
+    updateChartPreview(finalColors.map(color => {
+        const rgb = toDisplayRgb(hslToRgb(color.h, color.s, color.l));
+        return rgbToHex(rgb.r, rgb.g, rgb.b);
+    }));
+    updateMockupPanel(themeRoles.candidates.map(({ id, label, hsl }) => {
+        const rgb = toDisplayRgb(hslToRgb(hsl.h, hsl.s, hsl.l));
+        return { id, label, hex: rgbToHex(rgb.r, rgb.g, rgb.b) };
+    }));
+
+    // 6. Update Accessibility Matrix (only re-renders while open)
+    updateA11yPanel(finalColors, state.contrastMethod);
+    updateScaleSettings(state.contrastMethod);
+
+    // 7. Update Color-Vision Warnings
+    updateVisionWarnings(finalColors);
+
+    // 8. Update Token, Swatch, Gradient and Sheet Export (only re-render while open)
+    updateExportDialog(finalColors, getScaleOptions(), state.currentDarkColors, themeRoles.roles);
+    updateSwatchDialog(finalColors, getScaleOptions(), state.currentDarkColors);
+    updateGradientDialog(finalColors, getScaleOptions());
+    updateSheetDialog(finalColors, getScaleOptions(), state.currentDarkColors);
+
+    // 9. Keep the library's "save current palette" form in sync
+    updateLibraryPanel({
+        colors: finalColors.map(color => {
+            const rgb = hslToRgb(color.h, color.s, color.l);
+            return rgbToHex(rgb.r, rgb.g, rgb.b);
+        }),
+        harmonyType: state.harmonyType,
+        activeRandomHarmony: state.activeRandomHarmony,
+        locked: [...state.lockedIndices].sort((a, b) => a - b)
+    });
+
+    // 10. Show the palette's seed
+    updateGeneratorSettings({ seed: state.seed, status: generatorStatus });
+
+    // 11. Keep the address bar shareable
+    syncUrl();
+}
+
+/**
+ * Runs a harmony rule with the user's wheel and tuned parameters, or the
+ * data-vis scheme while that mode is on.
+ */
+function buildHarmony(baseColor, type) {
+    if (state.dataVis) return generateDataVisPalette(baseColor, state.dataVis, state.columnCount);
+    return generateHarmony(baseColor, type, state.columnCount, {
+        wheel: state.harmonyOptions.wheel,
+        ...state.harmonyOptions.params[type]
+    });
+}
+
+/**
+ * Scale options with the global contrast method folded in.
+ */
+function getScaleOptions() {
+    return { ...state.scaleOptions, contrastMethod: state.contrastMethod };
+}
+
+/**
+ * Applies the active color-vision simulation to a color before it is painted.
+ * Displayed values and copies always use the real color.
+ */
+function toDisplayRgb(rgb) {
+    return simulateColorVision(rgb, state.vision.type, state.vision.severity);
 }
 
 function formatColor(hsl) {
-    const rgb = hslToRgb(hsl.h, hsl.s, hsl.l);
-
-    switch (state.colorFormat) {
-        case 'rgb':
-            return `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
-        case 'hsl':
-            return `hsl(${hsl.h}, ${hsl.s}%, ${hsl.l}%)`;
-        case 'hsb':
-            const hsb = rgbToHsb(rgb.r, rgb.g, rgb.b);
-            return `hsb(${hsb.h}, ${hsb.s}%, ${hsb.b}%)`;
-        case 'cmyk':
-            const cmyk = rgbToCmyk(rgb.r, rgb.g, rgb.b);
-            return `cmyk(${cmyk.c}%, ${cmyk.m}%, ${cmyk.y}%, ${cmyk.k}%)`;
-        case 'hex':
-        default:
-            return rgbToHex(rgb.r, rgb.g, rgb.b);
-    }
+    return formatColorValue(hsl, state.colorFormat);
+}
+
+/**
+ * Tooltip for a column's name: how close the dictionary color is.
+ */
+function describeNameMatch(match) {
+    const distance = `ΔE ${match.distance.toFixed(1)} from ${match.hex.toUpperCase()}`;
+    return match.approximate
+        ? `Approximate: the nearest name is ${distance}`
+        : `${Math.round(match.confidence * 100)}% match, ${distance}`;
 }
 
 function renderColumns(colors, currentHarmonyType) {
+    // Re-rendering drops focus; keyboard users stay on their column
+    const focused = document.activeElement && document.activeElement.closest('.palette-column');
+    const focusedIndex = focused && elements.paletteContainer.contains(focused) ? Number(focused.dataset.index) : null;
+    const focusInShades = Boolean(document.activeElement && document.activeElement.closest('.shades-stack'));
     elements.paletteContainer.innerHTML = '';
 
     colors.forEach((color, index) => {
         const rgb = hslToRgb(color.h, color.s, color.l);
         const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
-        const textColor = getAccessibleTextColor(rgb);
+        const shownRgb = toDisplayRgb(rgb);
+        const textColor = getAccessibleTextColor(shownRgb, state.contrastMethod);
+        const textContrast = formatContrast(getContrast(hexToRgb(textColor), shownRgb, state.contrastMethod), state.contrastMethod);
         const isLocked = state.lockedIndices.has(index);
-        const colorName = getColorName(hex);
+        const nameMatch = findColorName(hex);
+        const colorName = nameMatch.name;
+        const dark = state.currentDarkColors ? state.currentDarkColors[index] : null;
 
         // Formatted string for display
         const displayValue = formatColor(color);
 
+        const position = `${index + 1}`;
         const col = document.createElement('div');
-        col.className = 'palette-column';
-        col.style.backgroundColor = hex;
+        col.className = dark ? 'palette-column has-dark-pair' : 'palette-column';
+        col.dataset.index = index;
+        col.tabIndex = 0;
+        col.setAttribute('role', 'listitem');
+        col.setAttribute('aria-label', `Color ${position} of ${colors.length}: ${nameMatch.approximate ? 'roughly ' : ''}${colorName}, ${displayValue}` +
+            `${dark ? `, dark ${formatColor(dark)}` : ''}${isLocked ? ', locked' : ''}`);
+        col.style.backgroundColor = rgbToHex(shownRgb.r, shownRgb.g, shownRgb.b);
         col.style.color = textColor;
 
         // Show harmony type if random, or generic type logic?
@@ -193,20 +780,35 @@ function renderColumns(colors, currentHarmonyType) {
         col.innerHTML = `
             <div class="column-info">
                 <div class="column-text">
-                    <span class="column-hex">${displayValue}</span>
-                    <span class="column-name">${colorName}</span>
+                    <button class="column-hex" title="Edit color" aria-label="Edit color ${position}, ${displayValue}" aria-haspopup="dialog">${displayValue}</button>
+                    <span class="column-name" title="${describeNameMatch(nameMatch)}">${nameMatch.approximate
+                        ? '<span class="name-approximate" aria-hidden="true">≈</span>' : ''}${colorName}</span>
+                    <span class="column-contrast" title="Contrast of this text on the color">${textContrast}</span>
+                </div>
+                <div class="column-tools">
+                    <button class="column-tool drag-handle" title="Drag to reorder" aria-label="Move color ${position} (arrow keys)">
+                        <svg class="icon" viewBox="0 0 24 24" width="20" height="20"><path d="M11 18c0 1.1-.9 2-2 2s-2-.9-2-2 .9-2 2-2 2 .9 2 2zm-2-8c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0-6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm6 4c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm0 2c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2zm0 6c-1.1 0-2 .9-2 2s.9 2 2 2 2-.9 2-2-.9-2-2-2z"/></svg>
+                    </button>
+                    <button class="lock-btn ${isLocked ? 'locked' : ''}" title="Lock Color" aria-label="Lock color ${position}" aria-pressed="${isLocked}">
+                        ${isLocked || '' ?
+                    '<svg class="icon" viewBox="0 0 24 24" width="24" height="24"><path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-9-2c0-1.66 1.34-3 3-3s3 1.34 3 3v2H9V6zm9 14H6V10h12v10zm-6-3c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2z"/></svg>'
+                    :
+                    '<svg class="icon" viewBox="0 0 24 24" width="24" height="24"><path d="M12 17c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm6-9h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6h1.9c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm0 12H6V10h12v10z"/></svg>'
+                }
+                    </button>
+                    ${colors.length > MIN_COLUMNS ? `<button class="column-tool remove-btn" title="Remove Color" aria-label="Remove color ${position}">
+                        <svg class="icon" viewBox="0 0 24 24" width="20" height="20"><path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/></svg>
+                    </button>` : ''}
                 </div>
-                <button class="lock-btn ${isLocked ? 'locked' : ''}" title="Lock Color">
-                    ${isLocked || '' ?
-                '<svg class="icon" viewBox="0 0 24 24" width="24" height="24"><path d="M18 8h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm-9-2c0-1.66 1.34-3 3-3s3 1.34 3 3v2H9V6zm9 14H6V10h12v10zm-6-3c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2z"/></svg>'
-                :
-                '<svg class="icon" viewBox="0 0 24 24" width="24" height="24"><path d="M12 17c1.1 0 2-.9 2-2s-.9-2-2-2-2 .9-2 2 .9 2 2 2zm6-9h-1V6c0-2.76-2.24-5-5-5S7 3.24 7 6h1.9c0-1.71 1.39-3.1 3.1-3.1 1.71 0 3.1 1.39 3.1 3.1v2H6c-1.1 0-2 .9-2 2v10c0 1.1.9 2 2 2h12c1.1 0 2-.9 2-2V10c0-1.1-.9-2-2-2zm0 12H6V10h12v10z"/></svg>'
-            }
-                </button>
             </div>
-            
+            ${index < colors.length - 1 && colors.length < MAX_COLUMNS
+                ? `<button class="add-column-btn" title="Add a color between these two" aria-label="Insert a color between ${position} and ${index + 2}">+</button>`
+                : ''}
+
+            ${dark ? renderDarkBand(dark) : ''}
+
             <div class="column-actions">
-                <button class="action-btn view-shades-btn">
+                <button class="action-btn view-shades-btn" aria-expanded="${state.openShades.has(index)}">
                     <span>View Shades</span>
                 </button>
                 <button class="action-btn copy-btn">
@@ -222,24 +824,59 @@ function renderColumns(colors, currentHarmonyType) {
             toggleLock(index, color);
         });
 
+        // Interaction: Edit
+        const valueBtn = col.querySelector('.column-hex');
+        valueBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openColumnEditor(valueBtn, index, color);
+        });
+
+        // Interaction: Remove / insert after this column
+        const removeBtn = col.querySelector('.remove-btn');
+        if (removeBtn) {
+            removeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                removeColumn(index);
+            });
+        }
+
+        const addBtn = col.querySelector('.add-column-btn');
+        if (addBtn) {
+            addBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                insertColumn(index + 1);
+            });
+        }
+
         // Interaction: Copy uses properly formatted value
         const copyBtn = col.querySelector('.copy-btn');
         copyBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            copyToClipboard(displayValue);
+            copyColumn(index);
         });
 
+        const darkBtn = col.querySelector('.column-dark');
+        if (darkBtn) {
+            darkBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                copyToClipboard(formatColor(dark));
+            });
+        }
+
         // Interaction: View Shades
         const shadesBtn = col.querySelector('.view-shades-btn');
         shadesBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            showShadesForColumn(col, color, textColor);
+            if (state.openShades.has(index)) return;
+            showShadesForColumn(col, color, textColor, index);
+            // Move into the stack; Escape or its close button returns here
+            col.querySelector('.close-shades').focus();
         });
 
         // --- Mobile-Only Interaction: Toggle buttons on click ---
+        // (keyboard users get the same reveal through :focus-within)
         col.addEventListener('click', (e) => {
-            // Only fire if we are on mobile (CSS media query threshold)
-            if (window.innerWidth <= 768) {
+            if (MOBILE_LAYOUT.matches) {
                 // If the click happened on a button/input, don't toggle (already handled)
                 if (e.target.closest('button') || e.target.closest('input')) return;
 
@@ -258,34 +895,106 @@ function renderColumns(colors, currentHarmonyType) {
         });
 
         elements.paletteContainer.appendChild(col);
+
+        // Keep shades open across re-renders (format or scale changes)
+        if (state.openShades.has(index)) {
+            showShadesForColumn(col, color, textColor, index);
+        }
     });
+
+    if (focusedIndex !== null && focusedIndex < colors.length) {
+        const col = elements.paletteContainer.children[focusedIndex];
+        const shadesClose = focusInShades && col.querySelector('.close-shades');
+        (shadesClose || col).focus();
+    }
 }
 
-function showShadesForColumn(columnEl, colorHsl, textColor) {
+/**
+ * The dark-mode counterpart, shown in a band at the foot of its column.
+ */
+function renderDarkBand(dark) {
+    const rgb = toDisplayRgb(hslToRgb(dark.h, dark.s, dark.l));
+    const value = formatColor(dark);
+    return `
+        <button class="column-dark" style="background:${rgbToHex(rgb.r, rgb.g, rgb.b)}; color:${getAccessibleTextColor(rgb, state.contrastMethod)}"
+            title="Copy dark-mode counterpart" aria-label="Copy dark-mode counterpart ${value}">
+            <span class="column-dark-label">Dark</span>
+            <span class="column-dark-value">${value}</span>
+        </button>
+    `;
+}
+
+function toggleDarkPair() {
+    state.showDarkPair = !state.showDarkPair;
+    elements.darkPairBtn.classList.toggle('active', state.showDarkPair);
+    elements.darkPairBtn.setAttribute('aria-pressed', String(state.showDarkPair));
+    updateUI();
+}
+
+/**
+ * Copies a column's value, with its dark counterpart when the pair is shown (C).
+ */
+function copyColumn(index) {
+    const light = formatColor(state.currentColors[index]);
+    if (!state.currentDarkColors) {
+        copyToClipboard(light);
+        return;
+    }
+    const dark = formatColor(state.currentDarkColors[index]);
+    copyToClipboard(`${light} / ${dark}`, `Copied ${light} (light) and ${dark} (dark)`);
+}
+
+/**
+ * Opens or closes a column's shades stack (S).
+ */
+function toggleShades(index) {
+    const col = elements.paletteContainer.querySelector(`.palette-column[data-index="${index}"]`);
+    if (!col) return;
+    const closeBtn = col.querySelector('.close-shades');
+    if (closeBtn) closeBtn.click();
+    else col.querySelector('.view-shades-btn').click();
+}
+
+function showShadesForColumn(columnEl, colorHsl, textColor, index) {
     // Generate scale
-    const scale = generateScale(colorHsl);
+    const scale = generateScale(colorHsl, getScaleOptions());
+    state.openShades.add(index);
 
     // Create stack container
     const stack = document.createElement('div');
     stack.className = 'shades-stack';
+    stack.setAttribute('role', 'dialog');
+    stack.setAttribute('aria-label', `Shades of color ${index + 1}`);
+
+    const close = () => {
+        const returnFocus = stack.contains(document.activeElement);
+        stack.remove();
+        columnEl.classList.remove('show-shades');
+        state.openShades.delete(index);
+
+        const shadesBtn = columnEl.querySelector('.view-shades-btn');
+        shadesBtn.setAttribute('aria-expanded', 'false');
+        if (returnFocus) shadesBtn.focus();
+    };
 
     // Add close button
     const closeBtn = document.createElement('button');
     closeBtn.className = 'close-shades';
     closeBtn.innerHTML = '×';
+    closeBtn.setAttribute('aria-label', 'Close shades');
     closeBtn.onclick = (e) => {
         e.stopPropagation();
-        stack.remove();
-        columnEl.classList.remove('show-shades');
+        close();
     };
     stack.appendChild(closeBtn);
+    trapFocus(stack, close);
 
     // Render items
     scale.forEach(step => {
-        const rgb = hslToRgb(step.h, step.s, step.l);
+        const rgb = toDisplayRgb(hslToRgb(step.h, step.s, step.l));
         const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
         // Calculate contrast for this specific shade
-        const shadeTextColor = getAccessibleTextColor(rgb);
+        const shadeTextColor = getAccessibleTextColor(rgb, state.contrastMethod);
 
         // For shades, we might stick to HEX for display simplicity or match format
         // Let's stick to HEX on hover for now to avoid massive text strings, or use format
@@ -294,11 +1003,14 @@ function showShadesForColumn(columnEl, colorHsl, textColor) {
 
         const item = document.createElement('div');
         item.className = 'shade-item';
+        item.tabIndex = 0;
+        item.setAttribute('role', 'button');
+        item.setAttribute('aria-label', `Copy ${step.key} ${displayValue}`);
         item.style.backgroundColor = hex;
         item.style.color = shadeTextColor;
 
-        // Add dot if this is the base index (500)
-        if (step.key === 500) {
+        // Add dot on the stop the base color is pinned to
+        if (step.isBase) {
             const dot = document.createElement('span');
             dot.className = 'shade-base-dot';
             item.appendChild(dot);
@@ -310,12 +1022,75 @@ function showShadesForColumn(columnEl, colorHsl, textColor) {
         label.textContent = displayValue;
         item.appendChild(label);
 
+        // Contrast-solved stops show what they achieved vs. what was asked for
+        if (step.contrast) {
+            const ratio = document.createElement('span');
+            ratio.className = 'shade-contrast';
+            const achieved = formatContrast(step.contrast.achieved, step.contrast.method);
+            const target = formatContrast(step.contrast.target, step.contrast.method);
+            ratio.textContent = `${step.contrast.outOfOrder ? '⚠ ' : ''}${achieved} · target ${target}`;
+            ratio.title = `${step.key}: ${achieved} against ${state.scaleOptions.contrastBackground} (target ${target})` +
+                (step.contrast.outOfOrder ? '. This target is lower than a stop before it, so the scale turns back here' : '');
+            item.appendChild(ratio);
+        }
+
         item.addEventListener('click', () => copyToClipboard(displayValue));
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                copyToClipboard(displayValue);
+            }
+        });
         stack.appendChild(item);
     });
 
     columnEl.appendChild(stack);
     columnEl.classList.add('show-shades');
+    columnEl.querySelector('.view-shades-btn').setAttribute('aria-expanded', 'true');
+}
+
+/**
+ * Applies a color from the column editor. Edited columns are locked so the
+ * next generate keeps them.
+ */
+function editColumn(index, color) {
+    state.lockedIndices.add(index);
+    state.lockedColors[index] = color;
+    if (index === 0) state.baseColor = color;
+
+    beginLiveEdit(`column-${index}`);
+    updateUI();
+}
+
+/**
+ * Shifts a column's hue and lightness (arrow keys). Held keys share one undo step.
+ * @param {number} index
+ * @param {object} delta - { h, l } in degrees / percentage points.
+ */
+function nudgeColumn(index, delta) {
+    const color = state.currentColors[index];
+    if (!color) return;
+    editColumn(index, {
+        h: (color.h + delta.h + 360) % 360,
+        s: color.s,
+        l: Math.min(100, Math.max(0, color.l + delta.l))
+    });
+}
+
+/**
+ * Marks the next updateUI as part of a live edit. Repeats of the same key
+ * overwrite the last undo step and URL entry instead of adding new ones.
+ */
+function beginLiveEdit(key) {
+    if (liveEditKey === key) {
+        mergeNextSnapshot = true;
+        replaceNextUrl = true;
+    }
+    liveEditKey = key;
+}
+
+function endLiveEdit() {
+    liveEditKey = null;
 }
 
 function toggleLock(index, color) {
@@ -329,15 +1104,76 @@ function toggleLock(index, color) {
     updateUI();
 }
 
-function copyToClipboard(text) {
+function copyToClipboard(text, message = `Copied ${text}`) {
     navigator.clipboard.writeText(text).then(() => {
-        showToast(`Copied ${text}`);
+        showToast(message);
     });
 }
 
+/**
+ * Everything the command palette can run. Settings go through their own
+ * controls so those stay in sync.
+ */
+function getCommands() {
+    const click = (id) => () => document.getElementById(id).click();
+    const choose = (select) => (value) => () => {
+        select.value = value;
+        select.dispatchEvent(new Event('change'));
+    };
+    const fromOptions = (select, prefix) => [...select.options]
+        .filter(option => option.value !== select.value)
+        .map(option => ({ label: `${prefix}: ${option.textContent.trim()}`, run: choose(select)(option.value) }));
+
+    const moodSelect = document.getElementById('generator-mood');
+    const rolesScheme = document.getElementById('roles-scheme');
+    const columns = state.currentColors.map((color, index) => {
+        const locked = state.lockedIndices.has(index);
+        return [
+            { label: `${locked ? 'Unlock' : 'Lock'} color ${index + 1}`, run: () => toggleLock(index, color) },
+            { label: `Copy color ${index + 1} (${formatColor(color)})`, run: () => copyColumn(index) },
+            { label: `Shades of color ${index + 1}`, run: () => toggleShades(index) }
+        ];
+    }).flat();
+
+    return [
+        { label: 'Generate palette', hint: 'Space', run: () => randomize() },
+        { label: 'Undo', hint: 'Ctrl+Z', run: () => restoreSnapshot(paletteHistory.undo()) },
+        { label: 'Redo', hint: 'Shift+Ctrl+Z', run: () => restoreSnapshot(paletteHistory.redo()) },
+        { label: 'Copy palette link', run: () => copyToClipboard(window.location.href, 'Copied palette link') },
+        { label: 'Open visualizer', hint: 'V', run: click('viz-btn') },
+        { label: 'Load SVG mockups', run: click('mockup-load') },
+        { label: 'Export design tokens', run: click('export-btn') },
+        { label: 'Export theme roles', run: () => openExportDialog('roles') },
+        { label: 'Reset theme roles', run: click('roles-reset') },
+        { label: 'Export swatch files', run: click('swatch-btn') },
+        { label: 'Build a gradient', run: click('gradient-btn') },
+        { label: 'Export palette sheet (PNG, SVG, PDF)', run: click('sheet-btn') },
+        { label: 'Open saved palettes', run: click('library-btn') },
+        { label: 'Image to palette', run: click('image-btn') },
+        { label: 'Open contrast matrix', run: click('a11y-btn') },
+        { label: 'Color vision simulation', run: click('vision-btn') },
+        { label: 'Shade scale settings', run: click('scale-settings-btn') },
+        { label: 'Generation constraints', run: click('generator-btn') },
+        { label: 'Tune harmony', run: click('harmony-params-btn') },
+        { label: `${state.showDarkPair ? 'Hide' : 'Show'} dark-mode counterparts`, run: toggleDarkPair },
+        { label: `Switch to ${state.darkMode ? 'light' : 'dark'} theme`, run: () => setThemePreference(state.darkMode ? 'light' : 'dark') },
+        { label: 'Use system theme', run: () => setThemePreference(null) },
+        ...fromOptions(elements.dataVisSelect, 'Data-vis'),
+        ...(state.dataVis ? [] : fromOptions(elements.harmonySelect, 'Harmony')),
+        ...fromOptions(elements.formatSelect, 'Format'),
+        ...fromOptions(elements.contrastSelect, 'Contrast'),
+        ...fromOptions(elements.namesSelect, 'Names'),
+        ...(moodSelect ? fromOptions(moodSelect, 'Mood') : []),
+        ...(rolesScheme ? fromOptions(rolesScheme, 'Theme roles') : []),
+        ...columns
+    ];
+}
+
+/**
+ * Shows a short message; #toast is a polite live region, so screen readers announce it too.
+ */
 function showToast(msg) {
     elements.toast.textContent = msg;
-    elements.toast.classList.remove('hidden');
     elements.toast.classList.remove('toast-hidden');
 
     setTimeout(() => {
@@ -0,0 +1,223 @@
+import { prepareSvg, compileSvg, autoMapColors, hashMarkup } from './utils/svg-recolor.js';
+import { getMockups, saveMockup, deleteMockup } from './utils/library-store.js';
+import { escapeHtml } from './utils/escape-html.js';
+
+/**
+ * Mockup Panel
+ * Shows the user's own SVG illustrations, logos and screens in the
+ * visualizer, recolored with the palette. Each color found in an SVG maps to
+ * a palette slot ("2" or "2-300", as in the theme roles) or keeps its own
+ * color. Saved mockups live in the library database with their mapping and
+ * come back on the next visit; loading the same file again picks its mapping up.
+ * Each SVG is parsed once; palette changes repaint only while the visualizer
+ * is open, and only mockups whose colors actually changed.
+ */
+
+let mockups = []; // [{ id, name, markup, colors, render, mapping, saved, createdAt, painted }]
+let currentSlots = []; // [{ id, label, hex }]
+let slotSignature = '';
+let stale = false; // Slots changed while the visualizer was closed
+
+export function initMockupPanel({ onMessage }) {
+    const loadBtn = document.getElementById('mockup-load');
+    const fileInput = document.getElementById('mockup-file');
+    const list = document.getElementById('mockup-list');
+    if (!fileInput || !list) return;
+
+    loadBtn.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', async () => {
+        const files = [...fileInput.files];
+        fileInput.value = '';
+        for (const file of files) {
+            try {
+                await addMockup(file.name, await file.text());
+            } catch (err) {
+                onMessage(`${file.name}: ${err.message}`);
+            }
+        }
+        renderList();
+    });
+
+    list.addEventListener('change', (e) => {
+        const select = e.target.closest('.mockup-color select');
+        if (!select) return;
+        const mockup = findMockup(select);
+        if (select.value) mockup.mapping[select.dataset.hex] = select.value;
+        else delete mockup.mapping[select.dataset.hex];
+        mockup.saved = false;
+        renderMockup(mockup);
+    });
+
+    list.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const mockup = findMockup(button);
+
+        try {
+            if (button.dataset.action === 'save') {
+                await saveMockup(mockup);
+                mockup.saved = true;
+                renderMockup(mockup);
+                onMessage(`Saved mapping for ${mockup.name}`);
+            } else if (button.dataset.action === 'remove') {
+                if (mockup.saved) await deleteMockup(mockup.id);
+                mockups = mockups.filter(m => m !== mockup);
+                renderList();
+                loadBtn.focus();
+            }
+        } catch (err) {
+            onMessage(err.message);
+        }
+    });
+
+    // The library database may be unavailable (e.g. private browsing); loading still works
+    getMockups()
+        .then(saved => {
+            saved.forEach(record => {
+                if (mockups.some(m => m.id === record.id)) return;
+                mockups.push({ ...record, ...compile(record.markup), saved: true });
+            });
+            renderList();
+        })
+        .catch(() => {});
+}
+
+/**
+ * @param {Array} slots - [{ id, label, hex }]: palette colors and shades,
+ *   already run through the vision simulation.
+ */
+export function updateMockupPanel(slots) {
+    currentSlots = slots;
+    const panel = document.getElementById('viz-panel');
+    if (panel && !panel.classList.contains('active')) {
+        stale = true;
+        return;
+    }
+    repaint();
+}
+
+/**
+ * Catches up with palette changes made while the visualizer was closed.
+ */
+export function refreshMockupPanel() {
+    if (stale) repaint();
+}
+
+function repaint() {
+    stale = false;
+    const signature = currentSlots.map(slot => slot.id).join(',');
+    // New or removed columns change the choices; otherwise only colors change
+    if (signature !== slotSignature) {
+        slotSignature = signature;
+        renderList();
+    } else {
+        mockups.forEach(renderMockup);
+    }
+}
+
+async function addMockup(name, text) {
+    const markup = prepareSvg(text);
+    const id = hashMarkup(markup);
+    if (mockups.some(m => m.id === id)) throw new Error('already loaded');
+
+    const { colors, render } = compile(markup);
+    if (colors.length === 0) throw new Error('no colors to map');
+
+    const paletteSize = currentSlots.filter(slot => !slot.id.includes('-')).length;
+    const saved = await getMockups().then(records => records.find(r => r.id === id)).catch(() => null);
+    mockups.push(saved
+        ? { ...saved, colors, render, saved: true }
+        : { id, name, markup, colors, render, mapping: autoMapColors(colors, paletteSize), saved: false, createdAt: Date.now() });
+}
+
+function compile(markup) {
+    const { colors, render } = compileSvg(markup);
+    return { colors, render, painted: null };
+}
+
+function findMockup(el) {
+    const id = el.closest('.mockup').dataset.mockup;
+    return mockups.find(m => m.id === id);
+}
+
+function slotHex(id) {
+    const slot = currentSlots.find(s => s.id === id);
+    return slot ? slot.hex : null;
+}
+
+function renderList() {
+    const list = document.getElementById('mockup-list');
+    const empty = document.getElementById('mockup-empty');
+    if (!list) return;
+
+    if (empty) empty.classList.toggle('hidden', mockups.length > 0);
+
+    const choices = currentSlots
+        .map(slot => `<option value="${slot.id}">${slot.label}</option>`)
+        .join('');
+
+    list.innerHTML = mockups.map(mockup => `
+        <figure class="mockup" data-mockup="${mockup.id}">
+            <img class="mockup-image" alt="${escapeHtml(mockup.name)}, recolored with the palette">
+            <figcaption class="mockup-header">
+                <span class="mockup-name" title="${escapeHtml(mockup.name)}">${escapeHtml(mockup.name)}</span>
+                <button class="btn btn-secondary btn-sm" data-action="save"></button>
+                <button class="btn btn-secondary btn-sm" data-action="remove">Remove</button>
+            </figcaption>
+            <ul class="mockup-colors">
+                ${mockup.colors.map(({ hex, count }) => `
+                    <li class="mockup-color">
+                        <span class="a11y-chip" style="background:${hex}" title="${hex}, used ${count}×"></span>
+                        <span class="mockup-arrow" aria-hidden="true">→</span>
+                        <span class="a11y-chip mockup-target"></span>
+                        <select class="modal-select" data-hex="${hex}" aria-label="Replace ${hex} with">
+                            <option value="">Keep ${hex}</option>
+                            ${choices}
+                        </select>
+                    </li>
+                `).join('')}
+            </ul>
+        </figure>
+    `).join('');
+
+    mockups.forEach(mockup => {
+        // A slot on a removed column shows as kept, and comes back with the column
+        const el = list.querySelector(`[data-mockup="${mockup.id}"]`);
+        el.querySelectorAll('select').forEach(select => {
+            const id = mockup.mapping[select.dataset.hex];
+            select.value = id && slotHex(id) ? id : '';
+        });
+        mockup.painted = null;
+        renderMockup(mockup);
+    });
+}
+
+/**
+ * Repaints one mockup and its mapping chips without rebuilding its controls.
+ */
+function renderMockup(mockup) {
+    const el = document.querySelector(`#mockup-list [data-mockup="${mockup.id}"]`);
+    if (!el) return;
+
+    const replacements = {};
+    Object.entries(mockup.mapping).forEach(([hex, id]) => {
+        const target = slotHex(id);
+        if (target) replacements[hex] = target;
+    });
+
+    // Re-encoding a large SVG is the slow part; skip it when nothing changed
+    const painted = JSON.stringify(replacements);
+    if (painted !== mockup.painted) {
+        mockup.painted = painted;
+        el.querySelector('.mockup-image').src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(mockup.render(replacements))}`;
+    }
+    el.querySelectorAll('.mockup-color').forEach(row => {
+        const hex = row.querySelector('select').dataset.hex;
+        row.querySelector('.mockup-target').style.background = replacements[hex] || hex;
+    });
+
+    const saveBtn = el.querySelector('[data-action="save"]');
+    saveBtn.textContent = mockup.saved ? 'Saved' : 'Save mapping';
+    saveBtn.disabled = mockup.saved;
+}
@@ -0,0 +1,135 @@
+import { hslToRgb, rgbToHex } from './utils/color-conversion.js';
+import { formatContrast } from './utils/contrast.js';
+import { THEME_ROLES, ROLE_SCHEMES } from './utils/theme-roles.js';
+
+/**
+ * Theme Roles
+ * Lists each semantic role (primary, background, text, success, ...) with
+ * the color it was given, its contrast in the selected method and a picker
+ * for overriding it with any palette color or shade. The options object ({ scheme, overrides })
+ * is mutated in place; "Auto" clears a role's override.
+ */
+
+let currentRoles = [];
+let currentCandidates = [];
+
+export function initRolePanel(options, { onChange, onExport }) {
+    const list = document.getElementById('roles-list');
+    if (!list) return;
+
+    const schemeSelect = document.getElementById('roles-scheme');
+    const resetBtn = document.getElementById('roles-reset');
+    const exportBtn = document.getElementById('roles-export');
+
+    schemeSelect.innerHTML = Object.entries(ROLE_SCHEMES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+    schemeSelect.value = options.scheme;
+
+    schemeSelect.addEventListener('change', () => {
+        options.scheme = schemeSelect.value;
+        onChange();
+    });
+
+    resetBtn.addEventListener('click', () => {
+        options.overrides = {};
+        onChange();
+    });
+
+    if (exportBtn) exportBtn.addEventListener('click', onExport);
+
+    list.addEventListener('change', (e) => {
+        const select = e.target.closest('.role-select');
+        if (!select) return;
+        if (select.value) options.overrides[select.dataset.role] = select.value;
+        else delete options.overrides[select.dataset.role];
+        onChange();
+    });
+
+    // Every role can take any of ~100 shades; only build the full list when a
+    // picker is about to open
+    list.addEventListener('focusin', (e) => {
+        const select = e.target.closest('.role-select');
+        if (!select || select.dataset.filled) return;
+        const role = currentRoles.find(r => r.role === select.dataset.role);
+        select.innerHTML = renderOptions(role, true);
+        select.value = role.overridden ? role.id : '';
+        select.dataset.filled = 'true';
+    });
+}
+
+/**
+ * @param {object} resolved - From resolveRoles: { roles, candidates }.
+ */
+export function updateRolePanel({ roles, candidates }) {
+    currentRoles = roles;
+    currentCandidates = candidates;
+
+    const list = document.getElementById('roles-list');
+    if (!list) return;
+
+    // Keep focus on the picker that was just changed
+    const focusedRole = list.contains(document.activeElement) ? document.activeElement.dataset.role : null;
+
+    list.innerHTML = roles.map(role => `
+        <div class="role-row">
+            <span class="a11y-chip" style="background:${role.hex}"></span>
+            <label class="role-label" for="role-${role.role}">${role.label}</label>
+            <select id="role-${role.role}" class="popover-input role-select" data-role="${role.role}">
+                ${renderOptions(role, false)}
+            </select>
+            ${renderBadge(role)}
+        </div>
+    `).join('');
+
+    const failing = roles.filter(role => !role.passes);
+    const status = document.getElementById('roles-status');
+    if (status) {
+        status.textContent = failing.length === 0
+            ? 'Every role meets its contrast minimum.'
+            : `Below minimum contrast: ${failing.map(role => role.label).join(', ')}.`;
+        status.classList.toggle('warning', failing.length > 0);
+    }
+
+    const resetBtn = document.getElementById('roles-reset');
+    if (resetBtn) resetBtn.disabled = !roles.some(role => role.overridden);
+
+    if (focusedRole) {
+        const select = document.getElementById(`role-${focusedRole}`);
+        if (select) select.focus();
+    }
+}
+
+function toHex(hsl) {
+    const rgb = hslToRgb(hsl.h, hsl.s, hsl.l);
+    return rgbToHex(rgb.r, rgb.g, rgb.b);
+}
+
+/**
+ * "Auto" (naming what it picked) followed by the override choices. Until the
+ * picker is opened only the current choice is listed.
+ */
+function renderOptions(role, full) {
+    const auto = `<option value="">${role.overridden ? 'Auto' : `Auto · ${role.source}`}</option>`;
+    if (!full) {
+        return role.overridden
+            ? `${auto}<option value="${role.id}" selected>${role.source} · ${role.hex}</option>`
+            : auto;
+    }
+
+    const groups = [];
+    currentCandidates.forEach(candidate => {
+        const option = `<option value="${candidate.id}">${candidate.key === null ? 'Base' : candidate.key} · ${toHex(candidate.hsl)}</option>`;
+        if (candidate.key === null) groups.push({ label: candidate.label, options: [] });
+        groups[groups.length - 1].options.push(option);
+    });
+    return auto + groups.map(group => `<optgroup label="${group.label}">${group.options.join('')}</optgroup>`).join('');
+}
+
+function renderBadge(role) {
+    if (role.contrast === null) return '<span></span>';
+
+    const against = THEME_ROLES[role.role].against.map(other => THEME_ROLES[other].label.toLowerCase()).join(' and ');
+    const title = `${formatContrast(role.contrast, role.method)} against ${against}, needs ${formatContrast(role.minContrast, role.method)}`;
+    return `<span class="a11y-badge role-badge ${role.passes ? 'pass' : 'fail'}" title="${title}">${formatContrast(role.contrast, role.method)}</span>`;
+}
@@ -0,0 +1,172 @@
+import { SCALE_PRESETS, CONTRAST_TARGET_LIMITS, parseStops, parseContrastTargets } from './utils/color-scales.js';
+
+/**
+ * Scale Settings Popover
+ * Lets the user configure how generateScale builds the "View Shades" stack.
+ * The options object is mutated in place and onChange is called after each edit.
+ * Contrast targets are kept per contrast method, so ratios never read as Lc.
+ */
+
+let contrastMethod = 'wcag';
+let renderTargets = () => {};
+
+export function initScaleSettings(options, onChange) {
+    const btn = document.getElementById('scale-settings-btn');
+    const panel = document.getElementById('scale-settings');
+    if (!btn || !panel) return;
+
+    const spaceSelect = document.getElementById('scale-space');
+    const stopsSelect = document.getElementById('scale-stops');
+    const customInput = document.getElementById('scale-custom-stops');
+    const baseSelect = document.getElementById('scale-base-stop');
+    const hueInput = document.getElementById('scale-hue-shift');
+    const hueValue = document.getElementById('scale-hue-shift-value');
+    const curveSelect = document.getElementById('scale-chroma-curve');
+    const modeSelect = document.getElementById('scale-mode');
+    const contrastBgSelect = document.getElementById('scale-contrast-bg');
+    const targetsInput = document.getElementById('scale-contrast-targets');
+    const targetsLabel = document.getElementById('scale-contrast-targets-label');
+
+    function formatTargets(targets) {
+        return Object.entries(targets).map(([key, value]) => `${key}:${value}`).join(', ');
+    }
+
+    function showInvalidTargets(invalid) {
+        const { min, max } = CONTRAST_TARGET_LIMITS[contrastMethod];
+        targetsInput.classList.toggle('invalid', invalid.length > 0);
+        targetsInput.title = invalid.length > 0
+            ? `Ignored: ${invalid.join(', ')} (targets must be ${min}–${max})`
+            : '';
+    }
+
+    renderTargets = () => {
+        const { min, max, unit } = CONTRAST_TARGET_LIMITS[contrastMethod];
+        targetsLabel.textContent = `Targets (stop:${unit}, ${min}–${max})`;
+        targetsInput.placeholder = contrastMethod === 'apca' ? 'e.g. 600:60, 700:75' : 'e.g. 600:4.5, 700:7';
+        targetsInput.value = formatTargets(options.contrastTargets[contrastMethod] || {});
+        showInvalidTargets([]);
+    };
+
+    // Only show the fields that apply to the current mode
+    function syncMode() {
+        const isContrast = options.mode === 'contrast';
+        panel.querySelectorAll('.contrast-only').forEach(el => el.classList.toggle('hidden', !isContrast));
+        panel.querySelectorAll('.lightness-only').forEach(el => el.classList.toggle('hidden', isContrast));
+    }
+
+    function renderBaseOptions() {
+        baseSelect.innerHTML = options.stops
+            .map(key => `<option value="${key}">${key}</option>`)
+            .join('');
+        if (!options.stops.includes(options.baseStop)) {
+            options.baseStop = options.stops[Math.floor((options.stops.length - 1) / 2)];
+        }
+        baseSelect.value = String(options.baseStop);
+    }
+
+    function syncControls() {
+        spaceSelect.value = options.space;
+        const preset = Object.keys(SCALE_PRESETS)
+            .find(name => SCALE_PRESETS[name].join() === options.stops.join());
+        stopsSelect.value = preset || 'custom';
+        customInput.classList.toggle('hidden', !!preset);
+        customInput.value = options.stops.join(', ');
+        hueInput.value = options.hueShift;
+        hueValue.textContent = `${options.hueShift}°`;
+        curveSelect.value = options.chromaCurve;
+        modeSelect.value = options.mode;
+        contrastBgSelect.value = options.contrastBackground;
+        renderTargets();
+        renderBaseOptions();
+        syncMode();
+    }
+
+    modeSelect.addEventListener('change', () => {
+        options.mode = modeSelect.value;
+        syncMode();
+        onChange();
+    });
+
+    contrastBgSelect.addEventListener('change', () => {
+        options.contrastBackground = contrastBgSelect.value;
+        onChange();
+    });
+
+    targetsInput.addEventListener('change', () => {
+        const { targets, invalid } = parseContrastTargets(targetsInput.value, contrastMethod);
+        options.contrastTargets = { ...options.contrastTargets, [contrastMethod]: targets };
+        // Invalid entries stay in the field, marked, until they are fixed
+        if (invalid.length === 0) targetsInput.value = formatTargets(targets);
+        showInvalidTargets(invalid);
+        onChange();
+    });
+
+    spaceSelect.addEventListener('change', () => {
+        options.space = spaceSelect.value;
+        onChange();
+    });
+
+    stopsSelect.addEventListener('change', () => {
+        const isCustom = stopsSelect.value === 'custom';
+        customInput.classList.toggle('hidden', !isCustom);
+        if (!isCustom) {
+            options.stops = SCALE_PRESETS[stopsSelect.value];
+            renderBaseOptions();
+            onChange();
+        } else {
+            customInput.focus();
+        }
+    });
+
+    customInput.addEventListener('change', () => {
+        const stops = parseStops(customInput.value);
+        if (!stops) {
+            customInput.value = options.stops.join(', ');
+            return;
+        }
+        options.stops = stops;
+        customInput.value = stops.join(', ');
+        renderBaseOptions();
+        onChange();
+    });
+
+    baseSelect.addEventListener('change', () => {
+        options.baseStop = Number(baseSelect.value);
+        onChange();
+    });
+
+    hueInput.addEventListener('input', () => {
+        options.hueShift = Number(hueInput.value);
+        hueValue.textContent = `${options.hueShift}°`;
+        onChange();
+    });
+
+    curveSelect.addEventListener('change', () => {
+        options.chromaCurve = curveSelect.value;
+        onChange();
+    });
+
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        panel.classList.toggle('hidden');
+    });
+
+    // Close when clicking anywhere else
+    document.addEventListener('click', (e) => {
+        if (!panel.contains(e.target) && e.target !== btn) {
+            panel.classList.add('hidden');
+        }
+    });
+
+    syncControls();
+}
+
+/**
+ * Switches the targets field to the contrast method's own targets and range.
+ * @param {string} method - 'wcag' or 'apca'
+ */
+export function updateScaleSettings(method) {
+    if (method === contrastMethod || !CONTRAST_TARGET_LIMITS[method]) return;
+    contrastMethod = method;
+    renderTargets();
+}
@@ -0,0 +1,129 @@
+import { hslToRgb, rgbToHex } from './utils/color-conversion.js';
+import { generateScale } from './utils/color-scales.js';
+import { getColorName } from './utils/color-names.js';
+import { COLOR_FORMATS, formatColorValue } from './utils/color-format.js';
+import { SHEET_FORMATS, layoutSwatchSheet, renderSheetSvg, renderSheetPdf } from './utils/swatch-sheet.js';
+import { svgToPng } from './utils/render-image.js';
+import { downloadFile } from './utils/download.js';
+
+/**
+ * Palette Sheet Dialog
+ * Renders the palette (plus dark-mode counterparts when they are shown) as
+ * a shareable swatch sheet, downloadable as PNG, SVG or a paged PDF.
+ */
+
+const SHEET_TITLE = 'MiColors Palette';
+
+let currentColors = [];
+let currentDarkColors = null;
+let currentScaleOptions = {};
+let currentFormat = 'png';
+
+export function initSheetDialog({ onError }) {
+    const btn = document.getElementById('sheet-btn');
+    const modal = document.getElementById('sheet-modal');
+    const closeBtn = document.getElementById('sheet-close');
+    const formatSelect = document.getElementById('sheet-format');
+    const downloadBtn = document.getElementById('sheet-download');
+
+    if (!modal) return;
+
+    formatSelect.innerHTML = Object.entries(SHEET_FORMATS)
+        .map(([key, info]) => `<option value="${key}">${info.label}</option>`)
+        .join('');
+    formatSelect.value = currentFormat;
+
+    function open() {
+        renderPreview();
+        modal.classList.remove('hidden');
+    }
+
+    function close() {
+        modal.classList.add('hidden');
+    }
+
+    if (btn) btn.addEventListener('click', open);
+    closeBtn.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    formatSelect.addEventListener('change', () => {
+        currentFormat = formatSelect.value;
+    });
+
+    downloadBtn.addEventListener('click', async () => {
+        const filename = `micolors-palette.${SHEET_FORMATS[currentFormat].extension}`;
+        try {
+            if (currentFormat === 'pdf') {
+                downloadFile(filename, renderSheetPdf(getLayout(true)), 'application/pdf');
+                return;
+            }
+            const layout = getLayout(false);
+            const svg = renderSheetSvg(layout);
+            if (currentFormat === 'svg') {
+                downloadFile(filename, svg, 'image/svg+xml');
+            } else {
+                downloadFile(filename, await svgToPng(svg, layout.width, layout.pageHeight));
+            }
+        } catch (err) {
+            onError(err.message);
+        }
+    });
+}
+
+/**
+ * @param {Array} colors - HSL palette.
+ * @param {object} scaleOptions
+ * @param {Array|null} [darkColors] - Dark-mode counterparts, index for index.
+ */
+export function updateSheetDialog(colors, scaleOptions, darkColors = null) {
+    currentColors = colors;
+    currentDarkColors = darkColors;
+    currentScaleOptions = scaleOptions;
+    const modal = document.getElementById('sheet-modal');
+    if (modal && !modal.classList.contains('hidden')) renderPreview();
+}
+
+function toHex(hsl) {
+    const rgb = hslToRgb(hsl.h, hsl.s, hsl.l);
+    return rgbToHex(rgb.r, rgb.g, rgb.b);
+}
+
+function getEntries() {
+    return currentColors.map((color, index) => {
+        const hex = toHex(color);
+        const dark = currentDarkColors ? toHex(currentDarkColors[index]) : null;
+        return {
+            hex,
+            name: getColorName(hex),
+            values: Object.entries(COLOR_FORMATS).map(([key, info]) => ({
+                label: info.label,
+                value: formatColorValue(color, key)
+            })),
+            shades: generateScale(color, currentScaleOptions).map(step => ({ key: step.key, hex: toHex(step) })),
+            dark: dark ? { hex: dark, name: getColorName(dark) } : null
+        };
+    });
+}
+
+function getLayout(paged) {
+    const count = currentColors.length;
+    const subtitle = [
+        `${count} ${count === 1 ? 'color' : 'colors'}`,
+        currentDarkColors ? 'with dark-mode counterparts' : null,
+        new Date().toLocaleDateString()
+    ].filter(Boolean).join(' · ');
+    return layoutSwatchSheet(getEntries(), {
+        title: SHEET_TITLE,
+        subtitle,
+        paged,
+        method: currentScaleOptions.contrastMethod
+    });
+}
+
+function renderPreview() {
+    const preview = document.getElementById('sheet-preview');
+    if (!preview || currentColors.length === 0) return;
+    preview.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(renderSheetSvg(getLayout(false)))}`;
+}
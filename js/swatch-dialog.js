@@ -0,0 +1,112 @@
+import { hslToRgb, rgbToHex } from './utils/color-conversion.js';
+import { generateScale } from './utils/color-scales.js';
+import { getColorName } from './utils/color-names.js';
+import { SWATCH_FORMATS, encodeSwatches, decodeSwatchFile } from './utils/swatch-formats.js';
+import { downloadFile } from './utils/download.js';
+
+/**
+ * Swatch Files Dialog
+ * Exports the palette (plus dark-mode counterparts when they are shown)
+ * to ASE / GPL / Procreate / Sketch files and imports
+ * colors from them. Imported colors are handed to onImport; main.js decides
+ * which columns they fill.
+ */
+
+let currentColors = [];
+let currentDarkColors = null;
+let currentScaleOptions = {};
+
+export function initSwatchDialog({ onImport, onError, onMessage }) {
+    const btn = document.getElementById('swatch-btn');
+    const modal = document.getElementById('swatch-modal');
+    const closeBtn = document.getElementById('swatch-close');
+    const formatSelect = document.getElementById('swatch-format');
+    const shadesToggle = document.getElementById('swatch-shades');
+    const downloadBtn = document.getElementById('swatch-download');
+    const fileInput = document.getElementById('swatch-file');
+
+    if (!modal) return;
+
+    formatSelect.innerHTML = Object.entries(SWATCH_FORMATS)
+        .map(([key, info]) => `<option value="${key}">${info.label} (.${info.extension})</option>`)
+        .join('');
+
+    function close() {
+        modal.classList.add('hidden');
+    }
+
+    if (btn) btn.addEventListener('click', () => modal.classList.remove('hidden'));
+    closeBtn.addEventListener('click', close);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) close();
+    });
+
+    downloadBtn.addEventListener('click', () => {
+        const format = formatSelect.value;
+        const info = SWATCH_FORMATS[format];
+        const swatches = getSwatches(shadesToggle.checked);
+        downloadFile(`micolors.${info.extension}`, encodeSwatches(swatches, format), info.mime);
+        if (info.maxSwatches && swatches.length > info.maxSwatches) {
+            onMessage(`${info.label} hold ${info.maxSwatches} colors; only the first ${info.maxSwatches} of ${swatches.length} were saved.`);
+        }
+    });
+
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const swatches = await decodeSwatchFile(file.name, await file.arrayBuffer());
+            if (swatches.length === 0) throw new Error('No colors found in file');
+            onImport(swatches.map(s => s.rgb), file.name);
+            close();
+        } catch (err) {
+            onError(err.message);
+        } finally {
+            fileInput.value = '';
+        }
+    });
+}
+
+/**
+ * @param {Array} colors - HSL palette.
+ * @param {object} scaleOptions
+ * @param {Array|null} [darkColors] - Dark-mode counterparts, index for index.
+ */
+export function updateSwatchDialog(colors, scaleOptions, darkColors = null) {
+    currentColors = colors;
+    currentDarkColors = darkColors;
+    currentScaleOptions = scaleOptions;
+}
+
+/**
+ * Palette colors as named swatches; shades are grouped under their color and
+ * dark-mode counterparts follow in a group of their own.
+ */
+function getSwatches(includeShades) {
+    const swatches = [];
+    const darkSwatches = []; // Kept together so they form one group
+
+    currentColors.forEach((color, index) => {
+        const rgb = hslToRgb(color.h, color.s, color.l);
+        const name = getColorName(rgbToHex(rgb.r, rgb.g, rgb.b));
+        swatches.push({ name, rgb });
+
+        if (currentDarkColors) {
+            const dark = currentDarkColors[index];
+            darkSwatches.push({ name: `${name} Dark`, rgb: hslToRgb(dark.h, dark.s, dark.l), group: 'Dark Mode' });
+        }
+
+        if (includeShades) {
+            generateScale(color, currentScaleOptions).forEach(step => {
+                swatches.push({
+                    name: `${name} ${step.key}`,
+                    rgb: hslToRgb(step.h, step.s, step.l),
+                    group: `${name} Shades`
+                });
+            });
+        }
+    });
+
+    return swatches.concat(darkSwatches);
+}
@@ -0,0 +1,68 @@
+/**
+ * App Theme
+ * Follows the system color scheme until the toggle is used; the manual
+ * choice is remembered. The theme is applied as data-theme on <html>, which
+ * variables.css and style.css key their dark styles off.
+ */
+
+const STORAGE_KEY = 'micolors-theme';
+const systemDark = window.matchMedia('(prefers-color-scheme: dark)');
+
+let preference = null; // 'light' | 'dark' | null (follow the system)
+let onThemeChange = () => {};
+
+function readPreference() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        return saved === 'light' || saved === 'dark' ? saved : null;
+    } catch {
+        return null;
+    }
+}
+
+function isDark() {
+    return preference ? preference === 'dark' : systemDark.matches;
+}
+
+function applyTheme() {
+    const dark = isDark();
+    document.documentElement.dataset.theme = dark ? 'dark' : 'light';
+
+    const btn = document.getElementById('theme-btn');
+    if (btn) {
+        btn.setAttribute('aria-pressed', String(dark));
+        btn.title = dark ? 'Switch to light theme' : 'Switch to dark theme';
+    }
+    onThemeChange(dark);
+}
+
+/**
+ * @param {Function} onChange - (isDark), called now and whenever the theme changes.
+ */
+export function initThemeToggle(onChange) {
+    onThemeChange = onChange;
+    preference = readPreference();
+
+    const btn = document.getElementById('theme-btn');
+    if (btn) btn.addEventListener('click', () => setThemePreference(isDark() ? 'light' : 'dark'));
+
+    systemDark.addEventListener('change', () => {
+        if (!preference) applyTheme();
+    });
+
+    applyTheme();
+}
+
+/**
+ * @param {string|null} value - 'light', 'dark', or null to follow the system again.
+ */
+export function setThemePreference(value) {
+    preference = value;
+    try {
+        if (value) localStorage.setItem(STORAGE_KEY, value);
+        else localStorage.removeItem(STORAGE_KEY);
+    } catch {
+        // Storage can be unavailable (private mode); the choice just won't persist
+    }
+    applyTheme();
+}
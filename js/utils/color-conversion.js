@@ -31,6 +31,24 @@ export function hexToRgb(hex) {
  * @returns {object} - {h, s, l} where h is 0-360, s is 0-100, l is 0-100.
  */
 export function rgbToHsl(r, g, b) {
+    const hsl = rgbToExactHsl(r, g, b);
+    return {
+        h: Math.round(hsl.h),
+        s: Math.round(hsl.s),
+        l: Math.round(hsl.l)
+    };
+}
+
+/**
+ * Converts RGB values to unrounded HSL, which hslToRgb turns back into the
+ * same RGB. Whole-number HSL cannot hold most hex colors, so colors the user
+ * picks or imports are stored this way.
+ * @param {number} r - Red (0-255).
+ * @param {number} g - Green (0-255).
+ * @param {number} b - Blue (0-255).
+ * @returns {object} - {h, s, l} where h is 0-360, s is 0-100, l is 0-100.
+ */
+export function rgbToExactHsl(r, g, b) {
     r /= 255;
     g /= 255;
     b /= 255;
@@ -52,11 +70,7 @@ export function rgbToHsl(r, g, b) {
         h /= 6;
     }
 
-    return {
-        h: Math.round(h * 360),
-        s: Math.round(s * 100),
-        l: Math.round(l * 100)
-    };
+    return { h: h * 360, s: s * 100, l: l * 100 };
 }
 
 /**
@@ -183,3 +197,461 @@ export function rgbToCmyk(r, g, b) {
     };
 }
 
+
+/*
+ * Perceptual color spaces
+ * -----------------------
+ * Matrices and constants follow the CSS Color 4 sample code. Unlike the
+ * functions above, these return unrounded values so conversions can be
+ * chained without drift; round only when formatting for display.
+ */
+
+// Linear sRGB <-> CIE XYZ (D65)
+const LINEAR_SRGB_TO_XYZ = [
+    [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+    [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+    [0.01933081871559182, 0.11919477979462598, 0.9505321522496607]
+];
+
+const XYZ_TO_LINEAR_SRGB = [
+    [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+    [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+    [0.05563007969699366, -0.20397695888897652, 1.0569715142428786]
+];
+
+// Bradford chromatic adaptation, needed because CSS lab()/lch() use D50
+const D65_TO_D50 = [
+    [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+    [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+    [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+];
+
+const D50_TO_D65 = [
+    [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+    [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+    [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+
+const D50_WHITE = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+/**
+ * Multiplies a 3x3 matrix by a 3-component vector.
+ */
+function multiplyMatrix(m, [a, b, c]) {
+    return [
+        m[0][0] * a + m[0][1] * b + m[0][2] * c,
+        m[1][0] * a + m[1][1] * b + m[1][2] * c,
+        m[2][0] * a + m[2][1] * b + m[2][2] * c
+    ];
+}
+
+/**
+ * Normalizes a hue angle into 0-360.
+ */
+function normalizeHue(h) {
+    return (h % 360 + 360) % 360;
+}
+
+/**
+ * Converts gamma-encoded sRGB to linear-light sRGB.
+ * @param {number} r - Red (0-255).
+ * @param {number} g - Green (0-255).
+ * @param {number} b - Blue (0-255).
+ * @returns {object} - {r, g, b} (0-1, linear light).
+ */
+export function rgbToLinear(r, g, b) {
+    const toLinear = (c) => {
+        c /= 255;
+        const abs = Math.abs(c);
+        return abs <= 0.04045
+            ? c / 12.92
+            : Math.sign(c) * Math.pow((abs + 0.055) / 1.055, 2.4);
+    };
+    return { r: toLinear(r), g: toLinear(g), b: toLinear(b) };
+}
+
+/**
+ * Converts linear-light sRGB back to gamma-encoded sRGB.
+ * Values are clamped and rounded, so out-of-gamut input is clipped.
+ * @param {number} r - Red (0-1, linear light).
+ * @param {number} g - Green (0-1, linear light).
+ * @param {number} b - Blue (0-1, linear light).
+ * @returns {object} - {r, g, b} (0-255).
+ */
+export function linearToRgb(r, g, b) {
+    const toGamma = (c) => {
+        const abs = Math.abs(c);
+        const v = abs > 0.0031308
+            ? Math.sign(c) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055)
+            : 12.92 * c;
+        return Math.round(Math.max(0, Math.min(1, v)) * 255);
+    };
+    return { r: toGamma(r), g: toGamma(g), b: toGamma(b) };
+}
+
+/**
+ * Converts linear sRGB to CIE XYZ (D65).
+ * @param {number} r - Red (0-1, linear light).
+ * @param {number} g - Green (0-1, linear light).
+ * @param {number} b - Blue (0-1, linear light).
+ * @returns {object} - {x, y, z} where y is 0-1.
+ */
+export function linearRgbToXyz(r, g, b) {
+    const [x, y, z] = multiplyMatrix(LINEAR_SRGB_TO_XYZ, [r, g, b]);
+    return { x, y, z };
+}
+
+/**
+ * Converts CIE XYZ (D65) to linear sRGB. Components may fall outside 0-1
+ * when the color is out of the sRGB gamut.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {object} - {r, g, b} (linear light, unclamped).
+ */
+export function xyzToLinearRgb(x, y, z) {
+    const [r, g, b] = multiplyMatrix(XYZ_TO_LINEAR_SRGB, [x, y, z]);
+    return { r, g, b };
+}
+
+/**
+ * Converts CIE XYZ (D65) to CIELAB (D50, as used by CSS lab()).
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @returns {object} - {l, a, b} where l is 0-100.
+ */
+export function xyzToLab(x, y, z) {
+    const d50 = multiplyMatrix(D65_TO_D50, [x, y, z]);
+    const [fx, fy, fz] = d50.map((v, i) => {
+        const t = v / D50_WHITE[i];
+        return t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116;
+    });
+    return {
+        l: 116 * fy - 16,
+        a: 500 * (fx - fy),
+        b: 200 * (fy - fz)
+    };
+}
+
+/**
+ * Converts CIELAB (D50) to CIE XYZ (D65).
+ * @param {number} l - Lightness (0-100).
+ * @param {number} a
+ * @param {number} b
+ * @returns {object} - {x, y, z}
+ */
+export function labToXyz(l, a, b) {
+    const fy = (l + 16) / 116;
+    const fx = a / 500 + fy;
+    const fz = fy - b / 200;
+
+    const d50 = [
+        Math.pow(fx, 3) > LAB_EPSILON ? Math.pow(fx, 3) : (116 * fx - 16) / LAB_KAPPA,
+        l > LAB_KAPPA * LAB_EPSILON ? Math.pow(fy, 3) : l / LAB_KAPPA,
+        Math.pow(fz, 3) > LAB_EPSILON ? Math.pow(fz, 3) : (116 * fz - 16) / LAB_KAPPA
+    ].map((v, i) => v * D50_WHITE[i]);
+
+    const [x, y, z] = multiplyMatrix(D50_TO_D65, d50);
+    return { x, y, z };
+}
+
+/**
+ * Converts CIELAB to its cylindrical form, LCH.
+ * @param {number} l
+ * @param {number} a
+ * @param {number} b
+ * @returns {object} - {l, c, h} where h is 0-360.
+ */
+export function labToLch(l, a, b) {
+    const c = Math.sqrt(a * a + b * b);
+    const h = normalizeHue(Math.atan2(b, a) * 180 / Math.PI);
+    return { l, c, h };
+}
+
+/**
+ * Converts LCH back to CIELAB.
+ * @param {number} l
+ * @param {number} c
+ * @param {number} h - Hue (0-360).
+ * @returns {object} - {l, a, b}
+ */
+export function lchToLab(l, c, h) {
+    const rad = h * Math.PI / 180;
+    return { l, a: c * Math.cos(rad), b: c * Math.sin(rad) };
+}
+
+/**
+ * Converts linear sRGB to OKLab.
+ * @param {number} r - Red (0-1, linear light).
+ * @param {number} g - Green (0-1, linear light).
+ * @param {number} b - Blue (0-1, linear light).
+ * @returns {object} - {l, a, b} where l is 0-1.
+ */
+export function linearRgbToOklab(r, g, b) {
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+    return {
+        l: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+        a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+        b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+    };
+}
+
+/**
+ * Converts OKLab to linear sRGB. Components may fall outside 0-1 when the
+ * color is out of the sRGB gamut.
+ * @param {number} l - Lightness (0-1).
+ * @param {number} a
+ * @param {number} b
+ * @returns {object} - {r, g, b} (linear light, unclamped).
+ */
+export function oklabToLinearRgb(l, a, b) {
+    const l_ = Math.pow(l + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m_ = Math.pow(l - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s_ = Math.pow(l - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+    return {
+        r: 4.0767416621 * l_ - 3.3077115913 * m_ + 0.2309699292 * s_,
+        g: -1.2684380046 * l_ + 2.6097574011 * m_ - 0.3413193965 * s_,
+        b: -0.0041960863 * l_ - 0.7034186147 * m_ + 1.7076147010 * s_
+    };
+}
+
+/**
+ * Converts OKLab to OKLCH.
+ * @param {number} l
+ * @param {number} a
+ * @param {number} b
+ * @returns {object} - {l, c, h} where l is 0-1 and h is 0-360.
+ */
+export function oklabToOklch(l, a, b) {
+    return labToLch(l, a, b);
+}
+
+/**
+ * Converts OKLCH to OKLab.
+ * @param {number} l
+ * @param {number} c
+ * @param {number} h - Hue (0-360).
+ * @returns {object} - {l, a, b}
+ */
+export function oklchToOklab(l, c, h) {
+    return lchToLab(l, c, h);
+}
+
+/**
+ * Converts sRGB to OKLab.
+ * @param {number} r 0-255
+ * @param {number} g 0-255
+ * @param {number} b 0-255
+ * @returns {object} {l:0-1, a, b}
+ */
+export function rgbToOklab(r, g, b) {
+    const lin = rgbToLinear(r, g, b);
+    return linearRgbToOklab(lin.r, lin.g, lin.b);
+}
+
+/**
+ * Converts sRGB to OKLCH.
+ * @param {number} r 0-255
+ * @param {number} g 0-255
+ * @param {number} b 0-255
+ * @returns {object} {l:0-1, c, h:0-360}
+ */
+export function rgbToOklch(r, g, b) {
+    const lab = rgbToOklab(r, g, b);
+    return oklabToOklch(lab.l, lab.a, lab.b);
+}
+
+/**
+ * Converts sRGB to CIELAB (D50).
+ * @param {number} r 0-255
+ * @param {number} g 0-255
+ * @param {number} b 0-255
+ * @returns {object} {l:0-100, a, b}
+ */
+export function rgbToLab(r, g, b) {
+    const lin = rgbToLinear(r, g, b);
+    const xyz = linearRgbToXyz(lin.r, lin.g, lin.b);
+    return xyzToLab(xyz.x, xyz.y, xyz.z);
+}
+
+/**
+ * Converts sRGB to CIE LCH (D50).
+ * @param {number} r 0-255
+ * @param {number} g 0-255
+ * @param {number} b 0-255
+ * @returns {object} {l:0-100, c, h:0-360}
+ */
+export function rgbToLch(r, g, b) {
+    const lab = rgbToLab(r, g, b);
+    return labToLch(lab.l, lab.a, lab.b);
+}
+
+/**
+ * Checks whether a linear sRGB color lies inside the sRGB gamut.
+ * @param {object} linear - {r, g, b} (linear light).
+ * @param {number} [tolerance=0.000075] - Allowance for floating point error.
+ * @returns {boolean}
+ */
+export function isInGamut({ r, g, b }, tolerance = 0.000075) {
+    return [r, g, b].every(c => c >= -tolerance && c <= 1 + tolerance);
+}
+
+/**
+ * Checks whether an OKLCH color can be displayed in sRGB.
+ * @param {number} l - Lightness (0-1).
+ * @param {number} c - Chroma.
+ * @param {number} h - Hue (0-360).
+ * @returns {boolean}
+ */
+export function isOklchInGamut(l, c, h) {
+    const lab = oklchToOklab(l, c, h);
+    return isInGamut(oklabToLinearRgb(lab.l, lab.a, lab.b));
+}
+
+/**
+ * Euclidean distance in OKLab, used as the gamut-mapping error metric.
+ */
+function deltaEOk(lab1, lab2) {
+    return Math.sqrt(
+        Math.pow(lab1.l - lab2.l, 2) +
+        Math.pow(lab1.a - lab2.a, 2) +
+        Math.pow(lab1.b - lab2.b, 2)
+    );
+}
+
+/**
+ * Clips an OKLCH color to sRGB and returns it as OKLab.
+ */
+function clipOklch(l, c, h) {
+    const lab = oklchToOklab(l, c, h);
+    const lin = oklabToLinearRgb(lab.l, lab.a, lab.b);
+    const clamp = (v) => Math.max(0, Math.min(1, v));
+    return linearRgbToOklab(clamp(lin.r), clamp(lin.g), clamp(lin.b));
+}
+
+/**
+ * Maps an OKLCH color into the sRGB gamut using the CSS Color 4 algorithm:
+ * chroma is reduced (hue and lightness are kept) until clipping the result
+ * is no longer perceptibly different.
+ * @param {number} l - Lightness (0-1).
+ * @param {number} c - Chroma.
+ * @param {number} h - Hue (0-360).
+ * @returns {object} - {l, c, h} inside the sRGB gamut.
+ */
+export function gamutMapOklch(l, c, h) {
+    const JND = 0.02;
+    const EPSILON = 0.0001;
+
+    if (l >= 1) return { l: 1, c: 0, h };
+    if (l <= 0) return { l: 0, c: 0, h };
+    if (isOklchInGamut(l, c, h)) return { l, c, h };
+
+    const toLch = (lab) => oklabToOklch(lab.l, lab.a, lab.b);
+
+    let clipped = clipOklch(l, c, h);
+    if (deltaEOk(clipped, oklchToOklab(l, c, h)) < JND) return toLch(clipped);
+
+    let min = 0;
+    let max = c;
+    let minInGamut = true;
+
+    while (max - min > EPSILON) {
+        const chroma = (min + max) / 2;
+        if (minInGamut && isOklchInGamut(l, chroma, h)) {
+            min = chroma;
+            continue;
+        }
+        clipped = clipOklch(l, chroma, h);
+        const e = deltaEOk(clipped, oklchToOklab(l, chroma, h));
+        if (e < JND) {
+            if (JND - e < EPSILON) break;
+            minInGamut = false;
+            min = chroma;
+        } else {
+            max = chroma;
+        }
+    }
+
+    if (minInGamut) return { l, c: min, h };
+    return toLch(clipped);
+}
+
+/**
+ * Converts OKLCH to sRGB, gamut mapping out-of-range colors first.
+ * @param {number} l - Lightness (0-1).
+ * @param {number} c - Chroma.
+ * @param {number} h - Hue (0-360).
+ * @returns {object} - {r, g, b} (0-255).
+ */
+export function oklchToRgb(l, c, h) {
+    const mapped = gamutMapOklch(l, c, h);
+    const lab = oklchToOklab(mapped.l, mapped.c, mapped.h);
+    const lin = oklabToLinearRgb(lab.l, lab.a, lab.b);
+    return linearToRgb(lin.r, lin.g, lin.b);
+}
+
+/**
+ * Converts OKLab to sRGB, gamut mapping out-of-range colors first.
+ * @param {number} l - Lightness (0-1).
+ * @param {number} a
+ * @param {number} b
+ * @returns {object} - {r, g, b} (0-255).
+ */
+export function oklabToRgb(l, a, b) {
+    const lch = oklabToOklch(l, a, b);
+    return oklchToRgb(lch.l, lch.c, lch.h);
+}
+
+/**
+ * Converts CIELAB (D50) to sRGB, gamut mapping via OKLCH when needed.
+ * @param {number} l - Lightness (0-100).
+ * @param {number} a
+ * @param {number} b
+ * @returns {object} - {r, g, b} (0-255).
+ */
+export function labToRgb(l, a, b) {
+    const xyz = labToXyz(l, a, b);
+    const lin = xyzToLinearRgb(xyz.x, xyz.y, xyz.z);
+    if (isInGamut(lin)) return linearToRgb(lin.r, lin.g, lin.b);
+
+    const ok = linearRgbToOklab(lin.r, lin.g, lin.b);
+    return oklabToRgb(ok.l, ok.a, ok.b);
+}
+
+/**
+ * Converts CIE LCH (D50) to sRGB, gamut mapping when needed.
+ * @param {number} l - Lightness (0-100).
+ * @param {number} c - Chroma.
+ * @param {number} h - Hue (0-360).
+ * @returns {object} - {r, g, b} (0-255).
+ */
+export function lchToRgb(l, c, h) {
+    const lab = lchToLab(l, c, h);
+    return labToRgb(lab.l, lab.a, lab.b);
+}
+
+/**
+ * Mixes two sRGB colors in OKLab, which keeps the midpoint of e.g. blue and
+ * yellow from turning grey the way an RGB or HSL average does.
+ * @param {object} rgbA - {r, g, b} (0-255).
+ * @param {object} rgbB - {r, g, b} (0-255).
+ * @param {number} [t=0.5] - 0 returns rgbA, 1 returns rgbB.
+ * @returns {object} - {r, g, b} (0-255).
+ */
+export function mixOklab(rgbA, rgbB, t = 0.5) {
+    const a = rgbToOklab(rgbA.r, rgbA.g, rgbA.b);
+    const b = rgbToOklab(rgbB.r, rgbB.g, rgbB.b);
+    return oklabToRgb(
+        a.l + (b.l - a.l) * t,
+        a.a + (b.a - a.a) * t,
+        a.b + (b.b - a.b) * t
+    );
+}
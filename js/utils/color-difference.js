@@ -0,0 +1,85 @@
+import { rgbToLab } from './color-conversion.js';
+
+/**
+ * Calculates the CIEDE2000 color difference between two CIELAB colors.
+ * Around 1 is a just-noticeable difference; below ~10 colors start to read
+ * as variations of each other rather than distinct categories.
+ * @param {object} lab1 - {l, a, b}
+ * @param {object} lab2 - {l, a, b}
+ * @returns {number} - Delta E (0+).
+ */
+export function deltaE2000(lab1, lab2) {
+    const rad = Math.PI / 180;
+    const { l: L1, a: a1, b: b1 } = lab1;
+    const { l: L2, a: a2, b: b2 } = lab2;
+
+    const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+    const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+    const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+    const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+    const a1p = a1 * (1 + G);
+    const a2p = a2 * (1 + G);
+    const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+    const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+
+    const hueAngle = (b, a) => {
+        if (a === 0 && b === 0) return 0;
+        const h = Math.atan2(b, a) / rad;
+        return h < 0 ? h + 360 : h;
+    };
+    const h1p = hueAngle(b1, a1p);
+    const h2p = hueAngle(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+        else if (h1p + h2p < 360) hbarp = (hbarp + 360) / 2;
+        else hbarp = (hbarp - 360) / 2;
+    }
+
+    const T = 1 -
+        0.17 * Math.cos((hbarp - 30) * rad) +
+        0.24 * Math.cos((2 * hbarp) * rad) +
+        0.32 * Math.cos((3 * hbarp + 6) * rad) -
+        0.20 * Math.cos((4 * hbarp - 63) * rad);
+
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Cbarp7 = Math.pow(Cbarp, 7);
+    const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+    const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin((2 * dTheta) * rad) * Rc;
+
+    return Math.sqrt(
+        Math.pow(dLp / Sl, 2) +
+        Math.pow(dCp / Sc, 2) +
+        Math.pow(dHp / Sh, 2) +
+        Rt * (dCp / Sc) * (dHp / Sh)
+    );
+}
+
+/**
+ * CIEDE2000 difference between two sRGB colors.
+ * @param {object} rgb1 - {r, g, b}
+ * @param {object} rgb2 - {r, g, b}
+ * @returns {number}
+ */
+export function getDeltaE(rgb1, rgb2) {
+    return deltaE2000(rgbToLab(rgb1.r, rgb1.g, rgb1.b), rgbToLab(rgb2.r, rgb2.g, rgb2.b));
+}
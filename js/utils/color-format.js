@@ -0,0 +1,55 @@
+import { hslToRgb, rgbToHex, rgbToHsb, rgbToCmyk, rgbToOklch, rgbToLab, rgbToLch } from './color-conversion.js';
+
+/**
+ * Color value formatting for every notation the format menu offers.
+ */
+
+export const COLOR_FORMATS = {
+    hex: { label: 'HEX' },
+    rgb: { label: 'RGB' },
+    hsl: { label: 'HSL' },
+    hsb: { label: 'HSB' },
+    cmyk: { label: 'CMYK' },
+    oklch: { label: 'OKLCH' },
+    lab: { label: 'LAB' },
+    lch: { label: 'LCH' }
+};
+
+function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * @param {object} hsl - {h, s, l}
+ * @param {string} format - Key of COLOR_FORMATS.
+ * @returns {string}
+ */
+export function formatColorValue(hsl, format) {
+    const rgb = hslToRgb(hsl.h, hsl.s, hsl.l);
+
+    switch (format) {
+        case 'rgb':
+            return `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
+        case 'hsl':
+            return `hsl(${round(hsl.h, 1)}, ${round(hsl.s, 1)}%, ${round(hsl.l, 1)}%)`;
+        case 'hsb':
+            const hsb = rgbToHsb(rgb.r, rgb.g, rgb.b);
+            return `hsb(${hsb.h}, ${hsb.s}%, ${hsb.b}%)`;
+        case 'cmyk':
+            const cmyk = rgbToCmyk(rgb.r, rgb.g, rgb.b);
+            return `cmyk(${cmyk.c}%, ${cmyk.m}%, ${cmyk.y}%, ${cmyk.k}%)`;
+        case 'oklch':
+            const oklch = rgbToOklch(rgb.r, rgb.g, rgb.b);
+            return `oklch(${round(oklch.l * 100, 2)}% ${round(oklch.c, 4)} ${round(oklch.c < 0.0001 ? 0 : oklch.h, 2)})`;
+        case 'lab':
+            const lab = rgbToLab(rgb.r, rgb.g, rgb.b);
+            return `lab(${round(lab.l, 2)}% ${round(lab.a, 2)} ${round(lab.b, 2)})`;
+        case 'lch':
+            const lch = rgbToLch(rgb.r, rgb.g, rgb.b);
+            return `lch(${round(lch.l, 2)}% ${round(lch.c, 2)} ${round(lch.c < 0.01 ? 0 : lch.h, 2)})`;
+        case 'hex':
+        default:
+            return rgbToHex(rgb.r, rgb.g, rgb.b);
+    }
+}
@@ -1,75 +1,325 @@
+import { hslToRgb, rgbToHsl, rgbToOklch, oklchToRgb } from './color-conversion.js';
+
+/**
+ * Color harmonies.
+ * Each rule describes its core colors as offsets from the base color:
+ *   { hue: degrees on the chosen wheel, l: lightness delta, s: saturation delta }
+ * The offsets are tuned by three parameters (spread, contrast, saturation) and
+ * applied on the HSL wheel, the RYB artist's wheel, or the OKLCH hue circle.
+ */
+
+/**
+ * Tunable parameters. Rules list which ones apply to them.
+ */
+export const HARMONY_PARAMS = {
+    spread: { label: 'Spread', min: 5, max: 90, step: 1, unit: '°' },
+    contrast: { label: 'Lightness contrast', min: 0, max: 45, step: 1 },
+    saturation: { label: 'Saturation variance', min: 0, max: 50, step: 1 }
+};
+
+export const HARMONY_WHEELS = {
+    hsl: 'HSL wheel',
+    ryb: 'RYB (artist) wheel',
+    oklch: 'OKLCH hue'
+};
+
+/**
+ * @type {Object<string, {label, params, defaults, core: Function, extras: Function}>}
+ * core(params, toward) returns the five core offsets; toward(target, amount)
+ * gives the hue offset that moves the base `amount` degrees toward a named hue.
+ * extras(params) lists the hue offsets cycled through for palettes over five colors.
+ */
+export const HARMONY_RULES = {
+    'monochromatic': {
+        label: 'Monochromatic',
+        params: ['contrast', 'saturation'],
+        defaults: { contrast: 30 },
+        core: ({ contrast: c }) => [
+            { hue: 0, l: 0, s: 0 },
+            { hue: 0, l: c, s: 0 }, // Lighter
+            { hue: 0, l: -c, s: 0 }, // Darker
+            { hue: 0, l: c + 10, s: -20 }, // Desaturated Light
+            { hue: 0, l: -c, s: 20 } // Saturated Dark
+        ],
+        extras: () => [0]
+    },
+    'shades': {
+        label: 'Shades',
+        params: ['contrast'],
+        defaults: { contrast: 15 },
+        core: ({ contrast: c }) => [
+            { hue: 0, l: 0, s: 0 },
+            { hue: 0, l: c, s: 0 },
+            { hue: 0, l: -c, s: 0 },
+            { hue: 0, l: 2 * c, s: 0 },
+            { hue: 0, l: -2 * c, s: 0 }
+        ],
+        extras: () => [0]
+    },
+    'analogous': {
+        label: 'Analogous',
+        params: ['spread', 'contrast', 'saturation'],
+        defaults: { spread: 30, contrast: 0 },
+        core: ({ spread: a, contrast: c }) => [
+            { hue: 0, l: 0, s: 0 },
+            { hue: a, l: c, s: 0 },
+            { hue: -a, l: c, s: 0 },
+            { hue: 2 * a, l: -c, s: 0 },
+            { hue: -2 * a, l: -c, s: 0 }
+        ],
+        extras: ({ spread: a }) => [3 * a, -3 * a, a / 2, -a / 2, 1.5 * a, -1.5 * a]
+    },
+    'natural': {
+        label: 'Natural',
+        params: ['spread', 'contrast', 'saturation'],
+        defaults: { spread: 20, contrast: 18 },
+        // Light tints drift toward yellow and shadows toward blue, like sunlit objects
+        core: ({ spread: a, contrast: c }, toward) => [
+            { hue: 0, l: 0, s: 0 },
+            { hue: toward('yellow', a), l: c, s: 0 },
+            { hue: toward('blue', a), l: -c, s: 0 },
+            { hue: toward('yellow', 2 * a), l: 2 * c, s: -10 },
+            { hue: toward('blue', 2 * a), l: -2 * c, s: 10 }
+        ],
+        extras: ({ spread: a }) => [a / 2, -a / 2]
+    },
+    'complementary': {
+        label: 'Complementary',
+        params: ['contrast', 'saturation'],
+        defaults: { contrast: 20 },
+        core: ({ contrast: c }) => [
+            { hue: 0, l: 0, s: 0 },
+            { hue: 180, l: 0, s: 0 },
+            { hue: 180, l: c, s: 0 }, // Lighter Comp
+            { hue: 180, l: -c, s: 0 }, // Darker Comp
+            { hue: 0, l: -1.5 * c, s: 0 } // Darker Base
+        ],
+        extras: () => [180, 0]
+    },
+    'split-complementary': {
+        label: 'Split Complementary',
+        params: ['spread', 'contrast', 'saturation'],
+        defaults: { spread: 30, contrast: 20 },
+        core: ({ spread: a, contrast: c }) => [
+            { hue: 0, l: 0, s: 0 },
+            { hue: 180 - a, l: 0, s: 0 },
+            { hue: 180 + a, l: 0, s: 0 },
+            { hue: 180 - a, l: -c, s: 0 }, // Darker Var 1
+            { hue: 180 + a, l: -c, s: 0 } // Darker Var 2
+        ],
+        extras: ({ spread: a }) => [180 - a, 180 + a, 0]
+    },
+    'double-split-complementary': {
+        label: 'Double Split Complementary',
+        params: ['spread', 'saturation'],
+        defaults: { spread: 30 },
+        core: ({ spread: a }) => [
+            { hue: 0, l: 0, s: 0 },
+            { hue: a, l: 0, s: 0 },
+            { hue: -a, l: 0, s: 0 },
+            { hue: 180 + a, l: 0, s: 0 },
+            { hue: 180 - a, l: 0, s: 0 }
+        ],
+        extras: ({ spread: a }) => [a, -a, 180 + a, 180 - a, 0]
+    },
+    'compound': {
+        label: 'Compound',
+        params: ['spread', 'contrast', 'saturation'],
+        defaults: { spread: 30, contrast: 20 },
+        // The base and one neighbor, against the complement of the other side
+        core: ({ spread: a, contrast: c }) => [
+            { hue: 0, l: 0, s: 0 },
+            { hue: a, l: 0, s: 0 },
+            { hue: 180 - a, l: 0, s: 0 },
+            { hue: 180 - a, l: c, s: 0 },
+            { hue: a, l: -c, s: 0 }
+        ],
+        extras: ({ spread: a }) => [a, 180 - a, 0]
+    },
+    'triadic': {
+        label: 'Triadic',
+        params: ['contrast', 'saturation'],
+        defaults: { contrast: 20 },
+        core: ({ contrast: c }) => [
+            { hue: 0, l: 0, s: 0 },
+            { hue: 120, l: 0, s: 0 },
+            { hue: 240, l: 0, s: 0 },
+            { hue: 120, l: -c, s: 0 }, // Darker Var 1
+            { hue: 240, l: -c, s: 0 } // Darker Var 2
+        ],
+        extras: () => [120, 240, 0]
+    },
+    'tetradic': {
+        label: 'Tetradic (Rectangle)',
+        params: ['spread', 'contrast', 'saturation'],
+        defaults: { spread: 60, contrast: 20 },
+        core: ({ spread: a, contrast: c }) => [
+            { hue: 0, l: 0, s: 0 },
+            { hue: a, l: 0, s: 0 },
+            { hue: 180, l: 0, s: 0 },
+            { hue: 180 + a, l: 0, s: 0 },
+            { hue: 0, l: -c, s: 0 }
+        ],
+        extras: ({ spread: a }) => [a, 180, 180 + a, 0]
+    },
+    'square': {
+        label: 'Square',
+        params: ['contrast', 'saturation'],
+        defaults: { contrast: 20 },
+        core: ({ contrast: c }) => [
+            { hue: 0, l: 0, s: 0 },
+            { hue: 90, l: 0, s: 0 },
+            { hue: 180, l: 0, s: 0 },
+            { hue: 270, l: 0, s: 0 },
+            { hue: 0, l: -c, s: 0 }
+        ],
+        extras: () => [90, 180, 270, 0]
+    }
+};
+
+// Lightness shift applied on each pass through a rule's extra hues
+const EXTRA_LIGHTNESS = [15, -15, 40, -40, 25, -25];
+
+// Saturation variance is spread over the columns in this pattern
+const SATURATION_PATTERN = [0, 1, -1, 0.5, -0.5];
+
+// HSL hue for each RYB hue at 60° steps (red, orange, yellow, green, blue, purple, red)
+const RYB_STOPS = [0, 30, 60, 120, 240, 280, 360];
+
+const normalizeHue = (hue) => (hue % 360 + 360) % 360;
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Maps along a piecewise-linear hue curve.
+ */
+function interpolateStops(hue, from, to) {
+    const h = normalizeHue(hue);
+    for (let i = 0; i < from.length - 1; i++) {
+        if (h <= from[i + 1]) {
+            const t = (h - from[i]) / (from[i + 1] - from[i]);
+            return to[i] + t * (to[i + 1] - to[i]);
+        }
+    }
+    return to[to.length - 1];
+}
+
+const RYB_EVEN = RYB_STOPS.map((_, i) => i * 60);
+
+/**
+ * @param {number} hue - RYB hue (0-360).
+ * @returns {number} - HSL hue.
+ */
+export function rybToHue(hue) {
+    return normalizeHue(interpolateStops(hue, RYB_EVEN, RYB_STOPS));
+}
+
+/**
+ * @param {number} hue - HSL hue (0-360).
+ * @returns {number} - RYB hue.
+ */
+export function hueToRyb(hue) {
+    return normalizeHue(interpolateStops(hue, RYB_STOPS, RYB_EVEN));
+}
+
+/**
+ * How each wheel reads a base color's hue and applies an offset to it.
+ * Yellow / blue are where the natural harmony drifts on that wheel.
+ */
+const WHEELS = {
+    hsl: {
+        yellow: 60,
+        blue: 240,
+        hueOf: (base) => base.h,
+        apply: (base, { hue, l, s }) => ({
+            h: normalizeHue(Math.round(base.h + hue)),
+            s: clamp(Math.round(base.s + s), 0, 100),
+            l: clamp(Math.round(base.l + l), 5, 95)
+        })
+    },
+    ryb: {
+        yellow: 120,
+        blue: 240,
+        hueOf: (base) => hueToRyb(base.h),
+        apply: (base, { hue, l, s }) => ({
+            h: Math.round(rybToHue(hueToRyb(base.h) + hue)) % 360,
+            s: clamp(Math.round(base.s + s), 0, 100),
+            l: clamp(Math.round(base.l + l), 5, 95)
+        })
+    },
+    oklch: {
+        yellow: 110,
+        blue: 265,
+        hueOf: (base) => {
+            const rgb = hslToRgb(base.h, base.s, base.l);
+            return rgbToOklch(rgb.r, rgb.g, rgb.b).h;
+        },
+        // Lightness deltas are read as OKLCH L points and saturation deltas as a chroma percentage
+        apply: (base, { hue, l, s }) => {
+            const rgb = hslToRgb(base.h, base.s, base.l);
+            const lch = rgbToOklch(rgb.r, rgb.g, rgb.b);
+            const out = oklchToRgb(
+                clamp(lch.l + l / 100, 0.05, 0.97),
+                lch.c * Math.max(0, 1 + s / 100),
+                normalizeHue(lch.h + hue)
+            );
+            return rgbToHsl(out.r, out.g, out.b);
+        }
+    }
+};
+
+/**
+ * Default parameters for a rule, with the saturation variance off.
+ * @param {string} type
+ * @returns {object} - { spread, contrast, saturation }
+ */
+export function getHarmonyDefaults(type) {
+    const rule = HARMONY_RULES[type] || HARMONY_RULES.monochromatic;
+    return { spread: 30, contrast: 20, saturation: 0, ...rule.defaults };
+}
+
 /**
  * Generates color harmonies based on a base HSL color.
+ * The first five colors are the rule's core set, so smaller palettes take
+ * its prefix; larger palettes continue around the rule's hues with
+ * lighter and darker variants.
  * @param {object} baseHsl - {h, s, l}
- * @param {string} type - 'monochromatic', 'analogous', 'complementary', 'split-complementary', 'triadic'
+ * @param {string} type - A key of HARMONY_RULES.
+ * @param {number} [count=5] - Number of colors to return.
+ * @param {object} [options] - { wheel: 'hsl' | 'ryb' | 'oklch', spread, contrast, saturation };
+ *   missing parameters use the rule's defaults.
  * @returns {Array} - Array of HSL objects including the base color.
  */
-export function generateHarmony(baseHsl, type) {
-    const { h, s, l } = baseHsl;
-    let colors = [];
-
-    // Helper to normalize hue
-    const normalizeHue = (hue) => (hue % 360 + 360) % 360;
-
-    switch (type) {
-        case 'monochromatic':
-            // Variations in lightness and saturation
-            colors.push(
-                baseHsl,
-                { h, s, l: Math.max(0, Math.min(100, l + 30)) }, // Lighter
-                { h, s, l: Math.max(0, Math.min(100, l - 30)) }, // Darker
-                { h, s: Math.max(0, Math.min(100, s - 20)), l: Math.min(95, l + 40) }, // Desaturated Light
-                { h, s: Math.min(100, s + 20), l: Math.max(10, l - 30) }  // Saturated Dark
-            );
-            break;
-
-        case 'analogous':
-            // +30 deg, -30 deg, +60, -60
-            colors.push(
-                baseHsl,
-                { h: normalizeHue(h + 30), s, l },
-                { h: normalizeHue(h - 30), s, l },
-                { h: normalizeHue(h + 60), s, l },
-                { h: normalizeHue(h - 60), s, l }
-            );
-            break;
-
-        case 'complementary':
-            // Base + 180 (and variations of complementary)
-            colors.push(
-                baseHsl,
-                { h: normalizeHue(h + 180), s, l },
-                { h: normalizeHue(h + 180), s, l: Math.min(90, l + 20) }, // Lighter Comp
-                { h: normalizeHue(h + 180), s, l: Math.max(10, l - 20) }, // Darker Comp
-                { h, s, l: Math.max(10, l - 30) } // Darker Base
-            );
-            break;
-
-        case 'split-complementary':
-            // Base, +150, +210
-            colors.push(
-                baseHsl,
-                { h: normalizeHue(h + 150), s, l },
-                { h: normalizeHue(h + 210), s, l },
-                { h: normalizeHue(h + 150), s, l: Math.max(10, l - 20) }, // Darker Var 1
-                { h: normalizeHue(h + 210), s, l: Math.max(10, l - 20) }  // Darker Var 2
-            );
-            break;
-
-        case 'triadic':
-            // Base, +120, +240
-            colors.push(
-                baseHsl,
-                { h: normalizeHue(h + 120), s, l },
-                { h: normalizeHue(h + 240), s, l },
-                { h: normalizeHue(h + 120), s, l: Math.max(10, l - 20) }, // Darker Var 1
-                { h: normalizeHue(h + 240), s, l: Math.max(10, l - 20) }  // Darker Var 2
-            );
-            break;
+export function generateHarmony(baseHsl, type, count = 5, options = {}) {
+    const rule = HARMONY_RULES[type];
+    if (!rule) return Array.from({ length: count }, () => baseHsl);
+
+    const wheel = WHEELS[options.wheel] || WHEELS.hsl;
+    const params = { ...getHarmonyDefaults(type) };
+    Object.keys(HARMONY_PARAMS).forEach(key => {
+        if (Number.isFinite(options[key])) params[key] = options[key];
+    });
+
+    // Hue offset that moves the base toward a target hue by at most `amount`
+    const baseHue = wheel.hueOf(baseHsl);
+    const toward = (target, amount) => {
+        const delta = ((wheel[target] - baseHue + 540) % 360) - 180;
+        return Math.sign(delta) * Math.min(Math.abs(delta), amount);
+    };
 
-        default:
-            colors.push(baseHsl);
+    const offsets = rule.core(params, toward);
+    const hues = rule.extras(params);
+    for (let k = 0; offsets.length < count; k++) {
+        offsets.push({
+            hue: hues[k % hues.length],
+            l: EXTRA_LIGHTNESS[Math.floor(k / hues.length) % EXTRA_LIGHTNESS.length],
+            s: 0
+        });
     }
 
-    return colors;
+    return offsets.slice(0, count).map((offset, index) => {
+        const s = offset.s + params.saturation * SATURATION_PATTERN[index % SATURATION_PATTERN.length];
+        // The base itself is returned untouched so column 0 never drifts
+        if (offset.hue === 0 && offset.l === 0 && s === 0) return baseHsl;
+        return wheel.apply(baseHsl, { ...offset, s });
+    });
 }
@@ -1,50 +1,306 @@
+import { hslToRgb, rgbToHsl, rgbToOklch, oklchToRgb, rgbToLch, lchToRgb } from './color-conversion.js';
+import { getContrastRatio, getContrast } from './contrast.js';
+
 /**
- * Generates a color scale (50-900) based on a base HSL color.
- * @param {object} baseHsl - {h, s, l}
- * @returns {Array} - Array of objects { key: number, h, s, l }
- */
-export function generateScale(baseHsl) {
-    const { h, s, l } = baseHsl;
-    const scale = [];
-
-    // We want 500 to be close to the base, but we must populate 50-900.
-    // Simple approach: Linear interpolation of Lightness.
-    // 50: ~95% L
-    // 900: ~10% L
-    // We will adjust saturation slightly for better perception (darker = more saturated)
-
-    const levels = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900];
-
-    levels.forEach(level => {
-        let newL;
-        let newS = s;
-
-        if (level === 500) {
-            newL = l;
-        } else if (level < 500) {
-            // Lighter
-            // Interpolate between L and 100
-            // 50 is close to 98
-            // 400 is close to L (but lighter)
-            const factor = (500 - level) / 500; // 0 to 1
-            newL = l + (100 - l) * factor * 0.9; // 0.9 to keep it from being pure white
+ * Named stop sets for generateScale.
+ */
+export const SCALE_PRESETS = {
+    classic: [50, 100, 200, 300, 400, 500, 600, 700, 800, 900],
+    tailwind: [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950],
+    hundreds: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000]
+};
+
+export const DEFAULT_SCALE_OPTIONS = {
+    space: 'oklch', // 'oklch', 'lab' or 'hsl'
+    stops: SCALE_PRESETS.classic,
+    baseStop: 500,
+    hueShift: 0, // Degrees the extremes rotate away from the base hue
+    chromaCurve: 'natural', // 'constant', 'linear' or 'natural'
+    mode: 'lightness', // 'lightness' or 'contrast'
+    contrastMethod: 'wcag', // 'wcag' (ratio targets) or 'apca' (Lc targets)
+    contrastBackground: 'white', // 'white' or 'black'
+    contrastTargets: { wcag: {}, apca: {} } // Per method, map stop key -> ratio or Lc, overriding the default curve
+};
+
+const CONTRAST_BACKGROUNDS = {
+    white: { r: 255, g: 255, b: 255 },
+    black: { r: 0, g: 0, b: 0 }
+};
+
+// Values the default contrast curve spans, from the stop nearest the background.
+// WCAG ratios are spaced on a log scale, APCA Lc values linearly.
+const CONTRAST_RANGE = {
+    wcag: { min: 1.05, max: 18, log: true },
+    apca: { min: 8, max: 100, log: false }
+};
+
+// Targets a stop can be given, per method
+export const CONTRAST_TARGET_LIMITS = {
+    wcag: { min: 1, max: 21, unit: 'ratio' },
+    apca: { min: 0, max: 110, unit: 'Lc' }
+};
+
+// Lightness reached at the lightest and darkest stops, per space
+const LIGHTNESS_RANGE = {
+    oklch: { light: 0.97, dark: 0.22 },
+    lab: { light: 97, dark: 15 },
+    hsl: { light: 95, dark: 8 }
+};
+
+/**
+ * Chroma multiplier at distance t (0 at the base stop, 1 at the extremes).
+ */
+function chromaFactor(curve, t) {
+    switch (curve) {
+        case 'constant':
+            return 1;
+        case 'linear':
+            return 1 - t * 0.8;
+        case 'natural':
+        default:
+            // Keeps chroma near the base, then eases off toward white/black
+            return 1 - Math.pow(t, 2) * 0.7;
+    }
+}
+
+/**
+ * Picks the stop the base color is pinned to, falling back to the middle stop.
+ */
+function resolveBaseStop(stops, baseStop) {
+    if (stops.includes(baseStop)) return baseStop;
+    return stops[Math.floor((stops.length - 1) / 2)];
+}
+
+/**
+ * Parses a comma separated list of stop keys (e.g. "50, 100, 250").
+ * @param {string} text
+ * @returns {Array|null} - Sorted unique keys, or null if fewer than two are valid.
+ */
+export function parseStops(text) {
+    const keys = String(text)
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map(Number)
+        .filter(n => Number.isFinite(n) && n >= 0);
+    const unique = [...new Set(keys)].sort((a, b) => a - b);
+    return unique.length >= 2 ? unique : null;
+}
+
+function isValidContrastTarget(value, method) {
+    const limits = CONTRAST_TARGET_LIMITS[method] || CONTRAST_TARGET_LIMITS.wcag;
+    return Number.isFinite(value) && value > 0 && value >= limits.min && value <= limits.max;
+}
+
+/**
+ * Parses contrast targets written as "key:value" pairs (e.g. "600:4.5, 700:7"
+ * for WCAG ratios, or "600:60, 700:75" for APCA Lc).
+ * @param {string} text
+ * @param {string} [method='wcag'] - 'wcag' or 'apca'; targets outside its CONTRAST_TARGET_LIMITS are rejected.
+ * @returns {object} - { targets: map of stop key -> target, invalid: [pair text] }
+ */
+export function parseContrastTargets(text, method = 'wcag') {
+    const targets = {};
+    const invalid = [];
+    String(text).split(/[\s,]+/).filter(Boolean).forEach(pair => {
+        const [key, value] = pair.split(':').map(Number);
+        if (Number.isFinite(key) && key >= 0 && isValidContrastTarget(value, method)) {
+            targets[key] = value;
+        } else {
+            invalid.push(pair);
+        }
+    });
+    return { targets, invalid };
+}
+
+/**
+ * Default contrast target for a stop, rising from CONTRAST_RANGE.min next to
+ * the background to CONTRAST_RANGE.max at the far end of the scale.
+ */
+function defaultContrastTarget(key, minKey, maxKey, background, method) {
+    let t = (key - minKey) / (maxKey - minKey || 1);
+    if (background === 'black') t = 1 - t;
+    const range = CONTRAST_RANGE[method] || CONTRAST_RANGE.wcag;
+    if (!range.log) return range.min + t * (range.max - range.min);
+    const logMin = Math.log(range.min);
+    const logMax = Math.log(range.max);
+    return Math.exp(logMin + t * (logMax - logMin));
+}
+
+/**
+ * Contrast of a stop used as text on the background; APCA polarity is dropped
+ * so both methods grow as the stop moves away from the background.
+ */
+function measureContrast(rgb, bgRgb, method) {
+    return Math.abs(getContrast(rgb, bgRgb, method));
+}
+
+/**
+ * Finds the OKLCH lightness whose contrast against bgRgb is closest to target,
+ * holding hue and chroma (after gamut mapping) fixed.
+ */
+function solveLightnessForContrast(c, h, bgRgb, target, darkOnLight, method) {
+    let lo = 0;
+    let hi = 1;
+    let best = oklchToRgb(darkOnLight ? 0 : 1, c, h);
+
+    for (let i = 0; i < 24; i++) {
+        const mid = (lo + hi) / 2;
+        const rgb = oklchToRgb(mid, c, h);
+        const ratio = measureContrast(rgb, bgRgb, method);
+        best = rgb;
+        if ((ratio > target) === darkOnLight) {
+            lo = mid;
         } else {
-            // Darker
-            // Interpolate between L and 0
-            const factor = (level - 500) / 400; // 0 to 1
-            newL = l - (l * factor * 0.9);
+            hi = mid;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Generates a scale whose stops are solved for contrast ratios against a
+ * background instead of being spaced by lightness. The base color itself is
+ * pinned to the stop whose target is closest to its own contrast, as long as
+ * it meets that target; otherwise the stop is solved like the rest and the
+ * scale has no base stop.
+ */
+function generateContrastScale(baseHsl, opts, stops) {
+    const bgRgb = CONTRAST_BACKGROUNDS[opts.contrastBackground] || CONTRAST_BACKGROUNDS.white;
+    const minKey = stops[0];
+    const maxKey = stops[stops.length - 1];
+
+    const rgb = hslToRgb(baseHsl.h, baseHsl.s, baseHsl.l);
+    const base = rgbToOklch(rgb.r, rgb.g, rgb.b);
+    const method = opts.contrastMethod;
+    const baseContrast = measureContrast(rgb, bgRgb, method);
+    // On a light background contrast rises as lightness falls, and vice versa
+    const darkOnLight = getContrastRatio(bgRgb, CONTRAST_BACKGROUNDS.black) >
+        getContrastRatio(bgRgb, CONTRAST_BACKGROUNDS.white);
+
+    const custom = (opts.contrastTargets && opts.contrastTargets[method]) || {};
+    const targets = stops.map(key => (isValidContrastTarget(custom[key], method)
+        ? custom[key]
+        : defaultContrastTarget(key, minKey, maxKey, opts.contrastBackground, method)));
+
+    // Ratios compare on a log scale, like the default WCAG curve; Lc linearly
+    const distance = method === 'apca'
+        ? target => Math.abs(target - baseContrast)
+        : target => Math.abs(Math.log(target / baseContrast));
+    const baseIndex = targets.reduce((best, target, i) =>
+        distance(target) < distance(targets[best]) ? i : best, 0);
+
+    // Targets should rise moving away from the background; flag the ones
+    // that would make the scale turn back on itself
+    const awayFromBackground = opts.contrastBackground === 'black' ? [...targets].reverse() : targets;
+    let highest = 0;
+    const outOfOrder = awayFromBackground.map(target => {
+        const flagged = target < highest;
+        highest = Math.max(highest, target);
+        return flagged;
+    });
+    if (opts.contrastBackground === 'black') outOfOrder.reverse();
+
+    return stops.map((key, i) => {
+        const target = targets[i];
+        const contrast = { method, target, outOfOrder: outOfOrder[i] };
+
+        if (i === baseIndex && baseContrast >= target) {
+            return { key, h: baseHsl.h, s: baseHsl.s, l: baseHsl.l, isBase: true, contrast: { ...contrast, achieved: baseContrast } };
+        }
+
+        const out = solveLightnessForContrast(base.c, base.h, bgRgb, target, darkOnLight, method);
+        const hsl = rgbToHsl(out.r, out.g, out.b);
 
-            // Boost saturation slightly for darker shades to prevent wash out
-            newS = Math.min(100, s + 5);
+        // Rounding to HSL can land just under the target; step away from the
+        // background until the returned color really meets it
+        const measure = () => measureContrast(hslToRgb(hsl.h, hsl.s, hsl.l), bgRgb, method);
+        let achieved = measure();
+        while (achieved < target && hsl.l > 0 && hsl.l < 100) {
+            hsl.l += darkOnLight ? -1 : 1;
+            achieved = measure();
         }
 
-        scale.push({
-            key: level,
-            h,
-            s: Math.round(newS),
-            l: Math.round(newL)
-        });
+        return { key, ...hsl, isBase: false, contrast: { ...contrast, achieved } };
     });
+}
+
+/**
+ * Generates a color scale based on a base HSL color.
+ * Lighter stops are interpolated from the base toward white and darker stops
+ * toward black, in the chosen color space. The base color itself is returned
+ * unchanged at options.baseStop.
+ * In 'contrast' mode every stop is instead solved for a contrast ratio against
+ * options.contrastBackground, and carries { contrast: { method, target, achieved, outOfOrder } };
+ * the base color is returned at the stop whose target is closest to its own, if it meets it.
+ * @param {object} baseHsl - {h, s, l}
+ * @param {object} [options] - See DEFAULT_SCALE_OPTIONS.
+ * @returns {Array} - Array of objects { key: number, h, s, l, isBase: boolean }
+ */
+export function generateScale(baseHsl, options = {}) {
+    const opts = { ...DEFAULT_SCALE_OPTIONS, ...options };
+    const stops = [...opts.stops].sort((a, b) => a - b);
+    if (opts.mode === 'contrast') {
+        return generateContrastScale(baseHsl, opts, stops);
+    }
+
+    const baseStop = resolveBaseStop(stops, opts.baseStop);
+    const minKey = stops[0];
+    const maxKey = stops[stops.length - 1];
+
+    const space = LIGHTNESS_RANGE[opts.space] ? opts.space : DEFAULT_SCALE_OPTIONS.space;
+    const range = LIGHTNESS_RANGE[space];
+
+    const rgb = hslToRgb(baseHsl.h, baseHsl.s, baseHsl.l);
+    let base;
+    if (space === 'oklch') {
+        base = rgbToOklch(rgb.r, rgb.g, rgb.b);
+    } else if (space === 'lab') {
+        base = rgbToLch(rgb.r, rgb.g, rgb.b);
+    } else {
+        base = { l: baseHsl.l, c: baseHsl.s, h: baseHsl.h };
+    }
+
+    return stops.map(key => {
+        if (key === baseStop) {
+            return { key, h: baseHsl.h, s: baseHsl.s, l: baseHsl.l, isBase: true };
+        }
+
+        // t: 0 at the base stop, 1 at the lightest/darkest stop
+        // direction: -1 toward light, +1 toward dark
+        let t, direction, targetL;
+        if (key < baseStop) {
+            t = (baseStop - key) / (baseStop - minKey);
+            direction = -1;
+            targetL = range.light;
+        } else {
+            t = (key - baseStop) / (maxKey - baseStop);
+            direction = 1;
+            targetL = range.dark;
+        }
+        // Never let the extremes invert relative to the base
+        if (direction < 0) targetL = Math.max(targetL, base.l);
+        else targetL = Math.min(targetL, base.l);
+
+        const l = base.l + (targetL - base.l) * t;
+        const c = base.c * chromaFactor(opts.chromaCurve, t);
+        const h = (base.h - direction * opts.hueShift * t + 360) % 360;
 
-    return scale;
+        let stepHsl;
+        if (space === 'oklch') {
+            const out = oklchToRgb(l, c, h);
+            stepHsl = rgbToHsl(out.r, out.g, out.b);
+        } else if (space === 'lab') {
+            const out = lchToRgb(l, c, h);
+            stepHsl = rgbToHsl(out.r, out.g, out.b);
+        } else {
+            stepHsl = {
+                h: Math.round(h),
+                s: Math.round(Math.max(0, Math.min(100, c))),
+                l: Math.round(l)
+            };
+        }
+
+        return { key, ...stepHsl, isBase: false };
+    });
 }
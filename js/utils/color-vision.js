@@ -0,0 +1,113 @@
+import { rgbToLinear, linearToRgb } from './color-conversion.js';
+import { getDeltaE } from './color-difference.js';
+
+/**
+ * Color-vision-deficiency simulation.
+ * Dichromacy matrices are from Machado, Oliveira & Fernandes (2009) and are
+ * applied in linear sRGB. Anomalous trichromacy is approximated by blending
+ * the dichromat matrix with the identity by severity (0-1).
+ */
+
+const IDENTITY = [
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1]
+];
+
+const DICHROMAT_MATRICES = {
+    protan: [
+        [0.152286, 1.052583, -0.204868],
+        [0.114503, 0.786281, 0.099216],
+        [-0.003882, -0.048116, 1.051998]
+    ],
+    deutan: [
+        [0.367322, 0.860646, -0.227968],
+        [0.280085, 0.672501, 0.047413],
+        [-0.011820, 0.042940, 0.968881]
+    ],
+    tritan: [
+        [1.255528, -0.076749, -0.178779],
+        [-0.078411, 0.930809, 0.147602],
+        [0.004733, 0.691367, 0.303900]
+    ]
+};
+
+/**
+ * Supported simulations. Anomalous types use the user's severity, the others
+ * always simulate the complete deficiency.
+ */
+export const CVD_TYPES = {
+    none: { label: 'Normal Vision' },
+    protanopia: { label: 'Protanopia', matrix: 'protan' },
+    protanomaly: { label: 'Protanomaly', matrix: 'protan', anomalous: true },
+    deuteranopia: { label: 'Deuteranopia', matrix: 'deutan' },
+    deuteranomaly: { label: 'Deuteranomaly', matrix: 'deutan', anomalous: true },
+    tritanopia: { label: 'Tritanopia', matrix: 'tritan' },
+    tritanomaly: { label: 'Tritanomaly', matrix: 'tritan', anomalous: true },
+    achromatopsia: { label: 'Achromatopsia' }
+};
+
+// Below this CIEDE2000 distance two palette colors are flagged as confusable
+export const CONFUSION_THRESHOLD = 8;
+
+/**
+ * Returns the 3x3 linear-RGB matrix for a deficiency at a given severity.
+ */
+function getMatrix(type, severity) {
+    const info = CVD_TYPES[type];
+    if (!info || !info.matrix) return IDENTITY;
+
+    const full = DICHROMAT_MATRICES[info.matrix];
+    const t = info.anomalous ? Math.max(0, Math.min(1, severity)) : 1;
+    return full.map((row, i) => row.map((v, j) => IDENTITY[i][j] + (v - IDENTITY[i][j]) * t));
+}
+
+/**
+ * Simulates how a color appears with a color-vision deficiency.
+ * @param {object} rgb - {r, g, b} (0-255).
+ * @param {string} type - A key of CVD_TYPES.
+ * @param {number} [severity=1] - 0-1, used by the anomalous types.
+ * @returns {object} - {r, g, b} (0-255).
+ */
+export function simulateColorVision(rgb, type, severity = 1) {
+    if (!type || type === 'none' || !CVD_TYPES[type]) return { ...rgb };
+
+    const lin = rgbToLinear(rgb.r, rgb.g, rgb.b);
+
+    if (type === 'achromatopsia') {
+        const y = 0.2126 * lin.r + 0.7152 * lin.g + 0.0722 * lin.b;
+        return linearToRgb(y, y, y);
+    }
+
+    const m = getMatrix(type, severity);
+    return linearToRgb(
+        m[0][0] * lin.r + m[0][1] * lin.g + m[0][2] * lin.b,
+        m[1][0] * lin.r + m[1][1] * lin.g + m[1][2] * lin.b,
+        m[2][0] * lin.r + m[2][1] * lin.g + m[2][2] * lin.b
+    );
+}
+
+/**
+ * Finds palette colors that become hard to tell apart under a deficiency.
+ * Pairs that were already close with normal vision are not reported.
+ * @param {Array} rgbs - Array of {r, g, b}.
+ * @param {string} type - A key of CVD_TYPES.
+ * @param {number} [severity=1]
+ * @param {number} [threshold=CONFUSION_THRESHOLD] - CIEDE2000 distance.
+ * @returns {Array} - Array of { a: index, b: index, deltaE } sorted closest first.
+ */
+export function findConfusablePairs(rgbs, type, severity = 1, threshold = CONFUSION_THRESHOLD) {
+    const simulated = rgbs.map(rgb => simulateColorVision(rgb, type, severity));
+    const pairs = [];
+
+    for (let a = 0; a < rgbs.length; a++) {
+        for (let b = a + 1; b < rgbs.length; b++) {
+            const deltaE = getDeltaE(simulated[a], simulated[b]);
+            if (deltaE < threshold && getDeltaE(rgbs[a], rgbs[b]) >= threshold) {
+                pairs.push({ a, b, deltaE });
+            }
+        }
+    }
+
+    return pairs.sort((x, y) => x.deltaE - y.deltaE);
+}
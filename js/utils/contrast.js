@@ -32,14 +32,15 @@ export function getContrastRatio(rgb1, rgb2) {
 /**
  * Returns 'black' or 'white' depending on which has better contrast against the background.
  * @param {object} bgRgb - Background color {r, g, b}.
+ * @param {string} [method='wcag'] - 'wcag' or 'apca'.
  * @returns {string} - 'black' or 'white'.
  */
-export function getAccessibleTextColor(bgRgb) {
+export function getAccessibleTextColor(bgRgb, method = 'wcag') {
     const white = { r: 255, g: 255, b: 255 };
     const black = { r: 0, g: 0, b: 0 };
 
-    const whiteContrast = getContrastRatio(bgRgb, white);
-    const blackContrast = getContrastRatio(bgRgb, black);
+    const whiteContrast = Math.abs(getContrast(white, bgRgb, method));
+    const blackContrast = Math.abs(getContrast(black, bgRgb, method));
 
     return whiteContrast > blackContrast ? '#ffffff' : '#000000';
 }
@@ -57,3 +58,144 @@ export function checkWcag(ratio) {
         aaaLarge: ratio >= 4.5
     };
 }
+
+/*
+ * APCA (Accessible Perceptual Contrast Algorithm, WCAG 3 draft)
+ * Constants follow APCA-W3 0.0.98G-4g.
+ */
+const APCA = {
+    mainTRC: 2.4,
+    sRco: 0.2126729,
+    sGco: 0.7151522,
+    sBco: 0.0721750,
+    normBG: 0.56,
+    normTXT: 0.57,
+    revTXT: 0.62,
+    revBG: 0.65,
+    blkThrs: 0.022,
+    blkClmp: 1.414,
+    scaleBoW: 1.14,
+    scaleWoB: 1.14,
+    loBoWoffset: 0.027,
+    loWoBoffset: 0.027,
+    deltaYmin: 0.0005,
+    loClip: 0.1
+};
+
+// Minimum Lc per font size (px, rows) and weight (100-900, columns).
+// null means the combination should not be used for text at any contrast.
+const APCA_FONT_WEIGHTS = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+const APCA_FONT_LOOKUP = [
+    [12, null, null, null, null, null, null, null, null, null],
+    [14, null, null, null, 100, 100, 90, 75, null, null],
+    [15, null, null, null, 100, 90, 75, 70, null, null],
+    [16, null, null, null, 90, 75, 70, 60, 60, null],
+    [18, null, null, 100, 75, 70, 60, 55, 55, 55],
+    [21, null, null, 90, 70, 60, 55, 50, 50, 50],
+    [24, null, null, 75, 60, 55, 50, 45, 45, 45],
+    [28, null, 100, 70, 55, 50, 45, 43, 43, 43],
+    [32, null, 90, 65, 50, 45, 43, 40, 40, 40],
+    [36, null, 75, 60, 45, 43, 40, 38, 38, 38],
+    [42, 100, 70, 55, 43, 40, 38, 35, 35, 35],
+    [48, 90, 60, 50, 40, 38, 35, 33, 33, 33],
+    [60, 75, 55, 45, 38, 35, 33, 30, 30, 30],
+    [72, 60, 50, 40, 35, 33, 30, 30, 30, 30],
+    [96, 50, 45, 35, 33, 30, 30, 30, 30, 30]
+];
+
+/**
+ * Screen luminance as defined by APCA, including the soft black clamp.
+ * @param {object} rgb - {r, g, b}
+ * @returns {number}
+ */
+function getApcaLuminance({ r, g, b }) {
+    const y = APCA.sRco * Math.pow(r / 255, APCA.mainTRC) +
+        APCA.sGco * Math.pow(g / 255, APCA.mainTRC) +
+        APCA.sBco * Math.pow(b / 255, APCA.mainTRC);
+    return y > APCA.blkThrs ? y : y + Math.pow(APCA.blkThrs - y, APCA.blkClmp);
+}
+
+/**
+ * Calculates the APCA lightness contrast (Lc) of text on a background.
+ * Unlike the WCAG ratio, order matters: positive values are dark text on a
+ * light background, negative values are light text on a dark background.
+ * @param {object} textRgb - {r, g, b}
+ * @param {object} bgRgb - {r, g, b}
+ * @returns {number} - Lc, roughly -108 to 106.
+ */
+export function getApcaContrast(textRgb, bgRgb) {
+    const txtY = getApcaLuminance(textRgb);
+    const bgY = getApcaLuminance(bgRgb);
+
+    if (Math.abs(bgY - txtY) < APCA.deltaYmin) return 0;
+
+    let output;
+    if (bgY > txtY) {
+        // Dark text on light background
+        const sapc = (Math.pow(bgY, APCA.normBG) - Math.pow(txtY, APCA.normTXT)) * APCA.scaleBoW;
+        output = sapc < APCA.loClip ? 0 : sapc - APCA.loBoWoffset;
+    } else {
+        // Light text on dark background
+        const sapc = (Math.pow(bgY, APCA.revBG) - Math.pow(txtY, APCA.revTXT)) * APCA.scaleWoB;
+        output = sapc > -APCA.loClip ? 0 : sapc + APCA.loWoBoffset;
+    }
+
+    return output * 100;
+}
+
+/**
+ * Looks up the smallest usable font size for each weight at a given Lc.
+ * @param {number} lc - APCA Lc (polarity is ignored).
+ * @returns {object} - Map of weight (100-900) -> minimum size in px, or null if none qualifies.
+ */
+export function getApcaFontSizes(lc) {
+    const abs = Math.abs(lc);
+    const sizes = {};
+
+    APCA_FONT_WEIGHTS.forEach((weight, col) => {
+        const row = APCA_FONT_LOOKUP.find(r => r[col + 1] !== null && abs >= r[col + 1]);
+        sizes[weight] = row ? row[0] : null;
+    });
+
+    return sizes;
+}
+
+/**
+ * Checks an APCA Lc against the common APCA use-case levels.
+ * @param {number} lc
+ * @returns {object} - { body: boolean, content: boolean, large: boolean, spot: boolean }
+ */
+export function checkApca(lc) {
+    const abs = Math.abs(lc);
+    return {
+        body: abs >= 75,
+        content: abs >= 60,
+        large: abs >= 45,
+        spot: abs >= 30
+    };
+}
+
+/**
+ * Measures contrast with either algorithm.
+ * @param {object} textRgb - {r, g, b}
+ * @param {object} bgRgb - {r, g, b}
+ * @param {string} [method='wcag'] - 'wcag' or 'apca'.
+ * @returns {number} - WCAG ratio (1-21) or APCA Lc.
+ */
+export function getContrast(textRgb, bgRgb, method = 'wcag') {
+    return method === 'apca'
+        ? getApcaContrast(textRgb, bgRgb)
+        : getContrastRatio(textRgb, bgRgb);
+}
+
+/**
+ * Formats a contrast value for display, e.g. "4.52:1" or "Lc 75.3".
+ * @param {number} value - From getContrast.
+ * @param {string} [method='wcag']
+ * @returns {string}
+ */
+export function formatContrast(value, method = 'wcag') {
+    return method === 'apca'
+        ? `Lc ${value.toFixed(1)}`
+        : `${value.toFixed(2)}:1`;
+}
@@ -0,0 +1,61 @@
+import { hslToRgb, rgbToHsl, rgbToOklch, oklchToRgb } from './color-conversion.js';
+import { getContrastRatio } from './contrast.js';
+
+/**
+ * Dark-mode counterparts for a light-mode palette.
+ * Each color is assumed to be used on a light surface (white). Its dark
+ * variant keeps the OKLCH hue and is solved for the same WCAG contrast
+ * against a dark surface, so text stays text, surfaces stay surfaces and
+ * accents keep their distance from the background - with lightness inverted.
+ */
+
+export const LIGHT_SURFACE = { r: 255, g: 255, b: 255 };
+export const DARK_SURFACE = { r: 18, g: 18, b: 18 }; // #121212
+
+// Saturated colors vibrate on dark backgrounds; pull chroma back a little
+const DARK_CHROMA_FACTOR = 0.85;
+const SEARCH_STEPS = 24;
+
+/**
+ * @param {object} hsl - A light-mode color.
+ * @returns {object} - Its dark-mode counterpart as {h, s, l}.
+ */
+export function toDarkCounterpart(hsl) {
+    const rgb = hslToRgb(hsl.h, hsl.s, hsl.l);
+    const { c, h } = rgbToOklch(rgb.r, rgb.g, rgb.b);
+    const chroma = c * DARK_CHROMA_FACTOR;
+
+    const maxRatio = getContrastRatio(LIGHT_SURFACE, DARK_SURFACE);
+    const target = Math.min(getContrastRatio(rgb, LIGHT_SURFACE), maxRatio);
+    const surfaceL = rgbToOklch(DARK_SURFACE.r, DARK_SURFACE.g, DARK_SURFACE.b).l;
+
+    // Contrast against the dark surface grows with lightness above it
+    let lo = surfaceL;
+    let hi = 1;
+    for (let i = 0; i < SEARCH_STEPS; i++) {
+        const mid = (lo + hi) / 2;
+        if (getContrastRatio(oklchToRgb(mid, chroma, h), DARK_SURFACE) < target) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+
+    // hi is the side that meets the target; rounding to HSL can still land
+    // just under it, so step lighter until the returned color really does
+    const best = oklchToRgb(hi, chroma, h);
+    const dark = rgbToHsl(best.r, best.g, best.b);
+    while (dark.l < 100 && getContrastRatio(hslToRgb(dark.h, dark.s, dark.l), DARK_SURFACE) < target) {
+        dark.l += 1;
+    }
+    // Greys have no hue of their own; keep the original so edits stay predictable
+    return dark.s === 0 ? { ...dark, h: hsl.h } : dark;
+}
+
+/**
+ * @param {Array} colors - Light-mode palette as {h, s, l}.
+ * @returns {Array} - Dark-mode palette, index for index.
+ */
+export function generateDarkPalette(colors) {
+    return colors.map(toDarkCounterpart);
+}
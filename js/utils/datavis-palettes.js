@@ -0,0 +1,228 @@
+import { hslToRgb, rgbToHsl, rgbToHex, rgbToLab, rgbToOklch, oklchToRgb } from './color-conversion.js';
+import { deltaE2000 } from './color-difference.js';
+import { simulateColorVision } from './color-vision.js';
+
+/**
+ * Data-visualization palettes.
+ * Sequential and diverging schemes are ramps in OKLCH, so equal steps look
+ * equally far apart; categorical schemes pick the colors that stay most
+ * distinguishable from one another, for normal vision and for the three
+ * dichromacies. All of them start from the base color's hue.
+ */
+
+export const DATAVIS_SCHEMES = {
+    sequential: { label: 'Sequential' },
+    'sequential-multi': { label: 'Sequential (multi-hue)' },
+    diverging: { label: 'Diverging' },
+    categorical: { label: 'Categorical' }
+};
+
+// Ramps run from near white to this dark
+const RAMP_LIGHT = 0.97;
+const RAMP_DARK = 0.27;
+// Peak ramp chroma, taken from the base color within these bounds
+const MIN_PEAK_CHROMA = 0.08;
+const MAX_PEAK_CHROMA = 0.2;
+// Multi-hue ramps swing up to this far towards yellow at the light end
+const MULTI_HUE_SWING = 80;
+const YELLOW_HUE = 100; // OKLCH
+
+// Categorical colors are judged as seen with each of these
+const CATEGORICAL_VISION = ['none', 'protanopia', 'deuteranopia', 'tritanopia'];
+const POOL_LIGHTNESS = [0.45, 0.55, 0.65, 0.75, 0.85];
+const POOL_CHROMA = [0.08, 0.13, 0.18];
+const POOL_HUE_STEP = 20;
+const REFINE_PASSES = 3;
+
+function toHsl(rgb) {
+    return rgbToHsl(rgb.r, rgb.g, rgb.b);
+}
+
+function baseOklch(baseColor) {
+    const rgb = hslToRgb(baseColor.h, baseColor.s, baseColor.l);
+    return rgbToOklch(rgb.r, rgb.g, rgb.b);
+}
+
+function peakChroma(c) {
+    return Math.min(MAX_PEAK_CHROMA, Math.max(MIN_PEAK_CHROMA, c));
+}
+
+/**
+ * Signed shortest turn from one hue to another (-180..180).
+ */
+function hueDelta(from, to) {
+    return ((to - from + 540) % 360) - 180;
+}
+
+/**
+ * Light-to-dark ramp. Chroma swells towards the dark middle and eases off
+ * at both ends, like the ColorBrewer ramps.
+ * @param {number} t - 0 (lightest) to 1 (darkest).
+ */
+function rampColor(t, chroma, hue) {
+    const l = RAMP_LIGHT - (RAMP_LIGHT - RAMP_DARK) * t;
+    const c = chroma * (0.2 + 0.8 * Math.sin(Math.PI * 0.8 * t));
+    return toHsl(oklchToRgb(l, c, (hue + 360) % 360));
+}
+
+function sequential(baseColor, count, multiHue) {
+    const { c, h } = baseOklch(baseColor);
+    const swing = multiHue ? Math.max(-MULTI_HUE_SWING, Math.min(MULTI_HUE_SWING, hueDelta(h, YELLOW_HUE))) : 0;
+    return Array.from({ length: count }, (_, i) => {
+        const t = count === 1 ? 1 : i / (count - 1);
+        return rampColor(t, peakChroma(c), h + swing * (1 - t));
+    });
+}
+
+/**
+ * Two ramps meeting at a neutral midpoint: the base hue on one side, its
+ * OKLCH complement on the other.
+ */
+function diverging(baseColor, count) {
+    const { c, h } = baseOklch(baseColor);
+    const chroma = peakChroma(c);
+    return Array.from({ length: count }, (_, i) => {
+        const u = count === 1 ? 0 : (i / (count - 1)) * 2 - 1;
+        const hue = u < 0 ? h : h + 180;
+        const a = Math.abs(u);
+        const l = RAMP_LIGHT - (RAMP_LIGHT - 0.4) * a;
+        return toHsl(oklchToRgb(l, chroma * a, hue % 360));
+    });
+}
+
+let pool = null;
+
+/**
+ * Candidate colors for categorical schemes and their pairwise distances
+ * (the smallest CIEDE2000 over every vision type), computed once.
+ */
+function getPool() {
+    if (pool) return pool;
+
+    const seen = new Set();
+    const colors = [];
+    POOL_LIGHTNESS.forEach(l => POOL_CHROMA.forEach(c => {
+        for (let h = 0; h < 360; h += POOL_HUE_STEP) {
+            const rgb = oklchToRgb(l, c, h);
+            const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+            if (seen.has(hex)) continue;
+            seen.add(hex);
+            colors.push({ rgb, labs: visionLabs(rgb) });
+        }
+    }));
+
+    const distances = colors.map(() => new Float32Array(colors.length));
+    colors.forEach((a, i) => {
+        for (let j = i + 1; j < colors.length; j++) {
+            distances[i][j] = distances[j][i] = visionDistance(a.labs, colors[j].labs);
+        }
+    });
+
+    pool = { colors, distances };
+    return pool;
+}
+
+function visionLabs(rgb) {
+    return CATEGORICAL_VISION.map(type => {
+        const seen = simulateColorVision(rgb, type);
+        return rgbToLab(seen.r, seen.g, seen.b);
+    });
+}
+
+function visionDistance(labs1, labs2) {
+    return Math.min(...labs1.map((lab, i) => deltaE2000(lab, labs2[i])));
+}
+
+/**
+ * Greedy farthest-point selection from the pool, seeded with the base color,
+ * then a few passes that swap any color for a pool color when that raises
+ * the smallest pairwise distance.
+ */
+function categorical(baseColor, count) {
+    const { colors, distances } = getPool();
+    const baseRgb = hslToRgb(baseColor.h, baseColor.s, baseColor.l);
+    const baseLabs = visionLabs(baseRgb);
+    const fromBase = colors.map(candidate => visionDistance(baseLabs, candidate.labs));
+
+    // -1 stands for the base color
+    const distance = (i, j) => (i === -1 ? fromBase[j] : j === -1 ? fromBase[i] : distances[i][j]);
+    const nearestTo = (candidate, chosen, skip) => chosen.reduce((min, other, k) =>
+        (k === skip || other === candidate ? min : Math.min(min, distance(candidate, other))), Infinity);
+
+    const chosen = [-1];
+    while (chosen.length < count) {
+        let best = -1;
+        let bestDistance = -1;
+        colors.forEach((_, i) => {
+            if (chosen.includes(i)) return;
+            const d = nearestTo(i, chosen, -1);
+            if (d > bestDistance) {
+                best = i;
+                bestDistance = d;
+            }
+        });
+        chosen.push(best);
+    }
+
+    for (let pass = 0; pass < REFINE_PASSES; pass++) {
+        let improved = false;
+        for (let k = 1; k < chosen.length; k++) {
+            // Closest pair that does not involve slot k stays as it is
+            let others = Infinity;
+            chosen.forEach((a, i) => chosen.forEach((b, j) => {
+                if (i < j && i !== k && j !== k) others = Math.min(others, distance(a, b));
+            }));
+            let current = Math.min(others, nearestTo(chosen[k], chosen, k));
+
+            colors.forEach((_, i) => {
+                if (chosen.includes(i)) return;
+                const score = Math.min(others, nearestTo(i, chosen, k));
+                if (score > current) {
+                    chosen[k] = i;
+                    current = score;
+                    improved = true;
+                }
+            });
+        }
+        if (!improved) break;
+    }
+
+    return chosen.map(i => (i === -1 ? { ...baseColor } : toHsl(colors[i].rgb)));
+}
+
+/**
+ * @param {object} baseColor - {h, s, l}
+ * @param {string} scheme - A key of DATAVIS_SCHEMES.
+ * @param {number} count - Number of classes.
+ * @returns {Array} - count colors as {h, s, l}; ramps run light to dark,
+ *   categorical schemes start with the base color.
+ */
+export function generateDataVisPalette(baseColor, scheme, count) {
+    switch (scheme) {
+        case 'sequential':
+            return sequential(baseColor, count, false);
+        case 'sequential-multi':
+            return sequential(baseColor, count, true);
+        case 'diverging':
+            return diverging(baseColor, count);
+        case 'categorical':
+            return categorical(baseColor, count);
+        default:
+            return [];
+    }
+}
+
+/**
+ * Smallest CIEDE2000 distance between any two colors of a palette, over
+ * normal vision and the dichromacies.
+ * @param {Array} colors - {h, s, l}
+ * @returns {number}
+ */
+export function minimumSeparation(colors) {
+    const labs = colors.map(color => visionLabs(hslToRgb(color.h, color.s, color.l)));
+    let min = Infinity;
+    labs.forEach((a, i) => labs.slice(i + 1).forEach(b => {
+        min = Math.min(min, visionDistance(a, b));
+    }));
+    return min;
+}
@@ -0,0 +1,20 @@
+/**
+ * Triggers a browser download for generated content.
+ * @param {string} filename
+ * @param {string|Blob|Uint8Array} data
+ * @param {string} [mime='text/plain']
+ */
+export function downloadFile(filename, data, mime = 'text/plain') {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mime });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
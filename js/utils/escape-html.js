@@ -0,0 +1,10 @@
+/**
+ * Escapes text for HTML (or XML) content and quoted attribute values.
+ * @param {*} text - Converted with String().
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[ch]));
+}
@@ -0,0 +1,300 @@
+import {
+    hexToRgb, rgbToHex, rgbToLinear, linearToRgb,
+    rgbToOklab, oklabToRgb, rgbToOklch, oklchToRgb
+} from './color-conversion.js';
+
+/**
+ * Gradients
+ * Interpolates gradient stops in a chosen color space, the way CSS Color 4
+ * does, and formats the result as CSS, SVG or a plain stops array.
+ * Renderers that only blend in sRGB (older browsers, SVG, canvas) get the
+ * chosen space approximated by extra stops sampled along each segment.
+ */
+
+export const GRADIENT_TYPES = {
+    linear: { label: 'Linear' },
+    radial: { label: 'Radial' },
+    conic: { label: 'Conic' }
+};
+
+// css: the CSS <color-interpolation-method>
+export const GRADIENT_SPACES = {
+    srgb: { label: 'sRGB', css: 'srgb' },
+    'srgb-linear': { label: 'Linear RGB', css: 'srgb-linear' },
+    oklab: { label: 'OKLab', css: 'oklab' },
+    'oklch-shorter': { label: 'OKLCH (shorter hue)', css: 'oklch' },
+    'oklch-longer': { label: 'OKLCH (longer hue)', css: 'oklch longer hue' }
+};
+
+export const GRADIENT_OUTPUTS = {
+    css: { label: 'CSS', filename: 'gradient.css', mime: 'text/css' },
+    svg: { label: 'SVG', filename: 'gradient.svg', mime: 'image/svg+xml' },
+    stops: { label: 'Stops array', filename: 'gradient-stops.json', mime: 'application/json' }
+};
+
+// Extra stops per segment in the sRGB approximation
+const FALLBACK_STEPS = 6;
+// Samples per segment when looking for dead zones and banding
+const ANALYSIS_STEPS = 24;
+// OKLCH chroma below which a color reads as gray...
+const DEAD_ZONE_CHROMA = 0.04;
+// ...and which both ends of a segment must clear by this factor for the dip to count
+const DEAD_ZONE_CONTRAST = 2;
+// Two steps averaging this many times the segment's mean OKLab step show as a band
+// (pairs, so one 8-bit rounding jump near black is not flagged)
+const BANDING_RATIO = 2.5;
+// Below this chroma a color's hue is missing, and the other end's hue is used
+const ACHROMATIC_CHROMA = 0.002;
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+/**
+ * Hue to use at t for two OKLCH hues, following the CSS hue fixup rules.
+ */
+function interpolateHue(h1, h2, t, longer) {
+    const delta = h2 - h1;
+    if (longer) {
+        if (delta > 0 && delta < 180) h1 += 360;
+        else if (delta > -180 && delta <= 0) h2 += 360;
+    } else if (delta > 180) {
+        h1 += 360;
+    } else if (delta < -180) {
+        h2 += 360;
+    }
+    return (lerp(h1, h2, t) + 360) % 360;
+}
+
+/**
+ * Mixes two colors in a gradient space.
+ * @param {object} rgbA - {r, g, b} (0-255).
+ * @param {object} rgbB - {r, g, b} (0-255).
+ * @param {number} t - 0 returns rgbA, 1 returns rgbB.
+ * @param {string} space - Key of GRADIENT_SPACES.
+ * @returns {object} - {r, g, b} (0-255).
+ */
+export function mixInSpace(rgbA, rgbB, t, space) {
+    switch (space) {
+        case 'srgb-linear': {
+            const a = rgbToLinear(rgbA.r, rgbA.g, rgbA.b);
+            const b = rgbToLinear(rgbB.r, rgbB.g, rgbB.b);
+            return linearToRgb(lerp(a.r, b.r, t), lerp(a.g, b.g, t), lerp(a.b, b.b, t));
+        }
+        case 'oklab': {
+            const a = rgbToOklab(rgbA.r, rgbA.g, rgbA.b);
+            const b = rgbToOklab(rgbB.r, rgbB.g, rgbB.b);
+            return oklabToRgb(lerp(a.l, b.l, t), lerp(a.a, b.a, t), lerp(a.b, b.b, t));
+        }
+        case 'oklch-shorter':
+        case 'oklch-longer': {
+            const a = rgbToOklch(rgbA.r, rgbA.g, rgbA.b);
+            const b = rgbToOklch(rgbB.r, rgbB.g, rgbB.b);
+            // Grays have no hue of their own; take the other end's
+            const h1 = a.c < ACHROMATIC_CHROMA ? b.h : a.h;
+            const h2 = b.c < ACHROMATIC_CHROMA ? h1 : b.h;
+            return oklchToRgb(lerp(a.l, b.l, t), lerp(a.c, b.c, t), interpolateHue(h1, h2, t, space === 'oklch-longer'));
+        }
+        default:
+            return {
+                r: Math.round(lerp(rgbA.r, rgbB.r, t)),
+                g: Math.round(lerp(rgbA.g, rgbB.g, t)),
+                b: Math.round(lerp(rgbA.b, rgbB.b, t))
+            };
+    }
+}
+
+/**
+ * Stops sorted by position, with colors parsed.
+ * @param {Array} stops - [{ hex, position (0-100) }]
+ */
+function prepareStops(stops) {
+    return [...stops]
+        .sort((a, b) => a.position - b.position)
+        .map(stop => ({ rgb: hexToRgb(stop.hex), position: Math.min(100, Math.max(0, stop.position)) }));
+}
+
+/**
+ * Calls visit(rgb, position, segment) for steps + 1 evenly spaced points of
+ * every segment between neighboring stops.
+ */
+function walkSegments(stops, space, steps, visit) {
+    const sorted = prepareStops(stops);
+    for (let i = 0; i < sorted.length - 1; i++) {
+        const from = sorted[i];
+        const to = sorted[i + 1];
+        for (let step = 0; step <= steps; step++) {
+            const t = step / steps;
+            visit(mixInSpace(from.rgb, to.rgb, t, space), lerp(from.position, to.position, t), i);
+        }
+    }
+}
+
+/**
+ * The gradient as stops an sRGB renderer can draw: the stops themselves for
+ * sRGB, otherwise FALLBACK_STEPS extra stops per segment mixed in the chosen space.
+ * @param {Array} stops - [{ hex, position (0-100) }]
+ * @param {string} space - Key of GRADIENT_SPACES.
+ * @returns {Array} - [{ hex, position (0-100) }]
+ */
+export function sampleGradientStops(stops, space) {
+    const sampled = [];
+    walkSegments(stops, space, space === 'srgb' ? 1 : FALLBACK_STEPS, (rgb, position) => {
+        const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+        const last = sampled[sampled.length - 1];
+        // Segments share their end stops
+        if (last && last.hex === hex && last.position === position) return;
+        sampled.push({ hex, position: Math.round(position * 100) / 100 });
+    });
+    return sampled;
+}
+
+/**
+ * Merges flagged sample windows into ranges.
+ */
+function toRanges(windows) {
+    return windows.reduce((ranges, [from, to]) => {
+        const last = ranges[ranges.length - 1];
+        if (last && from <= last.to) last.to = Math.max(last.to, to);
+        else ranges.push({ from, to });
+        return ranges;
+    }, []);
+}
+
+/**
+ * Where a gradient goes gray between two colorful stops (dead zones), and
+ * where its color changes much faster than elsewhere in the same segment
+ * (banding), judged in OKLab/OKLCH.
+ * @param {Array} stops - [{ hex, position (0-100) }]
+ * @param {string} space - Key of GRADIENT_SPACES.
+ * @returns {object} - { deadZones, banding }, each [{ from, to }] in 0-100.
+ */
+export function analyzeGradient(stops, space) {
+    const segments = [];
+    walkSegments(stops, space, ANALYSIS_STEPS, (rgb, position, segment) => {
+        if (!segments[segment]) segments[segment] = [];
+        segments[segment].push({ position, lab: rgbToOklab(rgb.r, rgb.g, rgb.b), lch: rgbToOklch(rgb.r, rgb.g, rgb.b) });
+    });
+
+    const dead = [];
+    const bands = [];
+    segments.forEach(samples => {
+        const first = samples[0];
+        const last = samples[samples.length - 1];
+        const colorful = Math.min(first.lch.c, last.lch.c) >= DEAD_ZONE_CHROMA * DEAD_ZONE_CONTRAST;
+
+        const steps = samples.slice(1).map((sample, i) => {
+            const prev = samples[i].lab;
+            return Math.hypot(sample.lab.l - prev.l, sample.lab.a - prev.a, sample.lab.b - prev.b);
+        });
+        const average = steps.reduce((sum, step) => sum + step, 0) / steps.length;
+
+        samples.slice(1).forEach((sample, i) => {
+            if (colorful && Math.min(sample.lch.c, samples[i].lch.c) < DEAD_ZONE_CHROMA) {
+                dead.push([samples[i].position, sample.position]);
+            }
+        });
+
+        steps.slice(1).forEach((step, i) => {
+            if (average > 0 && (steps[i] + step) / 2 > average * BANDING_RATIO) {
+                bands.push([samples[i].position, samples[i + 2].position]);
+            }
+        });
+    });
+
+    return { deadZones: toRanges(dead), banding: toRanges(bands) };
+}
+
+function formatPosition(position) {
+    return `${Number(position.toFixed(2))}%`;
+}
+
+function cssStops(stops) {
+    return stops.map(stop => `${stop.hex} ${formatPosition(stop.position)}`).join(', ');
+}
+
+/**
+ * CSS gradient function for a geometry, with an optional interpolation method.
+ */
+function cssGradient(type, angle, stops, method) {
+    const parts = {
+        linear: `${angle}deg`,
+        radial: 'circle',
+        conic: `from ${angle}deg`
+    };
+    const prelude = method ? `${parts[type]} in ${method}` : parts[type];
+    return `${type}-gradient(${prelude}, ${cssStops(stops)})`;
+}
+
+function formatCss(gradient) {
+    const { type, angle, space, stops } = gradient;
+    const sorted = [...stops].sort((a, b) => a.position - b.position);
+    if (space === 'srgb') return `background: ${cssGradient(type, angle, sorted)};\n`;
+
+    return [
+        `/* sRGB fallback: ${GRADIENT_SPACES[space].label} sampled into extra stops */`,
+        `background: ${cssGradient(type, angle, sampleGradientStops(stops, space))};`,
+        `background: ${cssGradient(type, angle, sorted, GRADIENT_SPACES[space].css)};`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * SVG end points for a CSS angle (0deg points up, 90deg right).
+ */
+function svgVector(angle) {
+    const rad = (angle * Math.PI) / 180;
+    const dx = Math.sin(rad) * 50;
+    const dy = -Math.cos(rad) * 50;
+    const point = (value) => `${Number((50 + value).toFixed(2))}%`;
+    return `x1="${point(-dx)}" y1="${point(-dy)}" x2="${point(dx)}" y2="${point(dy)}"`;
+}
+
+/**
+ * A standalone SVG document: the gradient in <defs>, painted on a rect that
+ * fills the viewport, so the download opens as an image.
+ */
+function formatSvg(gradient) {
+    const { type, angle, space } = gradient;
+    const stops = sampleGradientStops(gradient.stops, space)
+        .map(stop => `            <stop offset="${formatPosition(stop.position)}" stop-color="${stop.hex}" />`)
+        .join('\n');
+
+    const definition = type === 'radial'
+        ? `        <radialGradient id="micolors-gradient" cx="50%" cy="50%" r="50%">\n${stops}\n        </radialGradient>`
+        : `        <linearGradient id="micolors-gradient" ${svgVector(angle)}>\n${stops}\n        </linearGradient>`;
+    const note = type === 'conic'
+        ? '    <!-- SVG has no conic gradients; this runs the stops along the angle instead -->\n'
+        : '';
+
+    return '<svg xmlns="http://www.w3.org/2000/svg" width="800" height="400" viewBox="0 0 800 400">\n' +
+        `${note}    <defs>\n${definition}\n    </defs>\n` +
+        '    <rect width="100%" height="100%" fill="url(#micolors-gradient)" />\n' +
+        '</svg>\n';
+}
+
+/**
+ * The sampled stops with 0-1 positions, as canvas addColorStop and most
+ * chart libraries take them.
+ */
+function formatStopsArray(gradient) {
+    const stops = sampleGradientStops(gradient.stops, gradient.space)
+        .map(stop => ({ color: stop.hex, position: Number((stop.position / 100).toFixed(4)) }));
+    return `${JSON.stringify(stops, null, 2)}\n`;
+}
+
+/**
+ * @param {object} gradient - { type, angle, space, stops: [{ hex, position (0-100) }] }
+ * @param {string} output - Key of GRADIENT_OUTPUTS.
+ * @returns {string}
+ */
+export function formatGradient(gradient, output) {
+    switch (output) {
+        case 'svg':
+            return formatSvg(gradient);
+        case 'stops':
+            return formatStopsArray(gradient);
+        default:
+            return formatCss(gradient);
+    }
+}
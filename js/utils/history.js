@@ -0,0 +1,75 @@
+/**
+ * Creates a bounded undo/redo stack of snapshots.
+ * Pushing after an undo drops the redo branch, like a text editor.
+ * Snapshots are compared by their `key` so re-pushing the current state is a no-op.
+ * @param {number} [limit=50] - Oldest entries are dropped past this size.
+ * @returns {object}
+ */
+export function createHistory(limit = 50) {
+    let entries = [];
+    let index = -1;
+
+    return {
+        /**
+         * @param {object} snapshot - Must have a string `key` identifying its content.
+         * @returns {boolean} - false if it matched the current entry.
+         */
+        push(snapshot) {
+            if (index >= 0 && entries[index].key === snapshot.key) return false;
+
+            entries = entries.slice(0, index + 1);
+            entries.push(snapshot);
+            if (entries.length > limit) entries.shift();
+            index = entries.length - 1;
+            return true;
+        },
+
+        /**
+         * Overwrites the current entry (dropping any redo branch), so a run of
+         * small edits, like dragging a slider, becomes a single undo step.
+         * @param {object} snapshot
+         */
+        replace(snapshot) {
+            if (index < 0) {
+                this.push(snapshot);
+                return;
+            }
+            entries = entries.slice(0, index + 1);
+            entries[index] = snapshot;
+        },
+
+        undo() {
+            if (index <= 0) return null;
+            index--;
+            return entries[index];
+        },
+
+        redo() {
+            if (index >= entries.length - 1) return null;
+            index++;
+            return entries[index];
+        },
+
+        jumpTo(target) {
+            if (target < 0 || target >= entries.length) return null;
+            index = target;
+            return entries[index];
+        },
+
+        canUndo() {
+            return index > 0;
+        },
+
+        canRedo() {
+            return index < entries.length - 1;
+        },
+
+        get entries() {
+            return entries;
+        },
+
+        get index() {
+            return index;
+        }
+    };
+}
@@ -0,0 +1,205 @@
+import { rgbToOklab, oklabToRgb } from './color-conversion.js';
+import { createRandom } from './random.js';
+
+/**
+ * Dominant color extraction for image-to-palette.
+ * Pixels are clustered with k-means (k-means++ seeding) in OKLab, so clusters
+ * follow perceived color rather than raw RGB distance.
+ */
+
+// Upper bound on pixels fed to k-means; larger images are strided
+const MAX_POINTS = 20000;
+const MAX_ITERATIONS = 24;
+
+// Pixels more transparent than this are ignored
+const MIN_ALPHA = 128;
+
+function distanceSq(a, b) {
+    const dl = a[0] - b[0];
+    const da = a[1] - b[1];
+    const db = a[2] - b[2];
+    return dl * dl + da * da + db * db;
+}
+
+/**
+ * k-means++: each new seed is picked with probability proportional to its
+ * squared distance from the nearest existing seed.
+ */
+function seedCentroids(points, k, random) {
+    const centroids = [points[Math.floor(random() * points.length)].lab.slice()];
+    const nearest = points.map(p => distanceSq(p.lab, centroids[0]));
+
+    while (centroids.length < k) {
+        const total = nearest.reduce((sum, d) => sum + d, 0);
+        let pick = Math.floor(random() * points.length);
+        if (total > 0) {
+            let target = random() * total;
+            for (let i = 0; i < points.length; i++) {
+                target -= nearest[i];
+                if (target <= 0) {
+                    pick = i;
+                    break;
+                }
+            }
+        }
+
+        const seed = points[pick].lab.slice();
+        centroids.push(seed);
+        points.forEach((p, i) => {
+            nearest[i] = Math.min(nearest[i], distanceSq(p.lab, seed));
+        });
+    }
+    return centroids;
+}
+
+/**
+ * Clusters an image's pixels into its dominant colors.
+ * @param {Uint8ClampedArray} data - RGBA pixels, as from ImageData.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} count - Number of colors wanted.
+ * @returns {Array} - [{ rgb: {r, g, b}, x, y, weight }] sorted by weight (share of
+ *   pixels), where x / y (0-1) locate the pixel closest to the cluster's center.
+ *   An image with fewer distinct colors than count gives fewer entries.
+ */
+export function extractPalette(data, width, height, count) {
+    const total = width * height;
+    const stride = Math.max(1, Math.floor(total / MAX_POINTS));
+    const points = [];
+
+    for (let i = 0; i < total; i += stride) {
+        const o = i * 4;
+        if (data[o + 3] < MIN_ALPHA) continue;
+        const lab = rgbToOklab(data[o], data[o + 1], data[o + 2]);
+        points.push({ lab: [lab.l, lab.a, lab.b], x: i % width, y: Math.floor(i / width) });
+    }
+    if (points.length === 0) return [];
+
+    const k = Math.min(count, points.length);
+    // Seeded so the same image always gives the same palette
+    const random = createRandom(k * 2654435761 + points.length);
+    const centroids = seedCentroids(points, k, random);
+    const assignment = new Array(points.length).fill(-1);
+
+    // Moves every point to its nearest centroid; true if any point moved
+    const assign = () => {
+        let changed = false;
+        points.forEach((p, i) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            centroids.forEach((c, j) => {
+                const d = distanceSq(p.lab, c);
+                if (d < bestDistance) {
+                    bestDistance = d;
+                    best = j;
+                }
+            });
+            if (assignment[i] !== best) {
+                assignment[i] = best;
+                changed = true;
+            }
+        });
+        return changed;
+    };
+
+    let converged = false;
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        if (!assign()) {
+            converged = true;
+            break;
+        }
+
+        // Move each centroid to the mean of its members
+        const sums = centroids.map(() => [0, 0, 0, 0]);
+        points.forEach((p, i) => {
+            const sum = sums[assignment[i]];
+            sum[0] += p.lab[0];
+            sum[1] += p.lab[1];
+            sum[2] += p.lab[2];
+            sum[3]++;
+        });
+        sums.forEach((sum, j) => {
+            if (sum[3] > 0) centroids[j] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+        });
+
+        // Empty clusters restart on the point worst served by its own cluster,
+        // each on a different point; when every point is already matched
+        // exactly they stay empty
+        const reseeded = new Set();
+        sums.forEach((sum, j) => {
+            if (sum[3] > 0) return;
+            let farthest = -1;
+            let farthestDistance = 0;
+            points.forEach((p, i) => {
+                if (reseeded.has(i)) return;
+                const d = distanceSq(p.lab, centroids[assignment[i]]);
+                if (d > farthestDistance) {
+                    farthestDistance = d;
+                    farthest = i;
+                }
+            });
+            if (farthest >= 0) {
+                reseeded.add(farthest);
+                centroids[j] = [...points[farthest].lab];
+            }
+        });
+    }
+
+    // Out of iterations: the last pass moved or reseeded centroids, so match
+    // the points to where they ended up
+    if (!converged) assign();
+
+    return centroids.map((centroid, j) => {
+        // Marker goes on the member pixel that best represents the cluster
+        let closest = null;
+        let closestDistance = Infinity;
+        let size = 0;
+        points.forEach((p, i) => {
+            if (assignment[i] !== j) return;
+            size++;
+            const d = distanceSq(p.lab, centroid);
+            if (d < closestDistance) {
+                closestDistance = d;
+                closest = p;
+            }
+        });
+        // Fewer distinct colors than asked for leaves clusters empty
+        if (!closest) return null;
+
+        return {
+            rgb: oklabToRgb(centroid[0], centroid[1], centroid[2]),
+            x: (closest.x + 0.5) / width,
+            y: (closest.y + 0.5) / height,
+            weight: size / points.length
+        };
+    }).filter(Boolean).sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Averages the pixels in a small square around a point, for resampling a marker.
+ * @param {Uint8ClampedArray} data - RGBA pixels.
+ * @param {number} width
+ * @param {number} height
+ * @param {number} x - 0-1 across the image.
+ * @param {number} y - 0-1 down the image.
+ * @param {number} [radius=1] - Half-size of the square in pixels.
+ * @returns {object} - {r, g, b}
+ */
+export function samplePixel(data, width, height, x, y, radius = 1) {
+    const cx = Math.min(width - 1, Math.max(0, Math.floor(x * width)));
+    const cy = Math.min(height - 1, Math.max(0, Math.floor(y * height)));
+    const sum = [0, 0, 0];
+    let n = 0;
+
+    for (let py = Math.max(0, cy - radius); py <= Math.min(height - 1, cy + radius); py++) {
+        for (let px = Math.max(0, cx - radius); px <= Math.min(width - 1, cx + radius); px++) {
+            const o = (py * width + px) * 4;
+            sum[0] += data[o];
+            sum[1] += data[o + 1];
+            sum[2] += data[o + 2];
+            n++;
+        }
+    }
+
+    return { r: Math.round(sum[0] / n), g: Math.round(sum[1] / n), b: Math.round(sum[2] / n) };
+}
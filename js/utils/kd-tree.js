@@ -0,0 +1,69 @@
+/**
+ * A static 3-d tree for nearest-neighbor lookups (e.g. colors in Lab).
+ * Built once from a fixed point set; queries visit only the branches that
+ * can still hold something closer than the current k-th best.
+ */
+
+const DIMENSIONS = 3;
+
+/**
+ * @param {Array} items - Anything; getPoint maps each to [x, y, z].
+ * @param {Function} getPoint
+ * @returns {object|null} - Root node.
+ */
+export function buildKdTree(items, getPoint) {
+    const entries = items.map(item => ({ item, point: getPoint(item) }));
+    return buildNode(entries, 0);
+}
+
+function buildNode(entries, depth) {
+    if (entries.length === 0) return null;
+
+    const axis = depth % DIMENSIONS;
+    entries.sort((a, b) => a.point[axis] - b.point[axis]);
+    const middle = entries.length >> 1;
+
+    return {
+        ...entries[middle],
+        axis,
+        left: buildNode(entries.slice(0, middle), depth + 1),
+        right: buildNode(entries.slice(middle + 1), depth + 1)
+    };
+}
+
+/**
+ * The k items closest to a point by Euclidean distance, nearest first.
+ * @param {object|null} tree - From buildKdTree.
+ * @param {Array} point - [x, y, z]
+ * @param {number} [k=1]
+ * @returns {Array} - [{ item, distance }]
+ */
+export function nearestNeighbors(tree, point, k = 1) {
+    const best = []; // Sorted by squared distance, at most k long
+
+    function visit(node) {
+        if (!node) return;
+
+        const squared = squaredDistance(node.point, point);
+        if (best.length < k || squared < best[best.length - 1].squared) {
+            const at = best.findIndex(entry => entry.squared > squared);
+            best.splice(at === -1 ? best.length : at, 0, { item: node.item, squared });
+            if (best.length > k) best.pop();
+        }
+
+        const delta = point[node.axis] - node.point[node.axis];
+        const [near, far] = delta < 0 ? [node.left, node.right] : [node.right, node.left];
+        visit(near);
+        // The far side can only help if the splitting plane is within reach
+        if (best.length < k || delta * delta < best[best.length - 1].squared) visit(far);
+    }
+
+    visit(tree);
+    return best.map(({ item, squared }) => ({ item, distance: Math.sqrt(squared) }));
+}
+
+function squaredDistance(a, b) {
+    let sum = 0;
+    for (let i = 0; i < DIMENSIONS; i++) sum += (a[i] - b[i]) * (a[i] - b[i]);
+    return sum;
+}
@@ -0,0 +1,49 @@
+import { hexToRgb } from './color-conversion.js';
+import { getDeltaE } from './color-difference.js';
+
+// Palettes whose closest color is further than this (CIEDE2000) don't match a color query
+export const COLOR_MATCH_THRESHOLD = 15;
+
+/**
+ * Filters and orders saved palettes.
+ * @param {Array} palettes - Records from library-store.
+ * @param {object} query
+ * @param {string} [query.text] - Matched against name, tags and notes.
+ * @param {string} [query.tag] - Exact tag.
+ * @param {string} [query.collectionId] - 'all', 'none' (uncollected) or a collection id.
+ * @param {string} [query.color] - HEX; palettes are sorted by their closest color to it.
+ * @returns {Array} - Matching palettes; with a color query each carries `colorDistance`.
+ */
+export function searchPalettes(palettes, { text = '', tag = '', collectionId = 'all', color = '' } = {}) {
+    const needle = text.trim().toLowerCase();
+    const queryRgb = color ? hexToRgb(color) : null;
+
+    const results = palettes.filter(palette => {
+        if (collectionId === 'none' && palette.collectionId) return false;
+        if (collectionId !== 'all' && collectionId !== 'none' && palette.collectionId !== collectionId) return false;
+        if (tag && !palette.tags.includes(tag)) return false;
+        if (!needle) return true;
+
+        return palette.name.toLowerCase().includes(needle) ||
+            palette.notes.toLowerCase().includes(needle) ||
+            palette.tags.some(t => t.includes(needle));
+    });
+
+    if (!queryRgb) return results;
+
+    return results
+        .map(palette => ({
+            ...palette,
+            colorDistance: Math.min(...palette.colors.map(hex => getDeltaE(queryRgb, hexToRgb(hex))))
+        }))
+        .filter(palette => palette.colorDistance <= COLOR_MATCH_THRESHOLD)
+        .sort((a, b) => a.colorDistance - b.colorDistance);
+}
+
+/**
+ * @param {Array} palettes
+ * @returns {Array} - Every tag in use, sorted.
+ */
+export function collectTags(palettes) {
+    return [...new Set(palettes.flatMap(p => p.tags))].sort();
+}
@@ -0,0 +1,257 @@
+/**
+ * Saved palette library, persisted in IndexedDB.
+ *
+ * Palette record:
+ *   { id, name, tags: [], notes, collectionId, colors: ['#hex'], harmonyType, activeRandomHarmony,
+ *     locked: [index], createdAt, updatedAt }
+ * Collection record:
+ *   { id, name, createdAt }
+ * Mockup record (a user SVG recolored in the visualizer):
+ *   { id (hash of the markup), name, markup, mapping: { '#hex': slot id }, createdAt, updatedAt }
+ */
+
+const DB_NAME = 'micolors';
+const DB_VERSION = 2;
+const PALETTES = 'palettes';
+const COLLECTIONS = 'collections';
+const MOCKUPS = 'mockups';
+
+export const BACKUP_FORMAT = 'micolors-library';
+export const BACKUP_VERSION = 1;
+
+let dbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ */
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(PALETTES)) {
+                const store = db.createObjectStore(PALETTES, { keyPath: 'id' });
+                store.createIndex('collectionId', 'collectionId');
+            }
+            if (!db.objectStoreNames.contains(COLLECTIONS)) {
+                db.createObjectStore(COLLECTIONS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(MOCKUPS)) {
+                db.createObjectStore(MOCKUPS, { keyPath: 'id' });
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => {
+            dbPromise = null;
+            reject(req.error);
+        };
+    });
+    return dbPromise;
+}
+
+async function withStore(name, mode, fn) {
+    const db = await openDb();
+    const tx = db.transaction(name, mode);
+    const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(tx.objectStore(name));
+    await done;
+    return result;
+}
+
+// Ids end up in markup attributes; anything else in a backup is replaced
+const SAFE_ID = /^[\w-]{1,64}$/;
+
+function createId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Normalizes a comma separated string or array into unique, trimmed lowercase tags.
+ * @param {string|Array} tags
+ * @returns {Array}
+ */
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * @returns {Promise<Array>} - Newest first.
+ */
+export async function getPalettes() {
+    const palettes = await withStore(PALETTES, 'readonly', store => request(store.getAll()));
+    return palettes.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Creates or updates a palette. Missing id/createdAt are filled in.
+ * @param {object} palette
+ * @returns {Promise<object>} - The stored record.
+ */
+export async function savePalette(palette) {
+    const now = Date.now();
+    const record = {
+        id: palette.id || createId(),
+        name: String(palette.name || 'Untitled Palette').trim(),
+        tags: normalizeTags(palette.tags),
+        notes: String(palette.notes || ''),
+        collectionId: palette.collectionId || null,
+        colors: palette.colors,
+        harmonyType: palette.harmonyType || null,
+        activeRandomHarmony: palette.activeRandomHarmony || null,
+        locked: palette.locked || [],
+        createdAt: palette.createdAt || now,
+        updatedAt: now
+    };
+    await withStore(PALETTES, 'readwrite', store => request(store.put(record)));
+    return record;
+}
+
+export async function deletePalette(id) {
+    await withStore(PALETTES, 'readwrite', store => request(store.delete(id)));
+}
+
+/**
+ * @returns {Promise<Array>} - Sorted by name.
+ */
+export async function getCollections() {
+    const collections = await withStore(COLLECTIONS, 'readonly', store => request(store.getAll()));
+    return collections.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+}
+
+export async function saveCollection(collection) {
+    const record = {
+        id: collection.id || createId(),
+        name: String(collection.name || 'Untitled Collection').trim(),
+        createdAt: collection.createdAt || Date.now()
+    };
+    await withStore(COLLECTIONS, 'readwrite', store => request(store.put(record)));
+    return record;
+}
+
+/**
+ * Deletes a collection; its palettes are kept and become uncollected.
+ */
+export async function deleteCollection(id) {
+    const palettes = await getPalettes();
+    await Promise.all(palettes
+        .filter(p => p.collectionId === id)
+        .map(p => withStore(PALETTES, 'readwrite', store => request(store.put({ ...p, collectionId: null })))));
+    await withStore(COLLECTIONS, 'readwrite', store => request(store.delete(id)));
+}
+
+/**
+ * @returns {Promise<Array>} - Oldest first, so they keep their place in the visualizer.
+ */
+export async function getMockups() {
+    const mockups = await withStore(MOCKUPS, 'readonly', store => request(store.getAll()));
+    return mockups.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Creates or updates a mockup and its color mapping.
+ * @param {object} mockup - { id, name, markup, mapping }
+ * @returns {Promise<object>} - The stored record.
+ */
+export async function saveMockup(mockup) {
+    const now = Date.now();
+    const record = {
+        id: mockup.id,
+        name: String(mockup.name || 'Untitled Mockup'),
+        markup: mockup.markup,
+        mapping: { ...mockup.mapping },
+        createdAt: mockup.createdAt || now,
+        updatedAt: now
+    };
+    await withStore(MOCKUPS, 'readwrite', store => request(store.put(record)));
+    return record;
+}
+
+export async function deleteMockup(id) {
+    await withStore(MOCKUPS, 'readwrite', store => request(store.delete(id)));
+}
+
+/**
+ * @returns {Promise<object>} - JSON-serializable backup of the whole library.
+ */
+export async function exportLibrary() {
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        collections: await getCollections(),
+        palettes: await getPalettes()
+    };
+}
+
+/**
+ * Merges a backup into the library. Records with the same id are replaced.
+ * Backups are shared between people, so every record is rebuilt from checked
+ * fields: ids that are not plain tokens get new ones, names must be strings
+ * and palettes need at least two hex colors.
+ * @param {object} backup - From exportLibrary.
+ * @returns {Promise<object>} - { palettes: count, collections: count }
+ */
+export async function importLibrary(backup) {
+    if (!backup || backup.format !== BACKUP_FORMAT || !Array.isArray(backup.palettes)) {
+        throw new Error('Not a MiColors library backup');
+    }
+
+    const isHex = (v) => typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v);
+    const isTime = (v) => Number.isFinite(v) && v > 0;
+    const text = (v, fallback) => (typeof v === 'string' && v.trim() ? v.trim() : fallback);
+    const now = Date.now();
+
+    // Collections that get a new id take their palettes with them
+    const collectionIds = {};
+    const collections = (Array.isArray(backup.collections) ? backup.collections : [])
+        .filter(c => c && typeof c.name === 'string' && c.name.trim())
+        .map(c => {
+            const id = typeof c.id === 'string' && SAFE_ID.test(c.id) ? c.id : createId();
+            if (c.id !== undefined && c.id !== null) collectionIds[String(c.id)] = id;
+            return { id, name: c.name.trim(), createdAt: isTime(c.createdAt) ? c.createdAt : now };
+        });
+    const collectionId = (id) => {
+        if (id === undefined || id === null) return null;
+        if (collectionIds[String(id)]) return collectionIds[String(id)];
+        return typeof id === 'string' && SAFE_ID.test(id) ? id : null;
+    };
+
+    const palettes = backup.palettes
+        .filter(p => p && Array.isArray(p.colors) && p.colors.length >= 2 && p.colors.every(isHex))
+        .map(p => ({
+            id: typeof p.id === 'string' && SAFE_ID.test(p.id) ? p.id : createId(),
+            name: text(p.name, 'Untitled Palette'),
+            tags: normalizeTags(p.tags),
+            notes: typeof p.notes === 'string' ? p.notes : '',
+            collectionId: collectionId(p.collectionId),
+            colors: p.colors.map(hex => hex.toLowerCase()),
+            harmonyType: text(p.harmonyType, null),
+            activeRandomHarmony: text(p.activeRandomHarmony, null),
+            locked: Array.isArray(p.locked) ? p.locked.filter(i => Number.isInteger(i) && i >= 0 && i < p.colors.length) : [],
+            createdAt: isTime(p.createdAt) ? p.createdAt : now,
+            updatedAt: isTime(p.updatedAt) ? p.updatedAt : now
+        }));
+
+    await withStore(COLLECTIONS, 'readwrite', store => Promise.all(collections.map(c => request(store.put(c)))));
+    await withStore(PALETTES, 'readwrite', store => Promise.all(palettes.map(p => request(store.put(p)))));
+
+    return { palettes: palettes.length, collections: collections.length };
+}
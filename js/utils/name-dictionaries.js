@@ -0,0 +1,529 @@
+import { hexToRgb, rgbToHex, rgbToOklch, oklchToRgb } from './color-conversion.js';
+
+/**
+ * Color name dictionaries, bundled with the app.
+ * Each is a map of hex -> display name; getColorName picks the one in use.
+ */
+
+// CSS Color Module named colors (aliases like Aqua / Cyan share one entry)
+export const CSS_NAMES = {
+    "#000000": "Black",
+    "#000080": "Navy Blue",
+    "#00008B": "Dark Blue",
+    "#0000CD": "Medium Blue",
+    "#0000FF": "Blue",
+    "#006400": "Dark Green",
+    "#008000": "Green",
+    "#008080": "Teal",
+    "#008B8B": "Dark Cyan",
+    "#00BFFF": "Deep Sky Blue",
+    "#00CED1": "Dark Turquoise",
+    "#00FA9A": "Medium Spring Green",
+    "#00FF00": "Lime",
+    "#00FF7F": "Spring Green",
+    "#00FFFF": "Aqua",
+    "#191970": "Midnight Blue",
+    "#1E90FF": "Dodger Blue",
+    "#20B2AA": "Light Sea Green",
+    "#228B22": "Forest Green",
+    "#2E8B57": "Sea Green",
+    "#2F4F4F": "Dark Slate Gray",
+    "#32CD32": "Lime Green",
+    "#3CB371": "Medium Sea Green",
+    "#40E0D0": "Turquoise",
+    "#4169E1": "Royal Blue",
+    "#4682B4": "Steel Blue",
+    "#483D8B": "Dark Slate Blue",
+    "#48D1CC": "Medium Turquoise",
+    "#4B0082": "Indigo",
+    "#556B2F": "Dark Olive Green",
+    "#5F9EA0": "Cadet Blue",
+    "#6495ED": "Cornflower Blue",
+    "#663399": "Rebecca Purple",
+    "#66CDAA": "Medium Aquamarine",
+    "#696969": "Dim Gray",
+    "#6A5ACD": "Slate Blue",
+    "#6B8E23": "Olive Drab",
+    "#708090": "Slate Gray",
+    "#778899": "Light Slate Gray",
+    "#7B68EE": "Medium Slate Blue",
+    "#7CFC00": "Lawn Green",
+    "#7FFF00": "Chartreuse",
+    "#7FFFD4": "Aquamarine",
+    "#800000": "Maroon",
+    "#800080": "Purple",
+    "#808000": "Olive",
+    "#808080": "Gray",
+    "#87CEEB": "Sky Blue",
+    "#87CEFA": "Light Sky Blue",
+    "#8A2BE2": "Blue Violet",
+    "#8B0000": "Dark Red",
+    "#8B008B": "Dark Magenta",
+    "#8B4513": "Saddle Brown",
+    "#8FBC8F": "Dark Sea Green",
+    "#90EE90": "Light Green",
+    "#9370DB": "Medium Purple",
+    "#9400D3": "Dark Violet",
+    "#98FB98": "Pale Green",
+    "#9932CC": "Dark Orchid",
+    "#9ACD32": "Yellow Green",
+    "#A0522D": "Sienna",
+    "#A52A2A": "Brown",
+    "#A9A9A9": "Dark Gray",
+    "#ADD8E6": "Light Blue",
+    "#ADFF2F": "Green Yellow",
+    "#AFEEEE": "Pale Turquoise",
+    "#B0C4DE": "Light Steel Blue",
+    "#B0E0E6": "Powder Blue",
+    "#B22222": "Firebrick",
+    "#B8860B": "Dark Goldenrod",
+    "#BA55D3": "Medium Orchid",
+    "#BC8F8F": "Rosy Brown",
+    "#BDB76B": "Dark Khaki",
+    "#C0C0C0": "Silver",
+    "#C71585": "Medium Violet Red",
+    "#CD5C5C": "Indian Red",
+    "#CD853F": "Peru",
+    "#D2691E": "Chocolate",
+    "#D2B48C": "Tan",
+    "#D3D3D3": "Light Gray",
+    "#D8BFD8": "Thistle",
+    "#DA70D6": "Orchid",
+    "#DAA520": "Goldenrod",
+    "#DB7093": "Pale Violet Red",
+    "#DC143C": "Crimson",
+    "#DCDCDC": "Gainsboro",
+    "#DDA0DD": "Plum",
+    "#DEB887": "Burlywood",
+    "#E0FFFF": "Light Cyan",
+    "#E6E6FA": "Lavender",
+    "#E9967A": "Dark Salmon",
+    "#EE82EE": "Violet",
+    "#EEE8AA": "Pale Goldenrod",
+    "#F08080": "Light Coral",
+    "#F0E68C": "Khaki",
+    "#F0F8FF": "Alice Blue",
+    "#F0FFF0": "Honeydew",
+    "#F0FFFF": "Azure",
+    "#F4A460": "Sandy Brown",
+    "#F5DEB3": "Wheat",
+    "#F5F5DC": "Beige",
+    "#F5F5F5": "White Smoke",
+    "#F5FFFA": "Mint Cream",
+    "#F8F8FF": "Ghost White",
+    "#FA8072": "Salmon",
+    "#FAEBD7": "Antique White",
+    "#FAF0E6": "Linen",
+    "#FAFAD2": "Light Goldenrod Yellow",
+    "#FDF5E6": "Old Lace",
+    "#FF0000": "Red",
+    "#FF00FF": "Magenta",
+    "#FF1493": "Deep Pink",
+    "#FF4500": "Orange Red",
+    "#FF6347": "Tomato",
+    "#FF69B4": "Hot Pink",
+    "#FF7F50": "Coral",
+    "#FF8C00": "Dark Orange",
+    "#FFA07A": "Light Salmon",
+    "#FFA500": "Orange",
+    "#FFB6C1": "Light Pink",
+    "#FFC0CB": "Pink",
+    "#FFD700": "Gold",
+    "#FFDAB9": "Peach Puff",
+    "#FFDEAD": "Navajo White",
+    "#FFE4B5": "Moccasin",
+    "#FFE4C4": "Bisque",
+    "#FFE4E1": "Misty Rose",
+    "#FFEBCD": "Blanched Almond",
+    "#FFEFD5": "Papaya Whip",
+    "#FFF0F5": "Lavender Blush",
+    "#FFF5EE": "Sea Shell",
+    "#FFF8DC": "Cornsilk",
+    "#FFFACD": "Lemon Chiffon",
+    "#FFFAF0": "Floral White",
+    "#FFFAFA": "Snow",
+    "#FFFF00": "Yellow",
+    "#FFFFE0": "Light Yellow",
+    "#FFFFF0": "Ivory",
+    "#FFFFFF": "White"
+};
+
+// The most common names from the XKCD color survey, where people named
+// colors in their own words
+export const COMMON_NAMES = {
+    "#000000": "Black",
+    "#00035B": "Dark Blue",
+    "#001146": "Navy Blue",
+    "#00FFFF": "Cyan",
+    "#01153E": "Navy",
+    "#014D4E": "Dark Teal",
+    "#0165FC": "Bright Blue",
+    "#01889F": "Teal Blue",
+    "#01A049": "Emerald",
+    "#01FF07": "Bright Green",
+    "#020035": "Midnight Blue",
+    "#028F1E": "Emerald Green",
+    "#029386": "Teal",
+    "#02AB2E": "Kelly Green",
+    "#02D8E9": "Aqua Blue",
+    "#03012D": "Midnight",
+    "#030AA7": "Cobalt Blue",
+    "#033500": "Dark Green",
+    "#0343DF": "Blue",
+    "#03719C": "Ocean Blue",
+    "#040273": "Deep Blue",
+    "#045C5A": "Dark Turquoise",
+    "#047495": "Sea Blue",
+    "#0485D1": "Cerulean",
+    "#04D8B2": "Aquamarine",
+    "#0504AA": "Royal Blue",
+    "#06470C": "Forest Green",
+    "#0652FF": "Electric Blue",
+    "#069AF3": "Azure",
+    "#06B48B": "Green Blue",
+    "#06C2AC": "Turquoise",
+    "#0A481E": "Pine Green",
+    "#0A5F38": "Spruce",
+    "#0A888A": "Dark Cyan",
+    "#0B4008": "Hunter Green",
+    "#0B8B87": "Greenish Blue",
+    "#0CFF0C": "Neon Green",
+    "#10A674": "Bluish Green",
+    "#12E193": "Aqua Green",
+    "#137E6D": "Blue Green",
+    "#13EAC9": "Aqua",
+    "#15B01A": "Green",
+    "#1805DB": "Ultramarine Blue",
+    "#18D17B": "Seaweed",
+    "#1E488F": "Cobalt",
+    "#1FA774": "Jade",
+    "#2000B1": "Ultramarine",
+    "#2138AB": "Sapphire",
+    "#214761": "Dark Slate Blue",
+    "#34013F": "Dark Violet",
+    "#341C02": "Dark Brown",
+    "#343837": "Charcoal",
+    "#35063E": "Dark Purple",
+    "#36013F": "Deep Purple",
+    "#363737": "Dark Grey",
+    "#373E02": "Dark Olive",
+    "#380282": "Indigo",
+    "#380835": "Eggplant",
+    "#3B5B92": "Denim Blue",
+    "#3B638C": "Denim",
+    "#3D0734": "Aubergine",
+    "#3D1C02": "Chocolate",
+    "#3F9B0B": "Grass Green",
+    "#40A368": "Greenish",
+    "#4A0100": "Mahogany",
+    "#4B006E": "Royal Purple",
+    "#4B5D16": "Army Green",
+    "#4E518B": "Twilight",
+    "#4E5481": "Dusk",
+    "#516572": "Slate",
+    "#5170D7": "Cornflower Blue",
+    "#536267": "Gunmetal",
+    "#53FCA1": "Sea Green",
+    "#5729CE": "Blue Purple",
+    "#580F41": "Plum",
+    "#59656D": "Slate Grey",
+    "#5A7D9A": "Steel Blue",
+    "#5B7C99": "Slate Blue",
+    "#5CA904": "Leaf Green",
+    "#5CAC2D": "Grass",
+    "#5D06E9": "Blue Violet",
+    "#5E819D": "Greyish Blue",
+    "#601EF9": "Purplish Blue",
+    "#607C8E": "Blue Grey",
+    "#610023": "Burgundy",
+    "#6258C4": "Iris",
+    "#632DE9": "Purple Blue",
+    "#645403": "Olive Brown",
+    "#650021": "Maroon",
+    "#653700": "Brown",
+    "#658B38": "Moss Green",
+    "#677A04": "Olive Green",
+    "#680018": "Claret",
+    "#696112": "Greenish Brown",
+    "#698339": "Swamp",
+    "#6A6E09": "Brownish Green",
+    "#6B7C85": "Battleship Grey",
+    "#6B8BA4": "Grey Blue",
+    "#6C3461": "Grape",
+    "#6E750E": "Olive",
+    "#6F7632": "Olive Drab",
+    "#703BE7": "Bluish Purple",
+    "#730039": "Merlot",
+    "#735C12": "Mud",
+    "#738595": "Steel",
+    "#742802": "Chestnut",
+    "#74A662": "Dull Green",
+    "#75BBFD": "Sky Blue",
+    "#769958": "Moss",
+    "#76CD26": "Apple Green",
+    "#770001": "Oxblood",
+    "#789B73": "Grey Green",
+    "#7AF9AB": "Seafoam Green",
+    "#7B0323": "Wine Red",
+    "#7E1E9C": "Purple",
+    "#7EF4CC": "Light Turquoise",
+    "#7F2B0A": "Reddish Brown",
+    "#80013F": "Wine",
+    "#80F9AD": "Seafoam",
+    "#82A67D": "Greyish Green",
+    "#82CAFC": "Sky",
+    "#840000": "Dark Red",
+    "#856798": "Dark Lavender",
+    "#875F42": "Cocoa",
+    "#87A922": "Avocado Green",
+    "#87AE73": "Sage",
+    "#887191": "Greyish Purple",
+    "#88B378": "Sage Green",
+    "#895B7B": "Dusky Purple",
+    "#89FE05": "Lime Green",
+    "#8B2E16": "Red Brown",
+    "#8C000F": "Crimson",
+    "#8E82FE": "Periwinkle",
+    "#8EAB12": "Pea Green",
+    "#8EE53F": "Kiwi Green",
+    "#8F1402": "Brick Red",
+    "#8F99FB": "Periwinkle Blue",
+    "#8FB67B": "Lichen",
+    "#8FFF9F": "Mint Green",
+    "#90B134": "Avocado",
+    "#90E4C1": "Light Teal",
+    "#910951": "Reddish Purple",
+    "#920A4E": "Mulberry",
+    "#929591": "Grey",
+    "#929901": "Pea Soup",
+    "#95A3A6": "Cool Grey",
+    "#95D0FC": "Light Blue",
+    "#960056": "Dark Magenta",
+    "#96F97B": "Light Green",
+    "#978A84": "Warm Grey",
+    "#980002": "Blood Red",
+    "#985E2B": "Sepia",
+    "#98EFF9": "Robin's Egg Blue",
+    "#990F4B": "Berry",
+    "#9A0200": "Deep Red",
+    "#9A0EEA": "Violet",
+    "#9A3001": "Auburn",
+    "#9B5FC0": "Amethyst",
+    "#9B8F55": "Dark Khaki",
+    "#9CEF43": "Kiwi",
+    "#9D7651": "Mocha",
+    "#9FFEB0": "Mint",
+    "#A03623": "Brick",
+    "#A0450E": "Burnt Umber",
+    "#A2BFFE": "Pastel Blue",
+    "#A2CFFE": "Baby Blue",
+    "#A484AC": "Heather",
+    "#A57E52": "Puce",
+    "#A6814C": "Coffee",
+    "#A83C09": "Rust",
+    "#A87900": "Bronze",
+    "#A9561E": "Sienna",
+    "#A9F971": "Spring Green",
+    "#AA2704": "Rust Red",
+    "#AAA662": "Khaki",
+    "#AAFF32": "Lime",
+    "#AC4F06": "Cinnamon",
+    "#ACBF69": "Light Olive",
+    "#AD8150": "Light Brown",
+    "#ADA587": "Stone",
+    "#AE7181": "Mauve",
+    "#AF6F09": "Caramel",
+    "#AF884A": "Dark Tan",
+    "#B00149": "Raspberry",
+    "#B04E0F": "Burnt Sienna",
+    "#B0DD16": "Yellowish Green",
+    "#B0FF9D": "Pastel Green",
+    "#B1D1FC": "Powder Blue",
+    "#B26400": "Umber",
+    "#B66325": "Copper",
+    "#B66A50": "Clay",
+    "#B790D4": "Pale Purple",
+    "#B9A281": "Taupe",
+    "#BA9E88": "Mushroom",
+    "#BC13FE": "Neon Purple",
+    "#BD6C48": "Adobe",
+    "#BE0119": "Scarlet",
+    "#BE03FD": "Bright Purple",
+    "#BE6400": "Orange Brown",
+    "#BEAE8A": "Putty",
+    "#BF77F6": "Light Purple",
+    "#BF9005": "Ochre",
+    "#C04E01": "Burnt Orange",
+    "#C0737A": "Dusty Rose",
+    "#C0FA8B": "Pistachio",
+    "#C0FB2D": "Yellow Green",
+    "#C14A09": "Brick Orange",
+    "#C1F80A": "Chartreuse",
+    "#C1FD95": "Celery",
+    "#C20078": "Magenta",
+    "#C5C9C7": "Silver",
+    "#C65102": "Dark Orange",
+    "#C69F59": "Camel",
+    "#C79FEF": "Lavender",
+    "#C7FDB5": "Pale Green",
+    "#C875C4": "Orchid",
+    "#C9643B": "Terra Cotta",
+    "#C9FF27": "Green Yellow",
+    "#CA6641": "Terracotta",
+    "#CAA0FF": "Pastel Purple",
+    "#CB0162": "Deep Pink",
+    "#CB416B": "Dark Pink",
+    "#CDC50A": "Dirty Yellow",
+    "#CDFD02": "Greenish Yellow",
+    "#CEA2FD": "Lilac",
+    "#CEB301": "Mustard",
+    "#CF0234": "Cherry",
+    "#CF6275": "Rose",
+    "#CFAF7B": "Fawn",
+    "#D0FEFE": "Pale Blue",
+    "#D1B26F": "Tan",
+    "#D2BD0A": "Mustard Yellow",
+    "#D46A7E": "Pinkish",
+    "#D5B60A": "Dark Yellow",
+    "#D648D7": "Pinkish Purple",
+    "#D6B4FC": "Light Violet",
+    "#D7FFFE": "Ice Blue",
+    "#D8DCD6": "Light Grey",
+    "#DBB40C": "Gold",
+    "#DD85D7": "Lavender Pink",
+    "#DFC5FE": "Light Lavender",
+    "#E17701": "Pumpkin",
+    "#E2CA76": "Sand",
+    "#E50000": "Red",
+    "#E6DAA6": "Beige",
+    "#ED0DD9": "Fuchsia",
+    "#F10C45": "Pinkish Red",
+    "#F29E8E": "Blush",
+    "#F7022A": "Cherry Red",
+    "#F7879A": "Rose Pink",
+    "#F97306": "Orange",
+    "#FAC205": "Goldenrod",
+    "#FAFE4B": "Banana Yellow",
+    "#FB2943": "Strawberry",
+    "#FC5A50": "Coral",
+    "#FD3C06": "Red Orange",
+    "#FD411E": "Orange Red",
+    "#FD4659": "Watermelon",
+    "#FDAA48": "Light Orange",
+    "#FDFF38": "Lemon Yellow",
+    "#FDFF52": "Lemon",
+    "#FE019A": "Neon Pink",
+    "#FE01B1": "Bright Pink",
+    "#FE2C54": "Reddish Pink",
+    "#FE7B7C": "Salmon Pink",
+    "#FE828C": "Blush Pink",
+    "#FE83CC": "Bubblegum Pink",
+    "#FEA993": "Light Salmon",
+    "#FEB308": "Amber",
+    "#FEFFCA": "Ecru",
+    "#FF000D": "Bright Red",
+    "#FF028D": "Hot Pink",
+    "#FF474C": "Light Red",
+    "#FF5B00": "Bright Orange",
+    "#FF7855": "Melon",
+    "#FF796C": "Salmon",
+    "#FF81C0": "Pink",
+    "#FF9408": "Tangerine",
+    "#FFA62B": "Mango",
+    "#FFA756": "Pale Orange",
+    "#FFB07C": "Peach",
+    "#FFB16D": "Apricot",
+    "#FFB7CE": "Baby Pink",
+    "#FFC512": "Sunflower",
+    "#FFCFDC": "Pale Pink",
+    "#FFD1DF": "Light Pink",
+    "#FFDA03": "Sunflower Yellow",
+    "#FFFD01": "Bright Yellow",
+    "#FFFD74": "Butter Yellow",
+    "#FFFE40": "Canary Yellow",
+    "#FFFE7A": "Light Yellow",
+    "#FFFF14": "Yellow",
+    "#FFFF84": "Pale Yellow",
+    "#FFFFC2": "Cream",
+    "#FFFFE4": "Off White",
+    "#FFFFFF": "White"
+};
+
+// Evocative hue nouns for the creative list; each is combined with every
+// modifier below
+const CREATIVE_NOUNS = [
+    ['Coral', '#FF7F50'], ['Salmon', '#FA8072'], ['Tomato', '#FF6347'], ['Crimson', '#DC143C'],
+    ['Scarlet', '#FF2400'], ['Vermilion', '#E34234'], ['Ruby', '#E0115F'], ['Cerise', '#DE3163'],
+    ['Raspberry', '#E30B5C'], ['Rose', '#FF007F'], ['Blush', '#DE5D83'], ['Flamingo', '#FC8EAC'],
+    ['Bubblegum', '#FFC1CC'], ['Magenta', '#FF00FF'], ['Fuchsia', '#C154C1'],
+    ['Orchid', '#DA70D6'], ['Plum', '#8E4585'], ['Mulberry', '#C54B8C'], ['Wine', '#722F37'],
+    ['Burgundy', '#800020'], ['Garnet', '#733635'], ['Cranberry', '#9F000F'],
+    ['Strawberry', '#FC5A8D'], ['Watermelon', '#FD4659'], ['Cherry', '#D2042D'],
+    ['Brick', '#CB4154'], ['Rust', '#B7410E'], ['Terracotta', '#E2725B'], ['Clay', '#B66A50'],
+    ['Copper', '#B87333'], ['Bronze', '#CD7F32'], ['Amber', '#FFBF00'], ['Apricot', '#FBCEB1'],
+    ['Peach', '#FFE5B4'], ['Melon', '#FEBAAD'], ['Papaya', '#FFEFD5'], ['Mango', '#FF8243'],
+    ['Tangerine', '#F28500'], ['Pumpkin', '#FF7518'], ['Persimmon', '#EC5800'],
+    ['Marigold', '#EAA221'], ['Saffron', '#F4C430'], ['Mustard', '#FFDB58'], ['Honey', '#EBA937'],
+    ['Butter', '#FFF1B5'], ['Lemon', '#FFF700'], ['Canary', '#FFFF99'], ['Banana', '#FFE135'],
+    ['Sunflower', '#FFDA03'], ['Gold', '#FFD700'], ['Brass', '#B5A642'], ['Ochre', '#CC7722'],
+    ['Caramel', '#C68E17'], ['Cinnamon', '#D2691E'], ['Ginger', '#B06500'],
+    ['Chestnut', '#954535'], ['Cocoa', '#875F42'], ['Coffee', '#6F4E37'], ['Espresso', '#4E312D'],
+    ['Mocha', '#967969'], ['Mahogany', '#C04000'], ['Sepia', '#704214'], ['Umber', '#635147'],
+    ['Sienna', '#882D17'], ['Walnut', '#773F1A'], ['Sand', '#C2B280'], ['Khaki', '#C3B091'],
+    ['Wheat', '#F5DEB3'], ['Oat', '#DFD3B6'], ['Cream', '#FFFDD0'], ['Ivory', '#FFFFF0'],
+    ['Linen', '#FAF0E6'], ['Bone', '#E3DAC9'], ['Taupe', '#483C32'], ['Olive', '#808000'],
+    ['Moss', '#8A9A5B'], ['Sage', '#BCB88A'], ['Pistachio', '#93C572'], ['Lime', '#BFFF00'],
+    ['Chartreuse', '#7FFF00'], ['Pear', '#D1E231'], ['Kiwi', '#8EE53F'], ['Avocado', '#568203'],
+    ['Fern', '#4F7942'], ['Clover', '#3EA055'], ['Shamrock', '#009E60'], ['Emerald', '#50C878'],
+    ['Jade', '#00A86B'], ['Malachite', '#0BDA51'], ['Mint', '#3EB489'], ['Seafoam', '#93E9BE'],
+    ['Spruce', '#0A5F38'], ['Pine', '#01796F'], ['Forest', '#228B22'], ['Juniper', '#6D9292'],
+    ['Eucalyptus', '#44D7A8'], ['Teal', '#008080'], ['Lagoon', '#4F9A9A'],
+    ['Turquoise', '#40E0D0'], ['Aqua', '#00FFFF'], ['Cyan', '#00B7EB'], ['Peacock', '#33A1C9'],
+    ['Sky', '#87CEEB'], ['Glacier', '#80B3C4'], ['Ice', '#D6FFFA'], ['Azure', '#007FFF'],
+    ['Cerulean', '#007BA7'], ['Cobalt', '#0047AB'], ['Sapphire', '#0F52BA'], ['Denim', '#1560BD'],
+    ['Navy', '#000080'], ['Ultramarine', '#120A8F'], ['Indigo', '#4B0082'],
+    ['Periwinkle', '#CCCCFF'], ['Cornflower', '#6495ED'], ['Steel', '#4682B4'],
+    ['Slate', '#708090'], ['Storm', '#4F666A'], ['Lavender', '#B57EDC'], ['Lilac', '#C8A2C8'],
+    ['Wisteria', '#C9A0DC'], ['Iris', '#5A4FCF'], ['Violet', '#8F00FF'], ['Amethyst', '#9966CC'],
+    ['Grape', '#6F2DA8'], ['Eggplant', '#614051'], ['Heather', '#B7A8C8'], ['Mauve', '#E0B0FF'],
+    ['Thistle', '#D8BFD8'], ['Charcoal', '#36454F'], ['Graphite', '#383838'],
+    ['Pewter', '#8E9196'], ['Ash', '#B2BEB5'], ['Smoke', '#738276'], ['Pearl', '#EAE0C8'],
+    ['Silver', '#C0C0C0'], ['Onyx', '#353839'], ['Jet', '#343434'], ['Snow', '#FFFFFF'], ['Obsidian', '#000000']
+];
+
+// [word, OKLCH lightness, chroma relative to the noun]
+const CREATIVE_MODIFIERS = [
+    ['Pale', 0.94, 0.3], ['Misty', 0.88, 0.25], ['Powder', 0.86, 0.45], ['Pastel', 0.84, 0.6],
+    ['Light', 0.78, 0.8], ['Faded', 0.7, 0.3], ['Soft', 0.72, 0.55], ['Bright', 0.7, 1.15],
+    ['Vivid', 0.64, 1.35], ['Electric', 0.6, 1.6], ['Dusty', 0.62, 0.4], ['Muted', 0.55, 0.45],
+    ['Smoky', 0.46, 0.3], ['Rich', 0.5, 1.1], ['Deep', 0.42, 1], ['Dark', 0.35, 0.8],
+    ['Shadow', 0.3, 0.45], ['Midnight', 0.24, 0.6], ['Ink', 0.2, 0.35]
+];
+
+// Below this chroma a noun is a neutral, and boosting modifiers make no sense
+const NEUTRAL_CHROMA = 0.03;
+
+/**
+ * Builds the creative list: every noun on its own plus every modifier
+ * applied to it in OKLCH (the noun's hue, the modifier's lightness), a few
+ * thousand names. Variations that land on the same hex keep the first name.
+ * @returns {object} - hex -> name
+ */
+export function buildCreativeNames() {
+    const names = {};
+    const add = (rgb, name) => {
+        const hex = rgbToHex(rgb.r, rgb.g, rgb.b);
+        if (!names[hex]) names[hex] = name;
+    };
+
+    CREATIVE_NOUNS.forEach(([noun, hex]) => add(hexToRgb(hex), noun));
+    CREATIVE_NOUNS.forEach(([noun, hex]) => {
+        const rgb = hexToRgb(hex);
+        const { c, h } = rgbToOklch(rgb.r, rgb.g, rgb.b);
+        CREATIVE_MODIFIERS.forEach(([word, lightness, chroma]) => {
+            if (c < NEUTRAL_CHROMA && chroma > 1) return;
+            add(oklchToRgb(lightness, c * chroma, h), `${word} ${noun}`);
+        });
+    });
+    return names;
+}
@@ -0,0 +1,241 @@
+import { hslToRgb } from './color-conversion.js';
+import { getContrastRatio } from './contrast.js';
+import { createRandom } from './random.js';
+
+/**
+ * Seeded, constraint-driven palette generation.
+ * A seed drives every random choice, so the same seed with the same settings
+ * (constraints, harmony, locks, column count) reproduces the same palette.
+ */
+
+/**
+ * Saturation / lightness ranges per mood, plus optional base hue ranges.
+ * baseOnly moods pick the base color from their ranges but leave the rest
+ * of the harmony's lightness spread alone.
+ */
+export const MOOD_PRESETS = {
+    vibrant: { label: 'Vibrant', saturation: [60, 100], lightness: [40, 80], baseOnly: true },
+    pastel: { label: 'Pastel', saturation: [25, 70], lightness: [75, 92] },
+    muted: { label: 'Muted', saturation: [10, 40], lightness: [35, 70] },
+    earthy: { label: 'Earthy', saturation: [20, 55], lightness: [20, 60], hues: [[15, 100]] },
+    neon: { label: 'Neon', saturation: [90, 100], lightness: [50, 65] },
+    dark: { label: 'Dark', saturation: [25, 80], lightness: [8, 30] },
+    any: { label: 'Anything', saturation: [0, 100], lightness: [0, 100] }
+};
+
+export const DEFAULT_CONSTRAINTS = {
+    mood: 'vibrant',
+    includeHues: [], // [[from, to]] - each range must be represented by a color
+    excludeHues: [], // [[from, to]] - no generated color may fall inside
+    saturation: [0, 100],
+    lightness: [0, 100],
+    requireAaText: false // Some color must pass WCAG AA (4.5:1) on the lightest color
+};
+
+export const MAX_ATTEMPTS = 400;
+
+// Below this saturation a color has no meaningful hue
+const MIN_CHROMATIC_SATURATION = 8;
+const AA_RATIO = 4.5;
+
+/**
+ * Parses "20-60, 300-340" into [[20, 60], [300, 340]]. Ranges may wrap (340-20).
+ * @param {string} text
+ * @returns {Array|null} - null if any part is malformed.
+ */
+export function parseHueRanges(text) {
+    const parts = String(text || '').split(',').map(p => p.trim()).filter(Boolean);
+    const ranges = [];
+    for (const part of parts) {
+        const match = /^(\d{1,3})\s*-\s*(\d{1,3})$/.exec(part);
+        if (!match) return null;
+        const from = Number(match[1]);
+        const to = Number(match[2]);
+        if (from > 360 || to > 360) return null;
+        ranges.push([from, to]);
+    }
+    return ranges;
+}
+
+export function formatHueRanges(ranges) {
+    return ranges.map(([from, to]) => `${from}-${to}`).join(', ');
+}
+
+function inHueRange(hue, [from, to]) {
+    return from <= to ? hue >= from && hue <= to : hue >= from || hue <= to;
+}
+
+function rangeWidth([from, to]) {
+    return from <= to ? to - from : 360 - from + to;
+}
+
+function randomIn(random, min, max) {
+    return Math.round(min + random() * (max - min));
+}
+
+/**
+ * Intersects the mood's ranges with the user's, and lists problems that make
+ * the constraints unsatisfiable before any attempt is made.
+ * @param {object} constraints
+ * @returns {object} - { base: {saturation, lightness}, palette: {saturation, lightness}, baseHues,
+ *   problems: [string] }, ranges as [min, max].
+ */
+export function resolveConstraints(constraints) {
+    const mood = MOOD_PRESETS[constraints.mood] || MOOD_PRESETS.any;
+    const problems = [];
+
+    const intersect = (name, moodRange, userRange) => {
+        const range = [Math.max(moodRange[0], userRange[0]), Math.min(moodRange[1], userRange[1])];
+        if (range[0] > range[1]) {
+            problems.push(`${name} ${userRange[0]}–${userRange[1]} doesn't overlap the ${mood.label} mood's ${moodRange[0]}–${moodRange[1]}.`);
+        }
+        return range;
+    };
+    const base = {
+        saturation: intersect('Saturation', mood.saturation, constraints.saturation),
+        lightness: intersect('Lightness', mood.lightness, constraints.lightness)
+    };
+    const palette = mood.baseOnly ? { saturation: constraints.saturation, lightness: constraints.lightness } : base;
+
+    // An included range that sits entirely inside an excluded one can never be hit
+    constraints.includeHues.forEach(range => {
+        const blocked = constraints.excludeHues.some(ex =>
+            inHueRange(range[0], ex) && inHueRange(range[1], ex) && rangeWidth(ex) >= rangeWidth(range));
+        if (blocked) problems.push(`Hues ${range[0]}–${range[1]} are both included and excluded.`);
+    });
+
+    if (base.saturation[1] < MIN_CHROMATIC_SATURATION && constraints.includeHues.length > 0) {
+        problems.push(`Saturation at most ${base.saturation[1]} is too grey to show any included hue.`);
+    }
+
+    // Base hues come from the included ranges first, then the mood
+    const baseHues = constraints.includeHues.length > 0 ? constraints.includeHues : (mood.hues || [[0, 360]]);
+    return { base, palette, baseHues, problems };
+}
+
+/**
+ * Checks a finished palette.
+ * @param {Array} colors - HSL colors.
+ * @param {object} constraints
+ * @param {Set} lockedIndices - Locked colors are the user's choice and are not held to exclusions.
+ * @returns {Array} - Failed constraint keys: 'include', 'exclude', 'aa'.
+ */
+export function checkConstraints(colors, constraints, lockedIndices = new Set()) {
+    const failures = [];
+    const chromatic = (c) => c.s >= MIN_CHROMATIC_SATURATION && c.l > 3 && c.l < 97;
+
+    const covered = constraints.includeHues.every(range =>
+        colors.some(c => chromatic(c) && inHueRange(c.h, range)));
+    if (!covered) failures.push('include');
+
+    const excluded = colors.some((c, i) =>
+        !lockedIndices.has(i) && chromatic(c) && constraints.excludeHues.some(range => inHueRange(c.h, range)));
+    if (excluded) failures.push('exclude');
+
+    if (constraints.requireAaText) {
+        const rgbs = colors.map(c => hslToRgb(c.h, c.s, c.l));
+        const lightest = rgbs.reduce((best, rgb) => (luma(rgb) > luma(best) ? rgb : best));
+        if (!rgbs.some(rgb => getContrastRatio(rgb, lightest) >= AA_RATIO)) failures.push('aa');
+    }
+    return failures;
+}
+
+function luma(rgb) {
+    return 0.2126 * rgb.r + 0.7152 * rgb.g + 0.0722 * rgb.b;
+}
+
+/**
+ * Makes sure the palette has a text color for its lightest color by darkening
+ * its darkest unlocked column (never the base) just enough to pass AA.
+ * Moods don't apply to the text color; the user's own lightness limit does.
+ * @returns {Array} - The colors, with at most one replaced.
+ */
+function ensureTextColor(colors, lockedIndices, minLightness) {
+    const rgbs = colors.map(c => hslToRgb(c.h, c.s, c.l));
+    const lightest = rgbs.reduce((best, rgb) => (luma(rgb) > luma(best) ? rgb : best));
+    if (rgbs.some(rgb => getContrastRatio(rgb, lightest) >= AA_RATIO)) return colors;
+
+    const candidates = colors
+        .map((color, index) => ({ color, index }))
+        .filter(({ index }) => index > 0 && !lockedIndices.has(index))
+        .sort((a, b) => a.color.l - b.color.l);
+    if (candidates.length === 0) return colors;
+
+    const { color, index } = candidates[0];
+    for (let l = color.l - 1; l >= minLightness; l--) {
+        if (getContrastRatio(hslToRgb(color.h, color.s, l), lightest) >= AA_RATIO) {
+            return colors.map((c, i) => (i === index ? { ...color, l } : c));
+        }
+    }
+    return colors;
+}
+
+/**
+ * Explains why no attempt satisfied the constraints, most common failure first.
+ */
+function explainFailures(counts, constraints, attempts) {
+    const messages = {
+        include: `No palette covered every included hue range (${formatHueRanges(constraints.includeHues)}); try wider ranges, fewer of them, or a harmony with more hue spread.`,
+        exclude: `The harmony kept landing in excluded hues (${formatHueRanges(constraints.excludeHues)}); try narrower exclusions or a tighter harmony like analogous.`,
+        aa: `No color could reach 4.5:1 against the lightest color with lightness at least ${constraints.lightness[0]}; lower the minimum lightness or unlock a column to use as the text color.`
+    };
+    return Object.entries(counts)
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, count]) => `${messages[key]} (failed ${count} of ${attempts} tries)`);
+}
+
+/**
+ * Generates a palette that satisfies the constraints, retrying with the seeded
+ * generator. Unlocked colors are pulled into the saturation / lightness limits
+ * and a text color is made when asked for; hue constraints are met by retrying.
+ * @param {object} options
+ * @param {string} options.seed
+ * @param {object} options.constraints
+ * @param {Array} options.rules - Harmony rules to pick from; one entry keeps the rule fixed.
+ * @param {Function} options.build - (baseHsl, rule) => palette HSL colors with locks applied.
+ * @param {Set} options.lockedIndices
+ * @param {object|null} options.lockedBase - Column 0's color when it is locked.
+ * @returns {object} - { ok, baseColor, rule, colors, attempts, reasons: [string] }
+ */
+export function generatePalette({ seed, constraints, rules, build, lockedIndices, lockedBase = null }) {
+    const resolved = resolveConstraints(constraints);
+    if (resolved.problems.length > 0) {
+        return { ok: false, attempts: 0, reasons: resolved.problems };
+    }
+
+    const random = createRandom(seed);
+    const counts = { include: 0, exclude: 0, aa: 0 };
+    const [sMin, sMax] = resolved.palette.saturation;
+    const [lMin, lMax] = resolved.palette.lightness;
+    const fit = (c) => ({
+        h: c.h,
+        s: Math.min(sMax, Math.max(sMin, c.s)),
+        l: Math.min(lMax, Math.max(lMin, c.l))
+    });
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const rule = rules[Math.floor(random() * rules.length)];
+
+        let baseColor = lockedBase;
+        if (!baseColor) {
+            const [from, to] = resolved.baseHues[Math.floor(random() * resolved.baseHues.length)];
+            const h = (from + Math.round(random() * rangeWidth([from, to]))) % 360;
+            baseColor = {
+                h,
+                s: randomIn(random, ...resolved.base.saturation),
+                l: randomIn(random, ...resolved.base.lightness)
+            };
+        }
+
+        let colors = build(baseColor, rule).map((c, i) => (lockedIndices.has(i) ? c : fit(c)));
+        if (constraints.requireAaText) colors = ensureTextColor(colors, lockedIndices, constraints.lightness[0]);
+        const failures = checkConstraints(colors, constraints, lockedIndices);
+        if (failures.length === 0) {
+            return { ok: true, baseColor, rule, colors, attempts: attempt, reasons: [] };
+        }
+        failures.forEach(key => counts[key]++);
+    }
+
+    return { ok: false, attempts: MAX_ATTEMPTS, reasons: explainFailures(counts, constraints, MAX_ATTEMPTS) };
+}
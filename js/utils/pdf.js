@@ -0,0 +1,151 @@
+/**
+ * Minimal PDF writer for printable sheets.
+ * Draws filled and outlined (optionally rounded) rectangles and single-line
+ * text in the standard Helvetica faces, so no fonts need embedding. Pages
+ * are described top-down like SVG and flipped into PDF's bottom-up space.
+ *
+ * Drawing ops:
+ *   { type: 'rect', x, y, width, height, fill?, stroke?, radius? }
+ *   { type: 'text', x, y (baseline), text, size, bold?, fill?, anchor?: 'start' | 'middle' | 'end' }
+ * Colors are '#rrggbb'.
+ */
+
+// Helvetica advance widths (per 1000 em) for the characters sheets use
+const NARROW = { ' ': 278, '.': 278, ',': 278, ':': 278, ';': 278, '!': 278, i: 222, j: 222, l: 222, f: 278, t: 278, r: 333, '(': 333, ')': 333, '-': 333, '/': 278, I: 278 };
+const WIDE = { m: 833, w: 722, M: 833, W: 944, '%': 889, '@': 1015 };
+// Bold faces run slightly wider
+const BOLD_FACTOR = 1.06;
+// Bezier handle length for a quarter circle
+const KAPPA = 0.5523;
+
+// Characters that are not Latin-1 but exist in WinAnsiEncoding
+const WIN_ANSI = { '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97 };
+
+/**
+ * Approximate width of a line of Helvetica text, for alignment.
+ * @param {string} text
+ * @param {number} size
+ * @param {boolean} [bold=false]
+ * @returns {number}
+ */
+export function measureText(text, size, bold = false) {
+    let units = 0;
+    for (const ch of text) {
+        if (NARROW[ch]) units += NARROW[ch];
+        else if (WIDE[ch]) units += WIDE[ch];
+        else if (ch >= 'A' && ch <= 'Z') units += 667;
+        else units += 556;
+    }
+    return (units / 1000) * size * (bold ? BOLD_FACTOR : 1);
+}
+
+function encodeText(text) {
+    let out = '';
+    for (const ch of text) {
+        const code = WIN_ANSI[ch] || ch.charCodeAt(0);
+        const byte = code <= 0xff && ch.length === 1 ? code : 0x3f; // '?'
+        const char = String.fromCharCode(byte);
+        out += char === '(' || char === ')' || char === '\\' ? `\\${char}` : char;
+    }
+    return out;
+}
+
+function num(value) {
+    return Number(value.toFixed(2)).toString();
+}
+
+function rgbOperands(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [value >> 16, (value >> 8) & 0xff, value & 0xff].map(c => num(c / 255)).join(' ');
+}
+
+/**
+ * Path for a rectangle in PDF space (y is its bottom edge).
+ */
+function rectPath(x, y, width, height, radius) {
+    const r = Math.min(radius || 0, width / 2, height / 2);
+    if (r <= 0) return `${num(x)} ${num(y)} ${num(width)} ${num(height)} re`;
+
+    const k = r * KAPPA;
+    const right = x + width;
+    const top = y + height;
+    return [
+        `${num(x + r)} ${num(y)} m`,
+        `${num(right - r)} ${num(y)} l`,
+        `${num(right - r + k)} ${num(y)} ${num(right)} ${num(y + r - k)} ${num(right)} ${num(y + r)} c`,
+        `${num(right)} ${num(top - r)} l`,
+        `${num(right)} ${num(top - r + k)} ${num(right - r + k)} ${num(top)} ${num(right - r)} ${num(top)} c`,
+        `${num(x + r)} ${num(top)} l`,
+        `${num(x + r - k)} ${num(top)} ${num(x)} ${num(top - r + k)} ${num(x)} ${num(top - r)} c`,
+        `${num(x)} ${num(y + r)} l`,
+        `${num(x)} ${num(y + r - k)} ${num(x + r - k)} ${num(y)} ${num(x + r)} ${num(y)} c`,
+        'h'
+    ].join('\n');
+}
+
+function contentStream(ops, pageHeight) {
+    return ops.map(op => {
+        if (op.type === 'rect') {
+            const path = rectPath(op.x, pageHeight - op.y - op.height, op.width, op.height, op.radius);
+            const paint = [];
+            if (op.fill) paint.push(`${rgbOperands(op.fill)} rg`);
+            if (op.stroke) paint.push(`${rgbOperands(op.stroke)} RG 0.75 w`);
+            const operator = op.fill && op.stroke ? 'B' : op.fill ? 'f' : 'S';
+            return `${paint.join(' ')}\n${path}\n${operator}`;
+        }
+
+        const width = measureText(op.text, op.size, op.bold);
+        const x = op.anchor === 'middle' ? op.x - width / 2 : op.anchor === 'end' ? op.x - width : op.x;
+        return [
+            'BT',
+            `/${op.bold ? 'F2' : 'F1'} ${num(op.size)} Tf`,
+            `${rgbOperands(op.fill || '#000000')} rg`,
+            `${num(x)} ${num(pageHeight - op.y)} Td`,
+            `(${encodeText(op.text)}) Tj`,
+            'ET'
+        ].join('\n');
+    }).join('\n');
+}
+
+/**
+ * @param {Array} pages - Arrays of drawing ops, one per page.
+ * @param {object} size - { width, height } in points (1/72 inch).
+ * @returns {Uint8Array}
+ */
+export function createPdf(pages, { width, height }) {
+    // Objects 1-4 are fixed; each page adds a page object and its content stream
+    const objects = [];
+    const pageIds = pages.map((_, i) => 5 + i * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+    pages.forEach((ops, i) => {
+        const id = pageIds[i];
+        const stream = contentStream(ops, height);
+        objects[id] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${id + 1} 0 R >>`;
+        objects[id + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    });
+
+    // Every character is one byte, so string offsets are byte offsets
+    let out = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = out.length;
+        out += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xref = out.length;
+    out += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        out += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    out += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(out.length);
+    for (let i = 0; i < out.length; i++) bytes[i] = out.charCodeAt(i);
+    return bytes;
+}
@@ -0,0 +1,41 @@
+/**
+ * Seedable pseudo-random numbers, so generated palettes can be reproduced.
+ */
+
+/**
+ * Hashes a seed string to a 32-bit integer (FNV-1a).
+ * @param {string|number} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Creates a mulberry32 generator.
+ * @param {string|number} seed - Numbers are used as-is; strings are hashed.
+ * @returns {Function} - Returns floats in [0, 1), like Math.random.
+ */
+export function createRandom(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A fresh, short, shareable seed such as "k3f9x2".
+ * @returns {string}
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
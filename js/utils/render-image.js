@@ -0,0 +1,85 @@
+/**
+ * Rasterizes SVG markup, and live page elements, to PNG in the browser.
+ * Elements are copied with their computed styles inlined into an SVG
+ * <foreignObject>, which the browser then draws onto a canvas. Web fonts and
+ * ::before / ::after content are not carried over.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Could not render the image'));
+        image.src = src;
+    });
+}
+
+/**
+ * @param {string} markup - A standalone SVG document.
+ * @param {number} width - CSS pixels.
+ * @param {number} height - CSS pixels.
+ * @param {number} [scale=2] - Device pixels per CSS pixel.
+ * @returns {Promise<Blob>}
+ */
+export async function svgToPng(markup, width, height, scale = 2) {
+    const image = await loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas is not available in this browser');
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render the image'))), 'image/png');
+    });
+}
+
+/**
+ * Copies every computed style of source onto target, element by element.
+ * Form controls get their current value written into the markup.
+ */
+function inlineStyles(source, target) {
+    const computed = getComputedStyle(source);
+    for (let i = 0; i < computed.length; i++) {
+        const property = computed[i];
+        target.style.setProperty(property, computed.getPropertyValue(property));
+    }
+
+    if (source.localName === 'select') {
+        [...target.options].forEach((option, i) => option.toggleAttribute('selected', i === source.selectedIndex));
+    } else if (source.localName === 'input') {
+        target.setAttribute('value', source.value);
+        target.toggleAttribute('checked', source.checked);
+    }
+
+    for (let i = 0; i < source.children.length; i++) {
+        inlineStyles(source.children[i], target.children[i]);
+    }
+}
+
+/**
+ * @param {HTMLElement} element
+ * @param {object} [options]
+ * @param {string} [options.exclude] - Selector for parts to leave out, e.g. toolbar buttons.
+ * @param {number} [options.scale=2]
+ * @returns {Promise<Blob>}
+ */
+export function elementToPng(element, { exclude, scale = 2 } = {}) {
+    const { width, height } = element.getBoundingClientRect();
+    const clone = element.cloneNode(true);
+    inlineStyles(element, clone);
+    if (exclude) clone.querySelectorAll(exclude).forEach(el => el.remove());
+    clone.style.margin = '0';
+
+    const wrapper = document.createElementNS(XHTML_NS, 'div');
+    wrapper.appendChild(clone);
+    const markup = `<svg xmlns="${SVG_NS}" width="${width}" height="${height}">` +
+        `<foreignObject x="0" y="0" width="100%" height="100%">${new XMLSerializer().serializeToString(wrapper)}</foreignObject>` +
+        '</svg>';
+    return svgToPng(markup, width, height, scale);
+}
@@ -0,0 +1,160 @@
+import { rgbToHex, rgbToOklch } from './color-conversion.js';
+import { parseColor } from './color-parse.js';
+import { hashSeed } from './random.js';
+
+/**
+ * SVG Recoloring
+ * Finds the distinct colors an SVG paints with and swaps them for others.
+ * Colors are read from presentation attributes, style attributes and
+ * <style> sheets; paint servers, currentColor and none are left alone.
+ * The markup is shown through <img>, so its scripts never run and its
+ * styles and ids cannot leak into the page.
+ * compileSvg parses an SVG once for repeated recoloring, which then only
+ * joins strings.
+ */
+
+const COLOR_PROPERTIES = ['fill', 'stroke', 'stop-color', 'flood-color', 'lighting-color', 'color'];
+const DECLARATION = new RegExp(`(^|[;{\\s])(${COLOR_PROPERTIES.join('|')})(\\s*:\\s*)([^;}!]+)`, 'g');
+// Marks a color value in compiled markup; private-use characters never occur in real SVGs
+const SLOT = /\uE000(\d+)\uE001/;
+// Below this OKLCH chroma a color is left as it is by autoMapColors
+const NEUTRAL_CHROMA = 0.04;
+
+function normalize(value) {
+    const rgb = parseColor(value);
+    return rgb ? rgbToHex(rgb.r, rgb.g, rgb.b) : null;
+}
+
+/**
+ * Calls replace(hex, value) for every color value in the document, and writes
+ * back whatever it returns (undefined leaves the value as it is).
+ */
+function visitColors(doc, replace) {
+    const swap = (value) => {
+        const hex = normalize(value);
+        const next = hex ? replace(hex, value) : undefined;
+        return next === undefined ? value : next;
+    };
+    const swapDeclarations = (css) => css.replace(DECLARATION,
+        (match, before, property, colon, value) => `${before}${property}${colon}${swap(value.trim())}`);
+
+    doc.querySelectorAll('*').forEach(el => {
+        COLOR_PROPERTIES.forEach(property => {
+            if (el.hasAttribute(property)) el.setAttribute(property, swap(el.getAttribute(property)));
+        });
+        if (el.hasAttribute('style')) el.setAttribute('style', swapDeclarations(el.getAttribute('style')));
+        if (el.localName === 'style') el.textContent = swapDeclarations(el.textContent);
+    });
+}
+
+function parse(markup) {
+    const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+    if (doc.querySelector('parsererror') || doc.documentElement.localName !== 'svg') {
+        throw new Error('Not a valid SVG file');
+    }
+    return doc;
+}
+
+function serialize(doc) {
+    return new XMLSerializer().serializeToString(doc);
+}
+
+/**
+ * Checks that the markup is an SVG and gives it a viewBox, so it scales to
+ * its container.
+ * @param {string} markup
+ * @returns {string}
+ * @throws {Error} - When the markup is not an SVG.
+ */
+export function prepareSvg(markup) {
+    const doc = parse(markup);
+    const svg = doc.documentElement;
+    if (!svg.hasAttribute('xmlns')) svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+
+    const width = parseFloat(svg.getAttribute('width'));
+    const height = parseFloat(svg.getAttribute('height'));
+    if (!svg.hasAttribute('viewBox') && width > 0 && height > 0) {
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    }
+    return serialize(doc);
+}
+
+/**
+ * Parses an SVG once and splits it around its color values.
+ * @param {string} markup
+ * @returns {object} - { colors: [{ hex, count }] most used first,
+ *   render(replacements) -> markup, as recolorSvg gives }
+ */
+export function compileSvg(markup) {
+    const doc = parse(markup);
+    const values = []; // [{ hex, value }], one per color value in document order
+    const counts = {};
+    visitColors(doc, (hex, value) => {
+        counts[hex] = (counts[hex] || 0) + 1;
+        values.push({ hex, value });
+        return `\uE000${values.length - 1}\uE001`;
+    });
+
+    // Odd entries are indexes into values, even entries the markup between them
+    const parts = serialize(doc).split(new RegExp(SLOT.source, 'g'));
+
+    return {
+        colors: Object.entries(counts)
+            .map(([hex, count]) => ({ hex, count }))
+            .sort((a, b) => b.count - a.count),
+        render(replacements) {
+            return parts.map((part, i) => {
+                if (i % 2 === 0) return part;
+                const { hex, value } = values[Number(part)];
+                return replacements[hex] || value;
+            }).join('');
+        }
+    };
+}
+
+/**
+ * @param {string} markup
+ * @returns {Array} - [{ hex, count }], most used first.
+ */
+export function readSvgColors(markup) {
+    return compileSvg(markup).colors;
+}
+
+/**
+ * @param {string} markup
+ * @param {object} replacements - { '#original': '#replacement' }; unlisted colors stay.
+ * @returns {string}
+ */
+export function recolorSvg(markup, replacements) {
+    return compileSvg(markup).render(replacements);
+}
+
+/**
+ * A starting mapping: colorful colors take the palette colors in order of
+ * use, and grays, whites and blacks keep their own color.
+ * @param {Array} colors - From readSvgColors.
+ * @param {number} paletteSize
+ * @returns {object} - { '#hex': slot id } (palette slots are "0", "1", ...)
+ */
+export function autoMapColors(colors, paletteSize) {
+    const mapping = {};
+    colors
+        .filter(({ hex }) => {
+            const rgb = parseColor(hex);
+            return rgbToOklch(rgb.r, rgb.g, rgb.b).c >= NEUTRAL_CHROMA;
+        })
+        .forEach(({ hex }, i) => {
+            mapping[hex] = String(i % paletteSize);
+        });
+    return mapping;
+}
+
+/**
+ * Short stable id for a markup string (FNV-1a), so the same file loaded
+ * again finds its saved mapping.
+ * @param {string} markup
+ * @returns {string}
+ */
+export function hashMarkup(markup) {
+    return hashSeed(markup).toString(36);
+}
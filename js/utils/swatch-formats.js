@@ -0,0 +1,382 @@
+import { labToRgb } from './color-conversion.js';
+import { createZip, readZip } from './zip.js';
+
+/**
+ * Swatch file encoders and decoders.
+ * All functions work on a flat list of swatches:
+ *   [{ name: 'Royal Blue', rgb: { r, g, b }, group?: 'Royal Blue Shades' }]
+ * and have no DOM dependencies, so they run in Node as well as the browser.
+ */
+
+export const SWATCH_FORMATS = {
+    ase: { label: 'Adobe ASE', extension: 'ase', mime: 'application/octet-stream' },
+    gpl: { label: 'GIMP GPL', extension: 'gpl', mime: 'text/plain' },
+    // Procreate palettes hold exactly 30 slots; the rest are dropped on export
+    procreate: { label: 'Procreate Swatches', extension: 'swatches', mime: 'application/zip', maxSwatches: 30 },
+    sketch: { label: 'Sketch Palette', extension: 'sketchpalette', mime: 'application/json' }
+};
+
+const clampByte = (v) => Math.max(0, Math.min(255, Math.round(v)));
+
+/**
+ * Unrounded RGB -> HSB, all components 0-1 (Procreate's native space).
+ */
+function rgbToHsbUnit({ r, g, b }) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const d = max - min;
+    let h = 0;
+    if (d !== 0) {
+        switch (max) {
+            case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+            case g: h = (b - r) / d + 2; break;
+            case b: h = (r - g) / d + 4; break;
+        }
+        h /= 6;
+    }
+    return { h, s: max === 0 ? 0 : d / max, b: max };
+}
+
+/**
+ * HSB (0-1) -> RGB (0-255).
+ */
+function hsbUnitToRgb(h, s, v) {
+    const i = Math.floor(h * 6);
+    const f = h * 6 - i;
+    const p = v * (1 - s);
+    const q = v * (1 - f * s);
+    const t = v * (1 - (1 - f) * s);
+    const [r, g, b] = [
+        [v, t, p],
+        [q, v, p],
+        [p, v, t],
+        [p, q, v],
+        [t, p, v],
+        [v, p, q]
+    ][((i % 6) + 6) % 6];
+    return { r: clampByte(r * 255), g: clampByte(g * 255), b: clampByte(b * 255) };
+}
+
+// --- GIMP Palette (.gpl) ---
+
+/**
+ * @param {Array} swatches
+ * @param {string} [paletteName='MiColors']
+ * @returns {string}
+ */
+export function encodeGpl(swatches, paletteName = 'MiColors') {
+    const pad = (n) => String(n).padStart(3, ' ');
+    const rows = swatches.map(({ name, rgb }) => `${pad(rgb.r)} ${pad(rgb.g)} ${pad(rgb.b)}\t${name}`);
+    return `GIMP Palette\nName: ${paletteName}\nColumns: 5\n#\n${rows.join('\n')}\n`;
+}
+
+/**
+ * @param {string} text
+ * @returns {Array}
+ */
+export function decodeGpl(text) {
+    const lines = String(text).split(/\r?\n/);
+    if (!/^GIMP Palette/.test(lines[0])) throw new Error('Not a GIMP palette');
+
+    const swatches = [];
+    lines.slice(1).forEach(line => {
+        const match = /^\s*(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(line);
+        if (!match) return; // Header fields and comments
+        const rgb = { r: clampByte(+match[1]), g: clampByte(+match[2]), b: clampByte(+match[3]) };
+        swatches.push({ name: match[4].trim() || `Color ${swatches.length + 1}`, rgb });
+    });
+    return swatches;
+}
+
+// --- Adobe Swatch Exchange (.ase) ---
+
+const ASE_GROUP_START = 0xc001;
+const ASE_GROUP_END = 0xc002;
+const ASE_COLOR = 0x0001;
+const ASE_COLOR_TYPE_GLOBAL = 0;
+const ASE_INVALID = 'Not a valid ASE file';
+
+/**
+ * Encodes an ASE name: UTF-16BE with a null terminator, length-prefixed.
+ */
+function aseName(name) {
+    const units = [...String(name)].flatMap(ch => {
+        const code = ch.codePointAt(0);
+        if (code <= 0xffff) return [code];
+        const offset = code - 0x10000;
+        return [0xd800 + (offset >> 10), 0xdc00 + (offset & 0x3ff)];
+    });
+    units.push(0);
+
+    const bytes = new Uint8Array(2 + units.length * 2);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, units.length);
+    units.forEach((unit, i) => view.setUint16(2 + i * 2, unit));
+    return bytes;
+}
+
+function aseBlock(type, body) {
+    const bytes = new Uint8Array(6 + body.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, type);
+    view.setUint32(2, body.length);
+    bytes.set(body, 6);
+    return bytes;
+}
+
+function aseColorBlock({ name, rgb }) {
+    const nameBytes = aseName(name);
+    const body = new Uint8Array(nameBytes.length + 4 + 12 + 2);
+    const view = new DataView(body.buffer);
+    body.set(nameBytes, 0);
+
+    let offset = nameBytes.length;
+    'RGB '.split('').forEach((ch, i) => view.setUint8(offset + i, ch.charCodeAt(0)));
+    offset += 4;
+    [rgb.r, rgb.g, rgb.b].forEach((c, i) => view.setFloat32(offset + i * 4, c / 255));
+    view.setUint16(offset + 12, ASE_COLOR_TYPE_GLOBAL);
+
+    return aseBlock(ASE_COLOR, body);
+}
+
+/**
+ * Consecutive swatches that share a `group` are written as an ASE group.
+ * @param {Array} swatches
+ * @returns {Uint8Array}
+ */
+export function encodeAse(swatches) {
+    const blocks = [];
+    let openGroup = null;
+
+    swatches.forEach(swatch => {
+        const group = swatch.group || null;
+        if (group !== openGroup) {
+            if (openGroup) blocks.push(aseBlock(ASE_GROUP_END, new Uint8Array(0)));
+            if (group) blocks.push(aseBlock(ASE_GROUP_START, aseName(group)));
+            openGroup = group;
+        }
+        blocks.push(aseColorBlock(swatch));
+    });
+    if (openGroup) blocks.push(aseBlock(ASE_GROUP_END, new Uint8Array(0)));
+
+    const size = blocks.reduce((sum, b) => sum + b.length, 12);
+    const out = new Uint8Array(size);
+    const view = new DataView(out.buffer);
+    'ASEF'.split('').forEach((ch, i) => view.setUint8(i, ch.charCodeAt(0)));
+    view.setUint16(4, 1); // Version 1.0
+    view.setUint16(6, 0);
+    view.setUint32(8, blocks.length);
+
+    let offset = 12;
+    blocks.forEach(block => {
+        out.set(block, offset);
+        offset += block.length;
+    });
+    return out;
+}
+
+function readAseName(view, offset) {
+    const length = view.getUint16(offset);
+    if (offset + 2 + length * 2 > view.byteLength) throw new Error(ASE_INVALID);
+    const units = [];
+    for (let i = 0; i < length; i++) {
+        const unit = view.getUint16(offset + 2 + i * 2);
+        if (unit !== 0) units.push(unit);
+    }
+    return { name: String.fromCharCode(...units), size: 2 + length * 2 };
+}
+
+/**
+ * Truncated or corrupt files throw ASE_INVALID rather than a RangeError.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Array}
+ */
+export function decodeAse(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const signature = String.fromCharCode(...bytes.subarray(0, 4));
+    if (signature !== 'ASEF') throw new Error('Not an Adobe Swatch Exchange file');
+    if (bytes.length < 12) throw new Error(ASE_INVALID);
+
+    const count = view.getUint32(8);
+    const swatches = [];
+    let group = null;
+    let offset = 12;
+
+    for (let i = 0; i < count && offset < bytes.length; i++) {
+        if (offset + 6 > bytes.length) throw new Error(ASE_INVALID);
+        const type = view.getUint16(offset);
+        const length = view.getUint32(offset + 2);
+        const body = offset + 6;
+        if (body + length > bytes.length) throw new Error(ASE_INVALID);
+
+        if (type === ASE_GROUP_START) {
+            group = readAseName(view, body).name;
+        } else if (type === ASE_GROUP_END) {
+            group = null;
+        } else if (type === ASE_COLOR) {
+            const { name, size } = readAseName(view, body);
+            const model = String.fromCharCode(...bytes.subarray(body + size, body + size + 4));
+            const values = body + size + 4;
+            const read = (n) => {
+                if (values + n * 4 + 4 > body + length) throw new Error(ASE_INVALID);
+                return view.getFloat32(values + n * 4);
+            };
+
+            let rgb = null;
+            switch (model) {
+                case 'RGB ':
+                    rgb = { r: clampByte(read(0) * 255), g: clampByte(read(1) * 255), b: clampByte(read(2) * 255) };
+                    break;
+                case 'CMYK': {
+                    const k = read(3);
+                    rgb = {
+                        r: clampByte(255 * (1 - read(0)) * (1 - k)),
+                        g: clampByte(255 * (1 - read(1)) * (1 - k)),
+                        b: clampByte(255 * (1 - read(2)) * (1 - k))
+                    };
+                    break;
+                }
+                case 'Gray': {
+                    const v = clampByte(read(0) * 255);
+                    rgb = { r: v, g: v, b: v };
+                    break;
+                }
+                case 'LAB ':
+                    rgb = labToRgb(read(0) * 100, read(1), read(2));
+                    break;
+            }
+
+            if (rgb) {
+                const swatch = { name: name || `Color ${swatches.length + 1}`, rgb };
+                if (group) swatch.group = group;
+                swatches.push(swatch);
+            }
+        }
+
+        offset = body + length;
+    }
+
+    return swatches;
+}
+
+// --- Sketch (.sketchpalette) ---
+
+/**
+ * @param {Array} swatches
+ * @returns {string}
+ */
+export function encodeSketchPalette(swatches) {
+    return JSON.stringify({
+        compatibleVersion: '2.0',
+        pluginVersion: '2.22',
+        colors: swatches.map(({ name, rgb }) => ({
+            name,
+            red: rgb.r / 255,
+            green: rgb.g / 255,
+            blue: rgb.b / 255,
+            alpha: 1
+        }))
+    }, null, 2);
+}
+
+/**
+ * Reads both the 2.x object format and the older 1.x hex string format.
+ * @param {string} text
+ * @returns {Array}
+ */
+export function decodeSketchPalette(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.colors)) throw new Error('Not a Sketch palette');
+
+    return data.colors.map((color, index) => {
+        if (typeof color === 'string') {
+            let hex = color.replace(/^#/, '');
+            if (/^[0-9a-f]{3,4}$/i.test(hex)) hex = hex.split('').map(ch => ch + ch).join('');
+            const int = parseInt(hex.slice(0, 6), 16);
+            return {
+                name: `Color ${index + 1}`,
+                rgb: { r: (int >> 16) & 255, g: (int >> 8) & 255, b: int & 255 }
+            };
+        }
+        return {
+            name: color.name || `Color ${index + 1}`,
+            rgb: { r: clampByte(color.red * 255), g: clampByte(color.green * 255), b: clampByte(color.blue * 255) }
+        };
+    });
+}
+
+// --- Procreate (.swatches) ---
+
+/**
+ * Procreate only keeps the first 30 swatches.
+ * @param {Array} swatches
+ * @param {string} [paletteName='MiColors']
+ * @returns {Uint8Array} - ZIP archive containing Swatches.json.
+ */
+export function encodeProcreateSwatches(swatches, paletteName = 'MiColors') {
+    const slots = swatches.slice(0, SWATCH_FORMATS.procreate.maxSwatches).map(({ rgb }) => {
+        const hsb = rgbToHsbUnit(rgb);
+        return { hue: hsb.h, saturation: hsb.s, brightness: hsb.b, alpha: 1, colorSpace: 0 };
+    });
+    const json = JSON.stringify([{ name: paletteName, swatches: slots }]);
+    return createZip([{ name: 'Swatches.json', data: json }]);
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Promise<Array>}
+ */
+export async function decodeProcreateSwatches(buffer) {
+    const files = await readZip(buffer);
+    const entry = Object.keys(files).find(name => /swatches\.json$/i.test(name));
+    if (!entry) throw new Error('Swatches.json not found in Procreate file');
+
+    const data = JSON.parse(new TextDecoder().decode(files[entry]));
+    const palette = Array.isArray(data) ? data[0] : data;
+
+    return (palette.swatches || [])
+        .filter(Boolean) // Empty slots are null
+        .map((swatch, index) => ({
+            name: `${palette.name || 'Swatch'} ${index + 1}`,
+            rgb: hsbUnitToRgb(swatch.hue, swatch.saturation, swatch.brightness)
+        }));
+}
+
+/**
+ * Encodes swatches in any SWATCH_FORMATS format.
+ * @param {Array} swatches
+ * @param {string} format
+ * @returns {string|Uint8Array}
+ */
+export function encodeSwatches(swatches, format) {
+    switch (format) {
+        case 'ase': return encodeAse(swatches);
+        case 'gpl': return encodeGpl(swatches);
+        case 'procreate': return encodeProcreateSwatches(swatches);
+        case 'sketch': return encodeSketchPalette(swatches);
+        default: throw new Error(`Unknown swatch format: ${format}`);
+    }
+}
+
+/**
+ * Decodes a swatch file, picking the format from its extension.
+ * @param {string} filename
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Array>}
+ */
+export async function decodeSwatchFile(filename, buffer) {
+    const extension = filename.split('.').pop().toLowerCase();
+    const text = () => new TextDecoder().decode(buffer);
+
+    switch (extension) {
+        case 'ase': return decodeAse(buffer);
+        case 'gpl': return decodeGpl(text());
+        case 'swatches': return decodeProcreateSwatches(buffer);
+        case 'sketchpalette': return decodeSketchPalette(text());
+        default: throw new Error(`Unsupported swatch file: .${extension}`);
+    }
+}
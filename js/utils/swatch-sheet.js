@@ -0,0 +1,204 @@
+import { hexToRgb } from './color-conversion.js';
+import { getContrast, getAccessibleTextColor, checkWcag, checkApca, formatContrast } from './contrast.js';
+import { createPdf, measureText } from './pdf.js';
+import { escapeHtml } from './escape-html.js';
+
+/**
+ * Swatch Sheets
+ * Lays the palette out as a printable sheet: a swatch per color with its
+ * name, its value in every format, its shades and how text reads on it.
+ * The layout is a list of drawing ops (see pdf.js), so the SVG and the
+ * paged PDF come out the same.
+ *
+ * Entry:
+ *   { hex, name, values: [{ label, value }], shades: [{ key, hex }], dark: { hex, name } | null }
+ */
+
+export const SHEET_FORMATS = {
+    png: { label: 'PNG image', extension: 'png' },
+    svg: { label: 'SVG', extension: 'svg' },
+    pdf: { label: 'PDF (printable)', extension: 'pdf' }
+};
+
+// A4 in points; SVG and PNG use the same units
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 36;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const HEADER_HEIGHT = 44;
+const FOOTER_HEIGHT = 20;
+const ENTRY_HEIGHT = 168;
+const ENTRY_GAP = 16;
+const SWATCH_SIZE = 100;
+const DETAILS_X = 116;
+const CONTRAST_X = 340;
+const SHADES_Y = 112;
+const SHADES_HEIGHT = 34;
+// Shade hex codes are left out when the cells get narrower than this
+const MIN_LABELED_SHADE = 34;
+
+const INK = '#1a202c';
+const MUTED = '#718096';
+const RULE = '#e2e8f0';
+const PASS = '#2f855a';
+const FAIL = '#c53030';
+const WHITE = '#ffffff';
+const BLACK = '#000000';
+
+function textColorOn(hex, method = 'wcag') {
+    return getAccessibleTextColor(hexToRgb(hex), method);
+}
+
+/**
+ * Best level text of a given color reaches on the swatch: WCAG AA / AAA, or
+ * the APCA use case its Lc is enough for. Large text is the passing bar.
+ */
+function contrastBadge(hex, textHex, method) {
+    const value = getContrast(hexToRgb(textHex), hexToRgb(hex), method);
+    if (method === 'apca') {
+        const apca = checkApca(value);
+        const level = apca.body ? 'Body' : apca.content ? 'Content' : apca.large ? 'Large' : apca.spot ? 'Spot' : 'Fail';
+        return { ratio: formatContrast(value, method), level, passes: apca.large };
+    }
+    const wcag = checkWcag(value);
+    const level = wcag.aaa ? 'AAA' : wcag.aa ? 'AA' : wcag.aaLarge ? 'AA Large' : 'Fail';
+    return { ratio: formatContrast(value, method), level, passes: wcag.aaLarge };
+}
+
+function entryOps(entry, top, method) {
+    const x = MARGIN;
+    const ops = [];
+    const text = (props) => ops.push({ type: 'text', fill: INK, ...props });
+
+    // Swatch, with the dark counterpart along its bottom
+    const swatchHeight = entry.dark ? SWATCH_SIZE * 0.72 : SWATCH_SIZE;
+    ops.push({ type: 'rect', x, y: top, width: SWATCH_SIZE, height: SWATCH_SIZE, fill: entry.hex, stroke: RULE, radius: entry.dark ? 0 : 6 });
+    text({ x: x + 8, y: top + swatchHeight - 8, text: entry.hex.toUpperCase(), size: 9, bold: true, fill: textColorOn(entry.hex) });
+    if (entry.dark) {
+        const darkTop = top + swatchHeight;
+        ops.push({ type: 'rect', x, y: darkTop, width: SWATCH_SIZE, height: SWATCH_SIZE - swatchHeight, fill: entry.dark.hex });
+        text({ x: x + 8, y: darkTop + 18, text: `Dark ${entry.dark.hex.toUpperCase()}`, size: 7, fill: textColorOn(entry.dark.hex) });
+    }
+
+    // Name and values
+    text({ x: x + DETAILS_X, y: top + 12, text: entry.name, size: 12, bold: true });
+    entry.values.forEach(({ label, value }, i) => {
+        const y = top + 28 + i * 9.5;
+        text({ x: x + DETAILS_X, y, text: label, size: 7, bold: true, fill: MUTED });
+        text({ x: x + DETAILS_X + 34, y, text: value, size: 7.5 });
+    });
+
+    // Text on the swatch
+    text({ x: x + CONTRAST_X, y: top + 12, text: 'Text contrast', size: 8, bold: true, fill: MUTED });
+    [['White text', WHITE], ['Black text', BLACK]].forEach(([label, textHex], i) => {
+        const y = top + 22 + i * 24;
+        const badge = contrastBadge(entry.hex, textHex, method);
+        const width = CONTENT_WIDTH - CONTRAST_X;
+        ops.push({ type: 'rect', x: x + CONTRAST_X, y, width, height: 20, fill: entry.hex, stroke: RULE, radius: 4 });
+        text({ x: x + CONTRAST_X + 8, y: y + 13.5, text: `${label} ${badge.ratio}`, size: 8, bold: true, fill: textHex });
+
+        const pillWidth = measureText(badge.level, 7, true) + 12;
+        const pillX = x + CONTRAST_X + width - pillWidth - 4;
+        ops.push({ type: 'rect', x: pillX, y: y + 4, width: pillWidth, height: 12, fill: badge.passes ? PASS : FAIL, radius: 6 });
+        text({ x: pillX + pillWidth / 2, y: y + 12.5, text: badge.level, size: 7, bold: true, fill: WHITE, anchor: 'middle' });
+    });
+    if (entry.dark) {
+        const badge = contrastBadge(entry.dark.hex, textColorOn(entry.dark.hex, method), method);
+        text({ x: x + CONTRAST_X, y: top + 80, text: `Dark: best text ${badge.ratio} (${badge.level})`, size: 7, fill: MUTED });
+    }
+
+    // Shades
+    if (entry.shades.length > 0) {
+        const cell = CONTENT_WIDTH / entry.shades.length;
+        entry.shades.forEach((shade, i) => {
+            const cellX = x + i * cell;
+            ops.push({ type: 'rect', x: cellX, y: top + SHADES_Y, width: cell, height: SHADES_HEIGHT, fill: shade.hex });
+            if (cell >= MIN_LABELED_SHADE) {
+                text({
+                    x: cellX + cell / 2, y: top + SHADES_Y + SHADES_HEIGHT / 2 + 2.5,
+                    text: shade.hex.slice(1).toUpperCase(), size: 6, fill: textColorOn(shade.hex), anchor: 'middle'
+                });
+            }
+            text({ x: cellX + cell / 2, y: top + SHADES_Y + SHADES_HEIGHT + 10, text: String(shade.key), size: 7, fill: MUTED, anchor: 'middle' });
+        });
+    }
+
+    ops.push({ type: 'rect', x, y: top + ENTRY_HEIGHT, width: CONTENT_WIDTH, height: 0.5, fill: RULE });
+    return ops;
+}
+
+/**
+ * @param {Array} entries - See the module comment.
+ * @param {object} options
+ * @param {string} options.title
+ * @param {string} options.subtitle
+ * @param {boolean} [options.paged=false] - Split into A4 pages (for print) instead of one tall page.
+ * @param {string} [options.method='wcag'] - Contrast method for the text badges: 'wcag' or 'apca'.
+ * @returns {object} - { width, pageHeight, pages: [ops] }
+ */
+export function layoutSwatchSheet(entries, { title, subtitle, paged = false, method = 'wcag' }) {
+    const perPage = paged
+        ? Math.max(1, Math.floor((PAGE_HEIGHT - MARGIN * 2 - HEADER_HEIGHT - FOOTER_HEIGHT + ENTRY_GAP) / (ENTRY_HEIGHT + ENTRY_GAP)))
+        : entries.length;
+    const chunks = [];
+    for (let i = 0; i < entries.length; i += perPage) chunks.push(entries.slice(i, i + perPage));
+
+    const pageHeight = paged
+        ? PAGE_HEIGHT
+        : MARGIN * 2 + HEADER_HEIGHT + entries.length * (ENTRY_HEIGHT + ENTRY_GAP) - ENTRY_GAP;
+
+    const pages = chunks.map((chunk, page) => {
+        const ops = [
+            { type: 'rect', x: 0, y: 0, width: PAGE_WIDTH, height: pageHeight, fill: WHITE },
+            { type: 'text', x: MARGIN, y: MARGIN + 14, text: title, size: 16, bold: true, fill: INK },
+            { type: 'text', x: MARGIN, y: MARGIN + 28, text: subtitle, size: 8, fill: MUTED }
+        ];
+        chunk.forEach((entry, i) => {
+            ops.push(...entryOps(entry, MARGIN + HEADER_HEIGHT + i * (ENTRY_HEIGHT + ENTRY_GAP), method));
+        });
+        if (paged) {
+            ops.push({
+                type: 'text', x: PAGE_WIDTH - MARGIN, y: PAGE_HEIGHT - MARGIN + 8,
+                text: `Page ${page + 1} of ${chunks.length}`, size: 7, fill: MUTED, anchor: 'end'
+            });
+        }
+        return ops;
+    });
+
+    return { width: PAGE_WIDTH, pageHeight, pages };
+}
+
+/**
+ * One page of a layout as a standalone SVG document.
+ * @param {object} layout - From layoutSwatchSheet.
+ * @param {number} [page=0]
+ * @returns {string}
+ */
+export function renderSheetSvg(layout, page = 0) {
+    const body = layout.pages[page].map(op => {
+        if (op.type === 'rect') {
+            const stroke = op.stroke ? ` stroke="${op.stroke}" stroke-width="0.75"` : '';
+            const radius = op.radius ? ` rx="${op.radius}"` : '';
+            return `<rect x="${op.x}" y="${op.y}" width="${op.width}" height="${op.height}"${radius} fill="${op.fill || 'none'}"${stroke}/>`;
+        }
+        const anchor = op.anchor && op.anchor !== 'start' ? ` text-anchor="${op.anchor}"` : '';
+        const weight = op.bold ? ' font-weight="bold"' : '';
+        return `<text x="${op.x}" y="${op.y}" font-size="${op.size}"${weight}${anchor} fill="${op.fill}">${escapeHtml(op.text)}</text>`;
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.width}" height="${layout.pageHeight}" ` +
+            `viewBox="0 0 ${layout.width} ${layout.pageHeight}" font-family="Helvetica, Arial, sans-serif">`,
+        ...body,
+        '</svg>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * @param {object} layout - From layoutSwatchSheet with paged: true.
+ * @returns {Uint8Array}
+ */
+export function renderSheetPdf(layout) {
+    return createPdf(layout.pages, { width: layout.width, height: layout.pageHeight });
+}
@@ -0,0 +1,244 @@
+import { hslToRgb, rgbToHex, rgbToOklch } from './color-conversion.js';
+import { getContrast } from './contrast.js';
+import { generateScale } from './color-scales.js';
+
+/**
+ * Semantic roles for turning a palette into a UI theme.
+ * Roles are filled from palette colors and their generateScale shades.
+ * The suggestion looks for colors that meet each role's contrast minimum
+ * against the background, in the chosen contrast method; when a palette
+ * has none, and for manual overrides, the role keeps its color and is
+ * reported as failing.
+ */
+
+// Minimums per contrast method: WCAG ratios and their usual APCA Lc counterparts
+const UI_CONTRAST = { wcag: 3, apca: 45 };
+const TEXT_CONTRAST = { wcag: 4.5, apca: 60 };
+const BORDER_CONTRAST = { wcag: 1.3, apca: 15 };
+const NO_CONTRAST = { wcag: 0, apca: 0 };
+
+/**
+ * minContrast (per method) is measured against the roles in `against`.
+ */
+export const THEME_ROLES = {
+    primary: { label: 'Primary', group: 'brand', minContrast: UI_CONTRAST, against: ['background'] },
+    secondary: { label: 'Secondary', group: 'brand', minContrast: UI_CONTRAST, against: ['background'] },
+    accent: { label: 'Accent', group: 'brand', minContrast: UI_CONTRAST, against: ['background'] },
+    background: { label: 'Background', group: 'neutral', minContrast: NO_CONTRAST, against: [] },
+    surface: { label: 'Surface', group: 'neutral', minContrast: NO_CONTRAST, against: [] },
+    text: { label: 'Text', group: 'neutral', minContrast: TEXT_CONTRAST, against: ['background', 'surface'] },
+    muted: { label: 'Muted text', group: 'neutral', minContrast: TEXT_CONTRAST, against: ['background'] },
+    border: { label: 'Border', group: 'neutral', minContrast: BORDER_CONTRAST, against: ['background'] },
+    success: { label: 'Success', group: 'status', minContrast: UI_CONTRAST, against: ['background'], hue: 140 },
+    warning: { label: 'Warning', group: 'status', minContrast: UI_CONTRAST, against: ['background'], hue: 42 },
+    danger: { label: 'Danger', group: 'status', minContrast: UI_CONTRAST, against: ['background'], hue: 2 },
+    info: { label: 'Info', group: 'status', minContrast: UI_CONTRAST, against: ['background'], hue: 205 }
+};
+
+export const ROLE_SCHEMES = { light: 'Light UI', dark: 'Dark UI' };
+
+// A palette color counts as a status color within this many degrees of its hue
+const STATUS_HUE_TOLERANCE = 25;
+const STATUS_MIN_SATURATION = 35;
+// Brand roles prefer hues at least this far apart
+const DISTINCT_HUE = 30;
+
+function toRgb(hsl) {
+    return hslToRgb(hsl.h, hsl.s, hsl.l);
+}
+
+function luminanceOrder(hsl) {
+    const rgb = toRgb(hsl);
+    return 0.2126 * rgb.r + 0.7152 * rgb.g + 0.0722 * rgb.b;
+}
+
+function hueDistance(a, b) {
+    const d = Math.abs(a - b) % 360;
+    return d > 180 ? 360 - d : d;
+}
+
+/**
+ * Contrast of a role color on another; APCA polarity is dropped so both
+ * methods compare against a positive minimum.
+ */
+function contrast(a, b, method) {
+    return Math.abs(getContrast(toRgb(a), toRgb(b), method));
+}
+
+/**
+ * Every color a role can take: each palette color and each of its shades.
+ * @param {Array} colors - Palette as {h, s, l}.
+ * @param {object} scaleOptions - Passed to generateScale.
+ * @returns {Array} - [{ id, index, key, label, hsl }], id being "2" for a
+ *   palette color or "2-300" for one of its shades.
+ */
+export function buildRoleCandidates(colors, scaleOptions) {
+    const candidates = [];
+    colors.forEach((color, index) => {
+        candidates.push({ id: String(index), index, key: null, label: `Color ${index + 1}`, hsl: color });
+        generateScale(color, scaleOptions).forEach(step => {
+            candidates.push({
+                id: `${index}-${step.key}`,
+                index,
+                key: step.key,
+                label: `Color ${index + 1} · ${step.key}`,
+                hsl: { h: step.h, s: step.s, l: step.l }
+            });
+        });
+    });
+    return candidates;
+}
+
+/**
+ * Picks the shade of a palette color that meets minContrast against the
+ * background while staying closest to the color itself.
+ */
+function fitContrast(candidates, index, background, minContrast, method) {
+    const own = candidates.filter(c => c.index === index);
+    const base = own.find(c => c.key === null);
+    if (contrast(base.hsl, background, method) >= minContrast) return base;
+
+    const passing = own.filter(c => contrast(c.hsl, background, method) >= minContrast);
+    if (passing.length === 0) return null;
+    return passing.reduce((best, c) => (Math.abs(c.hsl.l - base.hsl.l) < Math.abs(best.hsl.l - base.hsl.l) ? c : best));
+}
+
+/**
+ * A conventional status color when the palette has none: the role's hue at
+ * the palette's average saturation, stepped until it meets the contrast.
+ */
+function synthesizeStatus(hue, saturation, background, minContrast, dark, method) {
+    const step = dark ? 1 : -1;
+    for (let l = 50; l >= 5 && l <= 95; l += step) {
+        const hsl = { h: hue, s: saturation, l };
+        if (contrast(hsl, background, method) >= minContrast) return hsl;
+    }
+    return { h: hue, s: saturation, l: dark ? 80 : 30 };
+}
+
+/**
+ * Suggests a candidate for every role.
+ * @param {Array} colors - Palette as {h, s, l}.
+ * @param {Array} candidates - From buildRoleCandidates.
+ * @param {object} options
+ * @param {string} options.scheme - 'light' or 'dark'.
+ * @param {object} options.overrides - role -> candidate id, honored as-is.
+ * @param {string} options.method - 'wcag' or 'apca'.
+ * @returns {object} - role -> { id, label, hsl }, id null for generated colors.
+ */
+function suggestRoles(colors, candidates, { scheme, overrides, method }) {
+    const dark = scheme === 'dark';
+    const minimum = (role) => THEME_ROLES[role].minContrast[method];
+    const byId = new Map(candidates.map(c => [c.id, c]));
+    const roles = {};
+    const pick = (role, fallback) => {
+        const override = overrides[role] && byId.get(overrides[role]);
+        roles[role] = override || fallback;
+    };
+
+    // Neutrals come from the least saturated palette color's scale
+    const neutralIndex = colors.reduce((best, c, i) => (c.s < colors[best].s ? i : best), 0);
+    const neutrals = candidates
+        .filter(c => c.index === neutralIndex && c.key !== null)
+        .sort((a, b) => luminanceOrder(b.hsl) - luminanceOrder(a.hsl));
+    const ordered = dark ? [...neutrals].reverse() : neutrals;
+
+    // Light UIs put white-ish cards on a tinted page; dark UIs raise surfaces
+    const second = ordered[Math.min(1, ordered.length - 1)];
+    pick('background', dark ? ordered[0] : second);
+    pick('surface', dark ? second : ordered[0]);
+    const background = roles.background.hsl;
+    const surface = roles.surface.hsl;
+
+    // Text: the far end of the neutral scale, or whatever contrasts most
+    const textContrast = (c) => Math.min(contrast(c.hsl, background, method), contrast(c.hsl, surface, method));
+    const farEnd = ordered[ordered.length - 1];
+    pick('text', textContrast(farEnd) >= minimum('text')
+        ? farEnd
+        : candidates.reduce((best, c) => (textContrast(c) > textContrast(best) ? c : best)));
+
+    // Muted text and borders: the first neutral stop past the page colors
+    // that clears their minimum
+    const firstPassing = (role) => ordered.find(c =>
+        c !== roles.background && c !== roles.surface &&
+        contrast(c.hsl, background, method) >= minimum(role));
+    pick('muted', firstPassing('muted') || roles.text);
+    pick('border', firstPassing('border') || roles.text);
+
+    // Brand roles: most chromatic palette colors first, preferring distinct hues
+    const chroma = (hsl) => {
+        const rgb = toRgb(hsl);
+        return rgbToOklch(rgb.r, rgb.g, rgb.b).c;
+    };
+    const brandOrder = colors
+        .map((color, index) => ({ color, index }))
+        .sort((a, b) => chroma(b.color) - chroma(a.color));
+    const used = [];
+    ['primary', 'secondary', 'accent'].forEach(role => {
+        const distinct = brandOrder.find(({ color, index }) =>
+            !used.some(u => u.index === index) &&
+            used.every(u => hueDistance(u.color.h, color.h) >= DISTINCT_HUE));
+        const choice = distinct || brandOrder.find(({ index }) => !used.some(u => u.index === index)) || brandOrder[0];
+        used.push(choice);
+        // A color with no passing shade is still used, and reported as failing
+        pick(role, fitContrast(candidates, choice.index, background, minimum(role), method) ||
+            byId.get(String(choice.index)));
+    });
+
+    // Status roles: a palette color near the conventional hue, else a generated one
+    const averageSaturation = Math.round(colors.reduce((sum, c) => sum + c.s, 0) / colors.length);
+    ['success', 'warning', 'danger', 'info'].forEach(role => {
+        const { hue } = THEME_ROLES[role];
+        const minContrast = minimum(role);
+        const match = colors
+            .map((color, index) => ({ color, index, distance: hueDistance(color.h, hue) }))
+            .filter(m => m.distance <= STATUS_HUE_TOLERANCE && m.color.s >= STATUS_MIN_SATURATION)
+            .sort((a, b) => a.distance - b.distance)
+            .map(m => fitContrast(candidates, m.index, background, minContrast, method))
+            .find(Boolean);
+        pick(role, match || {
+            id: null,
+            label: 'Generated',
+            hsl: synthesizeStatus(hue, Math.max(STATUS_MIN_SATURATION + 20, averageSaturation), background, minContrast, dark, method)
+        });
+    });
+
+    return roles;
+}
+
+/**
+ * Resolves every role and checks it against its contrast minimum.
+ * @param {Array} colors - Palette as {h, s, l}.
+ * @param {object} scaleOptions - Passed to generateScale.
+ * @param {object} options - { scheme: 'light' | 'dark', overrides: { role: candidateId },
+ *   method: 'wcag' | 'apca' }
+ * @returns {object} - { roles: [{ role, label, hsl, hex, id, source, overridden,
+ *   contrast, minContrast, method, passes }], candidates }
+ */
+export function resolveRoles(colors, scaleOptions, { scheme = 'light', overrides = {}, method = 'wcag' } = {}) {
+    const candidates = buildRoleCandidates(colors, scaleOptions);
+    const picks = suggestRoles(colors, candidates, { scheme, overrides, method });
+
+    const roles = Object.entries(THEME_ROLES).map(([role, def]) => {
+        const picked = picks[role];
+        const rgb = toRgb(picked.hsl);
+        const minContrast = def.minContrast[method];
+        const ratios = def.against.map(other => contrast(picked.hsl, picks[other].hsl, method));
+        const ratio = ratios.length > 0 ? Math.min(...ratios) : null;
+        return {
+            role,
+            label: def.label,
+            hsl: picked.hsl,
+            hex: rgbToHex(rgb.r, rgb.g, rgb.b),
+            id: picked.id,
+            source: picked.label,
+            overridden: Boolean(overrides[role]) && overrides[role] === picked.id,
+            contrast: ratio,
+            minContrast,
+            method,
+            passes: ratio === null || ratio >= minContrast
+        };
+    });
+
+    return { roles, candidates };
+}
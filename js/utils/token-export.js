@@ -0,0 +1,142 @@
+/**
+ * Design token formatters.
+ * Every formatter takes the same token list:
+ *   [{ name: 'royal-blue', value: '#3b82f6', dark: '#316bc9', shades: [{ key: 50, value: '#eff6ff' }, ...] }]
+ * and returns the file contents as a string. `dark` (the dark-mode
+ * counterpart) is optional; when present it is written alongside the value.
+ */
+
+export const TOKEN_FORMATS = {
+    css: { label: 'CSS Variables', filename: 'colors.css', mime: 'text/css' },
+    scss: { label: 'SCSS', filename: '_colors.scss', mime: 'text/x-scss' },
+    tailwind: { label: 'Tailwind Config', filename: 'tailwind.config.js', mime: 'text/javascript' },
+    dtcg: { label: 'Design Tokens (W3C)', filename: 'tokens.json', mime: 'application/json' },
+    styleDictionary: { label: 'Style Dictionary', filename: 'style-dictionary.json', mime: 'application/json' }
+};
+
+/**
+ * Turns a display name into a token-safe kebab-case slug.
+ * @param {string} name - e.g. "Dark Slate Gray"
+ * @returns {string} - e.g. "dark-slate-gray"
+ */
+export function slugifyTokenName(name) {
+    const slug = String(name)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return slug || 'color';
+}
+
+/**
+ * Makes token names unique by appending -2, -3, ... to repeats.
+ * @param {Array} names
+ * @returns {Array}
+ */
+export function dedupeTokenNames(names) {
+    const used = new Set();
+    return names.map(name => {
+        let unique = name;
+        // A suffixed name can collide with one given as-is, e.g. "a-2"
+        for (let n = 2; used.has(unique); n++) unique = `${name}-${n}`;
+        used.add(unique);
+        return unique;
+    });
+}
+
+function toCss(tokens) {
+    const lines = [];
+    tokens.forEach(token => {
+        lines.push(`    --${token.name}: ${token.value};`);
+        token.shades.forEach(shade => {
+            lines.push(`    --${token.name}-${shade.key}: ${shade.value};`);
+        });
+    });
+    const css = `:root {\n${lines.join('\n')}\n}\n`;
+
+    const dark = tokens.filter(token => token.dark).map(token => `        --${token.name}: ${token.dark};`);
+    if (dark.length === 0) return css;
+    return `${css}\n@media (prefers-color-scheme: dark) {\n    :root {\n${dark.join('\n')}\n    }\n}\n`;
+}
+
+function toScss(tokens) {
+    const variables = tokens.map(token => [`$${token.name}: ${token.value};`]
+        .concat(token.dark ? [`$${token.name}-dark: ${token.dark};`] : [])
+        .join('\n')).join('\n');
+
+    const maps = tokens.map(token => {
+        const entries = [`        'DEFAULT': ${token.value},`]
+            .concat(token.dark ? [`        'dark': ${token.dark},`] : [])
+            .concat(token.shades.map(shade => `        ${shade.key}: ${shade.value},`));
+        return `    '${token.name}': (\n${entries.join('\n')}\n    ),`;
+    }).join('\n');
+
+    return `${variables}\n\n$colors: (\n${maps}\n);\n`;
+}
+
+function toTailwind(tokens) {
+    const colors = tokens.map(token => {
+        const entries = [`                    DEFAULT: '${token.value}',`]
+            .concat(token.dark ? [`                    dark: '${token.dark}',`] : [])
+            .concat(token.shades.map(shade => `                    ${shade.key}: '${shade.value}',`));
+        return `                '${token.name}': {\n${entries.join('\n')}\n                },`;
+    }).join('\n');
+
+    return `/** @type {import('tailwindcss').Config} */
+module.exports = {
+    theme: {
+        extend: {
+            colors: {
+${colors}
+            },
+        },
+    },
+};
+`;
+}
+
+function toDtcg(tokens) {
+    const color = {};
+    tokens.forEach(token => {
+        // Tokens cannot contain other tokens, so the base sits beside its shades
+        const group = { $type: 'color', DEFAULT: { $value: token.value } };
+        if (token.dark) group.dark = { $value: token.dark };
+        token.shades.forEach(shade => {
+            group[shade.key] = { $value: shade.value };
+        });
+        color[token.name] = group;
+    });
+    return JSON.stringify({ color }, null, 2) + '\n';
+}
+
+function toStyleDictionary(tokens) {
+    const color = {};
+    tokens.forEach(token => {
+        const group = { base: { value: token.value } };
+        if (token.dark) group.dark = { value: token.dark };
+        token.shades.forEach(shade => {
+            group[shade.key] = { value: shade.value };
+        });
+        color[token.name] = group;
+    });
+    return JSON.stringify({ color }, null, 2) + '\n';
+}
+
+const FORMATTERS = {
+    css: toCss,
+    scss: toScss,
+    tailwind: toTailwind,
+    dtcg: toDtcg,
+    styleDictionary: toStyleDictionary
+};
+
+/**
+ * Formats a token list in one of TOKEN_FORMATS.
+ * @param {Array} tokens - See the module comment.
+ * @param {string} format - A key of TOKEN_FORMATS.
+ * @returns {string}
+ */
+export function formatTokens(tokens, format) {
+    const formatter = FORMATTERS[format];
+    if (!formatter) throw new Error(`Unknown token format: ${format}`);
+    return formatter(tokens);
+}
@@ -0,0 +1,63 @@
+/**
+ * Encodes palette state into a shareable hash route and back, e.g.
+ *   #/palette/3b82f6-f63c83-83f63c-c30950-50c309?h=triadic&f=oklch&lock=0,2&seed=k3x9qa
+ * Data-vis palettes add their scheme, e.g. &dv=diverging
+ */
+
+const ROUTE = '#/palette/';
+
+/**
+ * @param {object} data
+ * @param {Array} data.colors - HEX strings, one per column.
+ * @param {string} data.harmonyType
+ * @param {string} data.activeRandomHarmony - Only written when harmonyType is 'random'.
+ * @param {string} [data.dataVis] - Data-vis scheme, when that mode is on.
+ * @param {string} data.colorFormat
+ * @param {Array} data.locked - Locked column indices.
+ * @param {string|null} [data.seed] - Generator seed, when the palette was generated.
+ * @returns {string} - Hash including the leading '#'.
+ */
+export function encodePaletteHash({ colors, harmonyType, activeRandomHarmony, dataVis = '', colorFormat, locked, seed = null }) {
+    const path = colors.map(hex => hex.replace(/^#/, '').toLowerCase()).join('-');
+
+    const params = new URLSearchParams();
+    params.set('h', harmonyType);
+    if (harmonyType === 'random' && activeRandomHarmony) params.set('r', activeRandomHarmony);
+    if (dataVis) params.set('dv', dataVis);
+    params.set('f', colorFormat);
+    if (locked.length > 0) params.set('lock', [...locked].sort((a, b) => a - b).join(','));
+    if (seed) params.set('seed', seed);
+
+    // Keep commas readable instead of %2C
+    return `${ROUTE}${path}?${params.toString().replace(/%2C/g, ',')}`;
+}
+
+/**
+ * @param {string} hash - location.hash
+ * @returns {object|null} - { colors, harmonyType, activeRandomHarmony, dataVis, colorFormat, locked, seed },
+ *   with missing params left undefined; null when the hash is not a palette route.
+ */
+export function decodePaletteHash(hash) {
+    if (!hash || !hash.startsWith(ROUTE)) return null;
+
+    const [path, query = ''] = hash.slice(ROUTE.length).split('?');
+    const colors = path.split('-').filter(Boolean);
+    if (colors.length === 0 || !colors.every(hex => /^[0-9a-f]{6}$/i.test(hex))) return null;
+
+    const params = new URLSearchParams(query);
+    const locked = (params.get('lock') || '')
+        .split(',')
+        .filter(Boolean)
+        .map(Number)
+        .filter(i => Number.isInteger(i) && i >= 0 && i < colors.length);
+
+    return {
+        colors: colors.map(hex => `#${hex.toLowerCase()}`),
+        harmonyType: params.get('h') || undefined,
+        activeRandomHarmony: params.get('r') || undefined,
+        dataVis: params.get('dv') || undefined,
+        colorFormat: params.get('f') || undefined,
+        locked,
+        seed: params.get('seed') || undefined
+    };
+}
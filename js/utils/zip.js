@@ -0,0 +1,160 @@
+/**
+ * Minimal ZIP support for swatch files.
+ * Writing always uses the "stored" (uncompressed) method; reading handles
+ * stored and deflated entries, the latter via DecompressionStream.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const DOS_DATE_1980 = 0x21; // 1980-01-01, the earliest date ZIP can express
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum ZIP uses for each entry.
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+export function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds an uncompressed ZIP archive.
+ * @param {Array} files - Array of { name: string, data: Uint8Array|string }.
+ * @returns {Uint8Array}
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const entries = files.map(file => {
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        return { name: encoder.encode(file.name), data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.data.length, 0);
+    const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+    const out = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(out.buffer);
+
+    let offset = 0;
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, LOCAL_HEADER, true);
+        view.setUint16(offset + 4, 20, true); // Version needed
+        view.setUint16(offset + 6, UTF8_FLAG, true);
+        view.setUint16(offset + 8, 0, true); // Stored
+        view.setUint16(offset + 10, 0, true); // Time
+        view.setUint16(offset + 12, DOS_DATE_1980, true);
+        view.setUint32(offset + 14, entry.crc, true);
+        view.setUint32(offset + 18, entry.data.length, true);
+        view.setUint32(offset + 22, entry.data.length, true);
+        view.setUint16(offset + 26, entry.name.length, true);
+        view.setUint16(offset + 28, 0, true);
+        out.set(entry.name, offset + 30);
+        out.set(entry.data, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.data.length;
+    });
+
+    const centralOffset = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, CENTRAL_HEADER, true);
+        view.setUint16(offset + 4, 20, true); // Version made by
+        view.setUint16(offset + 6, 20, true); // Version needed
+        view.setUint16(offset + 8, UTF8_FLAG, true);
+        view.setUint16(offset + 10, 0, true);
+        view.setUint16(offset + 12, 0, true);
+        view.setUint16(offset + 14, DOS_DATE_1980, true);
+        view.setUint32(offset + 16, entry.crc, true);
+        view.setUint32(offset + 20, entry.data.length, true);
+        view.setUint32(offset + 24, entry.data.length, true);
+        view.setUint16(offset + 28, entry.name.length, true);
+        // Extra, comment, disk, internal and external attributes stay 0
+        view.setUint32(offset + 42, entry.offset, true);
+        out.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    });
+
+    view.setUint32(offset, END_OF_CENTRAL_DIR, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, centralSize, true);
+    view.setUint32(offset + 16, centralOffset, true);
+
+    return out;
+}
+
+async function inflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads every file in a ZIP archive.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Promise<object>} - Map of file name -> Uint8Array.
+ */
+export async function readZip(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    // The end record sits at the very end, followed by an optional comment
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIR) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('Not a ZIP archive');
+
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    const files = {};
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_HEADER) throw new Error('Corrupt ZIP directory');
+
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        const dataStart = localOffset + 30 +
+            view.getUint16(localOffset + 26, true) +
+            view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) {
+            files[name] = data;
+        } else if (method === 8) {
+            files[name] = await inflateRaw(data);
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method}`);
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+}
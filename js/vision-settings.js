@@ -0,0 +1,101 @@
+import { hslToRgb } from './utils/color-conversion.js';
+import { CVD_TYPES, findConfusablePairs } from './utils/color-vision.js';
+
+/**
+ * Vision Simulation Popover
+ * Picks the color-vision deficiency the palette and visualizer are rendered
+ * through, and lists palette colors that become confusable under each one.
+ * The options object ({ type, severity }) is mutated in place.
+ */
+
+let visionOptions = null;
+
+export function initVisionSettings(options, onChange) {
+    const btn = document.getElementById('vision-btn');
+    const panel = document.getElementById('vision-settings');
+    if (!btn || !panel) return;
+
+    visionOptions = options;
+
+    const typeSelect = document.getElementById('vision-type');
+    const severityField = document.getElementById('vision-severity-field');
+    const severityInput = document.getElementById('vision-severity');
+    const severityValue = document.getElementById('vision-severity-value');
+
+    typeSelect.innerHTML = Object.entries(CVD_TYPES)
+        .map(([key, info]) => `<option value="${key}">${info.label}</option>`)
+        .join('');
+
+    function syncControls() {
+        typeSelect.value = options.type;
+        severityInput.value = Math.round(options.severity * 100);
+        severityValue.textContent = `${Math.round(options.severity * 100)}%`;
+        const info = CVD_TYPES[options.type];
+        severityField.classList.toggle('hidden', !(info && info.anomalous));
+        btn.classList.toggle('active', options.type !== 'none');
+    }
+
+    typeSelect.addEventListener('change', () => {
+        options.type = typeSelect.value;
+        syncControls();
+        onChange();
+    });
+
+    severityInput.addEventListener('input', () => {
+        options.severity = Number(severityInput.value) / 100;
+        syncControls();
+        onChange();
+    });
+
+    btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        panel.classList.toggle('hidden');
+    });
+
+    // Close when clicking anywhere else
+    document.addEventListener('click', (e) => {
+        if (!panel.contains(e.target) && !btn.contains(e.target)) {
+            panel.classList.add('hidden');
+        }
+    });
+
+    syncControls();
+}
+
+/**
+ * Recomputes the confusable-pair warnings for the current palette.
+ * @param {Array} colors - Array of HSL objects.
+ */
+export function updateVisionWarnings(colors) {
+    const list = document.getElementById('vision-warnings');
+    const badge = document.getElementById('vision-warning-count');
+    if (!list || !visionOptions) return;
+
+    const rgbs = colors.map(c => hslToRgb(c.h, c.s, c.l));
+
+    // Always check the complete deficiencies, plus the selected anomalous one
+    const types = ['protanopia', 'deuteranopia', 'tritanopia', 'achromatopsia'];
+    if (CVD_TYPES[visionOptions.type] && CVD_TYPES[visionOptions.type].anomalous) {
+        types.unshift(visionOptions.type);
+    }
+
+    let total = 0;
+    const items = types.map(type => {
+        const severity = CVD_TYPES[type].anomalous ? visionOptions.severity : 1;
+        const pairs = findConfusablePairs(rgbs, type, severity);
+        total += pairs.length;
+        if (pairs.length === 0) return '';
+
+        const described = pairs
+            .map(p => `${p.a + 1} & ${p.b + 1} <span class="vision-delta">ΔE ${p.deltaE.toFixed(1)}</span>`)
+            .join(', ');
+        return `<li><strong>${CVD_TYPES[type].label}:</strong> ${described}</li>`;
+    }).join('');
+
+    list.innerHTML = items || '<li class="vision-ok">All colors stay distinguishable.</li>';
+
+    if (badge) {
+        badge.textContent = total;
+        badge.classList.toggle('hidden', total === 0);
+    }
+}
@@ -1,9 +1,15 @@
+import { trapFocus } from './focus-trap.js';
+import { getAccessibleTextColor } from './utils/contrast.js';
+import { elementToPng } from './utils/render-image.js';
+import { downloadFile } from './utils/download.js';
+
 /**
  * Visualization Logic
- * Updates CSS variables in the visualizer panel to reflect current palette
+ * Updates CSS variables in the visualizer panel to reflect the current theme roles.
+ * Each preview card can be saved as a PNG, without its header controls.
  */
 
-export function initVisualizer() {
+export function initVisualizer({ onError, onOpen }) {
     const vizBtn = document.getElementById('viz-btn');
     const vizBtnMobile = document.getElementById('viz-btn-mobile');
     const vizPanel = document.getElementById('viz-panel');
@@ -12,16 +18,29 @@ export function initVisualizer() {
 
     if (!vizPanel) return;
 
+    // Where focus goes back to on close
+    let opener = null;
+
+    // Off-screen while closed; keep its controls out of the tab order
+    vizPanel.inert = true;
+
     function openViz() {
+        opener = document.activeElement;
         vizPanel.classList.add('active');
+        vizPanel.inert = false;
         document.body.classList.add('viz-open');
         if (vizOverlay) vizOverlay.classList.add('active');
+        if (vizClose) vizClose.focus();
+        if (onOpen) onOpen();
     }
 
     function closeViz() {
         vizPanel.classList.remove('active');
+        vizPanel.inert = true;
         document.body.classList.remove('viz-open');
         if (vizOverlay) vizOverlay.classList.remove('active');
+        if (opener && opener.isConnected) opener.focus();
+        opener = null;
     }
 
     function toggleViz() {
@@ -36,55 +55,38 @@ export function initVisualizer() {
     if (vizBtnMobile) vizBtnMobile.addEventListener('click', toggleViz);
     if (vizClose) vizClose.addEventListener('click', closeViz);
     if (vizOverlay) vizOverlay.addEventListener('click', closeViz);
-}
-
-export function updateVisualizations(colors) {
-    const vizPanel = document.getElementById('viz-panel');
-    if (!vizPanel) return;
-
-    // We assume colors is an array of HSL objects
-    // We convert them to CSS usable strings (hex or hsl)
-    // We map them to generic visualization variables: --viz-c1 to --viz-c5
-
-    // Helper to get hex from hsl object (duplication from utils, but passing formatted string ok)
-    // Better: reuse the hex string if available, or just use HSL css string
+    trapFocus(vizPanel, closeViz);
 
-    colors.forEach((color, index) => {
-        // color is {h, s, l}
-        const colorString = `hsl(${color.h}, ${color.s}%, ${color.l}%)`;
-        vizPanel.style.setProperty(`--viz-c${index + 1}`, colorString);
+    vizPanel.addEventListener('click', async (e) => {
+        const btn = e.target.closest('.viz-card-export');
+        if (!btn) return;
 
-        // Also set RGB components for background opacities
-        const rgb = hslToRgb(color.h / 360, color.s / 100, color.l / 100);
-        vizPanel.style.setProperty(`--viz-c${index + 1}-rgb`, `${rgb[0]}, ${rgb[1]}, ${rgb[2]}`);
+        const card = btn.closest('.viz-card');
+        const title = card.querySelector('.viz-card-header > span').textContent.trim();
+        const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        try {
+            downloadFile(`micolors-${slug}.png`, await elementToPng(card, { exclude: '.viz-card-actions' }));
+        } catch (err) {
+            onError(err.message);
+        }
     });
-
-    // Also set a background variant
-    vizPanel.style.setProperty('--viz-bg', `hsl(${colors[0].h}, 20%, 95%)`);
 }
 
 /**
- * Helper: HSL to RGB conversion
+ * Paints the mockups with the theme roles: each role becomes --viz-<role>
+ * (plus --viz-<role>-rgb for translucent fills), and primary and accent
+ * get an --viz-on-<role> text color.
+ * @param {Array} roles - [{ role, rgb }], already run through the vision simulation.
  */
-function hslToRgb(h, s, l) {
-    let r, g, b;
-    if (s === 0) {
-        r = g = b = l;
-    } else {
-        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-        const p = 2 * l - q;
-        r = hue2rgb(p, q, h + 1 / 3);
-        g = hue2rgb(p, q, h);
-        b = hue2rgb(p, q, h - 1 / 3);
-    }
-    return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
-}
+export function updateVisualizations(roles) {
+    const vizPanel = document.getElementById('viz-panel');
+    if (!vizPanel) return;
 
-function hue2rgb(p, q, t) {
-    if (t < 0) t += 1;
-    if (t > 1) t -= 1;
-    if (t < 1 / 6) return p + (q - p) * 6 * t;
-    if (t < 1 / 2) return q;
-    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-    return p;
+    roles.forEach(({ role, rgb }) => {
+        vizPanel.style.setProperty(`--viz-${role}`, `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`);
+        vizPanel.style.setProperty(`--viz-${role}-rgb`, `${rgb.r}, ${rgb.g}, ${rgb.b}`);
+        if (role === 'primary' || role === 'accent') {
+            vizPanel.style.setProperty(`--viz-on-${role}`, getAccessibleTextColor(rgb));
+        }
+    });
 }
@@ -0,0 +1,11 @@
+import { extractPalette } from '../utils/image-palette.js';
+
+/**
+ * Runs image clustering off the main thread.
+ * Message in:  { id, data: Uint8ClampedArray, width, height, count }
+ * Message out: { id, colors } (see extractPalette)
+ */
+self.addEventListener('message', (e) => {
+    const { id, data, width, height, count } = e.data;
+    self.postMessage({ id, colors: extractPalette(data, width, height, count) });
+});